@@ -0,0 +1,24 @@
+import { Reporter, SourcePosition } from "./diagnostics";
+import { Stimulus } from "./types";
+export interface AssetReference {
+    identifier: string;
+    stimulusType: string;
+    filePath: string;
+    position: SourcePosition;
+}
+export interface AssetEntry {
+    path: string;
+    type: string;
+    size: number;
+    hash: string;
+    identifiers: string[];
+}
+export declare function assetReferenceOf(stimulus: Stimulus, position: SourcePosition): AssetReference | null;
+/**
+ * Resolves every referenced file against baseDir, reports missing ones and
+ * returns the manifest of the files that exist.
+ * @param references file references collected by the parser
+ * @param baseDir directory that relative file paths are resolved against
+ * @param report receives asset-missing / asset-not-file diagnostics
+ */
+export declare function buildAssetManifest(references: AssetReference[], baseDir: string, report: Reporter): AssetEntry[];
@@ -0,0 +1,63 @@
+"use strict";
+var __importDefault = (this && this.__importDefault) || function (mod) {
+    return (mod && mod.__esModule) ? mod : { "default": mod };
+};
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.buildAssetManifest = exports.assetReferenceOf = void 0;
+const crypto_1 = __importDefault(require("crypto"));
+const fs_1 = __importDefault(require("fs"));
+const path_1 = __importDefault(require("path"));
+const registry_1 = require("./registry");
+function assetReferenceOf(stimulus, position) {
+    const filePath = registry_1.filePathOf(stimulus);
+    if (filePath === null) {
+        return null;
+    }
+    return {
+        identifier: stimulus.identifier,
+        stimulusType: stimulus.stimulusType,
+        filePath,
+        position,
+    };
+}
+exports.assetReferenceOf = assetReferenceOf;
+/**
+ * Resolves every referenced file against baseDir, reports missing ones and
+ * returns the manifest of the files that exist.
+ * @param references file references collected by the parser
+ * @param baseDir directory that relative file paths are resolved against
+ * @param report receives asset-missing / asset-not-file diagnostics
+ */
+function buildAssetManifest(references, baseDir, report) {
+    const entries = {};
+    for (const reference of references) {
+        const { identifier, filePath, position } = reference;
+        const existing = entries[filePath];
+        if (existing) {
+            existing.identifiers.push(identifier);
+            continue;
+        }
+        const resolved = path_1.default.resolve(baseDir, filePath);
+        if (!fs_1.default.existsSync(resolved)) {
+            report("asset-missing", position, filePath, identifier, resolved);
+            continue;
+        }
+        const stat = fs_1.default.statSync(resolved);
+        if (!stat.isFile()) {
+            report("asset-not-file", position, filePath, identifier);
+            continue;
+        }
+        entries[filePath] = {
+            path: filePath,
+            type: reference.stimulusType,
+            size: stat.size,
+            hash: crypto_1.default
+                .createHash("sha256")
+                .update(fs_1.default.readFileSync(resolved))
+                .digest("hex"),
+            identifiers: [identifier],
+        };
+    }
+    return Object.keys(entries).map((filePath) => entries[filePath]);
+}
+exports.buildAssetManifest = buildAssetManifest;
@@ -0,0 +1,88 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { Reporter, SourcePosition } from "./diagnostics";
+import { filePathOf } from "./registry";
+import { Stimulus } from "./types";
+
+// 파일을 참조하는 자극(image, text_file, audio, video 등 fileColumn이 있는 유형)의 위치 정보
+export interface AssetReference {
+  identifier: string;
+  stimulusType: string;
+  filePath: string;
+  position: SourcePosition;
+}
+
+// runner가 preload/cache에 사용하는 manifest 항목. 같은 파일은 한 번만 등장
+export interface AssetEntry {
+  path: string;
+  type: string; // stimulusType
+  size: number; // bytes
+  hash: string; // sha256(hex)
+  identifiers: string[];
+}
+
+export function assetReferenceOf(
+  stimulus: Stimulus,
+  position: SourcePosition
+): AssetReference | null {
+  const filePath = filePathOf(stimulus);
+  if (filePath === null) {
+    return null;
+  }
+  return {
+    identifier: stimulus.identifier,
+    stimulusType: stimulus.stimulusType,
+    filePath,
+    position,
+  };
+}
+
+/**
+ * Resolves every referenced file against baseDir, reports missing ones and
+ * returns the manifest of the files that exist.
+ * @param references file references collected by the parser
+ * @param baseDir directory that relative file paths are resolved against
+ * @param report receives asset-missing / asset-not-file diagnostics
+ */
+export function buildAssetManifest(
+  references: AssetReference[],
+  baseDir: string,
+  report: Reporter
+): AssetEntry[] {
+  const entries: { [filePath: string]: AssetEntry } = {};
+
+  for (const reference of references) {
+    const { identifier, filePath, position } = reference;
+    const existing = entries[filePath];
+    if (existing) {
+      existing.identifiers.push(identifier);
+      continue;
+    }
+
+    const resolved = path.resolve(baseDir, filePath);
+    if (!fs.existsSync(resolved)) {
+      report("asset-missing", position, filePath, identifier, resolved);
+      continue;
+    }
+
+    const stat = fs.statSync(resolved);
+    if (!stat.isFile()) {
+      report("asset-not-file", position, filePath, identifier);
+      continue;
+    }
+
+    entries[filePath] = {
+      path: filePath,
+      type: reference.stimulusType,
+      size: stat.size,
+      hash: crypto
+        .createHash("sha256")
+        .update(fs.readFileSync(resolved))
+        .digest("hex"),
+      identifiers: [identifier],
+    };
+  }
+
+  return Object.keys(entries).map((filePath) => entries[filePath]);
+}
@@ -0,0 +1,2 @@
+export declare function expandGlob(pattern: string): string[];
+export declare function main(argv: string[]): number;
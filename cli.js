@@ -0,0 +1,604 @@
+"use strict";
+var __importDefault = (this && this.__importDefault) || function (mod) {
+    return (mod && mod.__esModule) ? mod : { "default": mod };
+};
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.main = exports.expandGlob = void 0;
+const fs_1 = __importDefault(require("fs"));
+const path_1 = __importDefault(require("path"));
+const diagnostics_1 = require("./diagnostics");
+const diff_1 = require("./diff");
+const files_1 = require("./files");
+const lint_1 = require("./lint");
+const lsp_1 = require("./lsp");
+const scoring_1 = require("./scoring");
+const simulation_1 = require("./simulation");
+const spreadsheet_1 = require("./spreadsheet");
+const storyboard_1 = require("./storyboard");
+const stringify_1 = require("./stringify");
+const upgrade_1 = require("./upgrade");
+const Parser = require("./parser.v2");
+const ParserV1 = require("./parser.js");
+const USAGE = `Usage: jsparser <command> [options] [files|globs...]
+
+Commands:
+  parse     parse scripts and write <name>.json for each of them
+  check     validate scripts and print diagnostics only
+  lint      check and also run the lint rules (unused stimuli, duplicate
+            identifiers, suspicious timing, ...); see --rule
+  format    rewrite scripts in canonical form (scripts with comments or
+            @ directives are left as they are)
+  upgrade   rewrite v1 (parser.js) result json files in the current format
+  score     score a response log (--responses) against a script and write
+            <name>.score.json with per-trial results and the summary
+  storyboard
+            write <name>.html, a storyboard of the trials for reviewers;
+            stimulus files are embedded (relative to --asset-dir or the script)
+  export    print the parsed trials as CSV with a section column, for review
+            in a spreadsheet (import them with @import); with -o, write
+            <dir>/<name>.trials.csv
+  diff      compare two scripts (old new) by their parsed content: stimuli,
+            trials and their fields, timing and answer-key changes
+  simulate  run the script with simulated participants and write
+            <name>.<id>.responses.csv (a response log for score) and
+            <name>.<id>.events.csv (what was shown when) for each of them;
+            warns about trials nobody could answer in time
+  lsp       run a Language Server Protocol server on stdin/stdout for editors
+
+Options:
+  -o, --out-dir <dir>   directory for parse output (default: next to input)
+  --stdin               read a single script from stdin
+  --stdout              write the result to stdout instead of files
+  --asset-dir <dir>     check that stimulus files exist, relative to <dir>
+  --manifest            also write <name>.assets.json (path, type, size, sha256)
+                        of the stimulus files; without --asset-dir, files are
+                        resolved relative to the script
+  --seed <seed>         seed for @block shuffle, same seed = same order
+  --participant <id>    participant id for @counterbalance (and the seed)
+  --strict              positional sequence rows must have exactly 13 columns
+  --responses <file>    response log of score, CSV or JSON(.json)
+  --rule <rule>=<level> severity of a lint rule: error, warning, info or off
+                        (repeatable), e.g. --rule unused-file=off
+  --match <position|onset>
+                        how diff pairs the trials of a section: by index
+                        (default) or by <onSetTime>
+  --json                print the diff as JSON
+  --tsv                 export tab separated values (<name>.trials.tsv)
+  --participants <n>    simulate participants 1..n (default: --participant or 1)
+  --accuracy <0-1>      share of simulated responses that are <answer> (0.8)
+  --rt-mean <ms>        mean simulated reaction time from the choice onset (600)
+  --rt-sd <ms>          its standard deviation (150)
+  --rt-distribution <normal|lognormal|exgaussian>
+                        shape of the reaction times (exgaussian)
+  --timeout-rate <0-1>  share of trials without a response (0.02)
+  --min-rt <ms>         fastest possible reaction time (150)
+  --shape <v1|v2>       output shape of parse: v1 = parser.js, v2 = parser.v2.js (default: v2)
+  -h, --help            show this message
+
+Exit codes: 0 = ok, 1 = a script has errors or cannot be read, 2 = wrong usage`;
+// exit codes
+const OK = 0;
+const SCRIPT_ERROR = 1;
+const USAGE_ERROR = 2;
+class UsageError extends Error {
+}
+function parseArgs(argv) {
+    const options = {
+        command: "",
+        inputs: [],
+        outDir: null,
+        stdin: false,
+        stdout: false,
+        shape: "v2",
+        assetDir: null,
+        seed: undefined,
+        participantId: undefined,
+        manifest: false,
+        strict: false,
+        responses: null,
+        rules: {},
+        match: "position",
+        json: false,
+        tsv: false,
+        participants: null,
+        profile: {},
+        help: false,
+    };
+    const valueOf = (index, flag) => {
+        const value = argv[index];
+        if (value === undefined) {
+            throw new UsageError(`${flag} requires a value`);
+        }
+        return value;
+    };
+    // min 이상의 숫자. max가 있으면 그 이하
+    const numberOf = (index, flag, min, max) => {
+        const value = valueOf(index, flag);
+        const number = Number(value);
+        if (!value.trim() ||
+            !(number >= min) ||
+            (max !== undefined && number > max)) {
+            const range = max === undefined ? `>= ${min}` : `between ${min} and ${max}`;
+            throw new UsageError(`${flag} must be a number ${range}, got ${value}`);
+        }
+        return number;
+    };
+    for (let index = 0; index < argv.length; index++) {
+        const arg = argv[index];
+        switch (arg) {
+            case "-o":
+            case "--out-dir":
+                options.outDir = valueOf(++index, arg);
+                break;
+            case "-h":
+            case "--help":
+                options.help = true;
+                break;
+            case "--asset-dir":
+                options.assetDir = valueOf(++index, arg);
+                break;
+            case "--seed":
+                options.seed = valueOf(++index, arg);
+                break;
+            case "--participant":
+                options.participantId = valueOf(++index, arg);
+                break;
+            case "--responses":
+                options.responses = valueOf(++index, arg);
+                break;
+            case "--rule": {
+                const value = valueOf(++index, arg);
+                const [rule, severity] = value.split("=");
+                if (!lint_1.LINT_RULES.includes(rule)) {
+                    throw new UsageError(`Unknown lint rule ${rule}`);
+                }
+                else if (!["error", "warning", "info", "off"].includes(severity)) {
+                    throw new UsageError(`--rule ${rule} must be error, warning, info or off, got ${severity}`);
+                }
+                options.rules[rule] = severity;
+                break;
+            }
+            case "--strict":
+                options.strict = true;
+                break;
+            case "--match": {
+                const value = valueOf(++index, arg);
+                if (value !== "position" && value !== "onset") {
+                    throw new UsageError(`--match must be position or onset, got ${value}`);
+                }
+                options.match = value;
+                break;
+            }
+            case "--json":
+                options.json = true;
+                break;
+            case "--tsv":
+                options.tsv = true;
+                break;
+            case "--participants": {
+                const count = numberOf(++index, arg, 1);
+                if (!Number.isInteger(count)) {
+                    throw new UsageError(`${arg} must be an integer, got ${count}`);
+                }
+                options.participants = count;
+                break;
+            }
+            case "--accuracy":
+                options.profile.accuracy = numberOf(++index, arg, 0, 1);
+                break;
+            case "--rt-mean":
+                options.profile.rtMean = numberOf(++index, arg, 1);
+                break;
+            case "--rt-sd":
+                options.profile.rtSd = numberOf(++index, arg, 0);
+                break;
+            case "--rt-distribution": {
+                const value = valueOf(++index, arg);
+                if (!simulation_1.REACTION_TIME_DISTRIBUTIONS.includes(value)) {
+                    throw new UsageError(`${arg} must be ${simulation_1.REACTION_TIME_DISTRIBUTIONS.join(", ")}, got ${value}`);
+                }
+                options.profile.rtDistribution = value;
+                break;
+            }
+            case "--timeout-rate":
+                options.profile.timeoutRate = numberOf(++index, arg, 0, 1);
+                break;
+            case "--min-rt":
+                options.profile.minReactionTime = numberOf(++index, arg, 0);
+                break;
+            case "--manifest":
+                options.manifest = true;
+                break;
+            case "--stdin":
+                options.stdin = true;
+                break;
+            case "--stdout":
+                options.stdout = true;
+                break;
+            case "--shape":
+                options.shape = valueOf(++index, arg);
+                if (options.shape !== "v1" && options.shape !== "v2") {
+                    throw new UsageError(`--shape must be v1 or v2, got ${options.shape}`);
+                }
+                break;
+            default:
+                if (arg.startsWith("-")) {
+                    throw new UsageError(`Unknown option ${arg}`);
+                }
+                else if (!options.command) {
+                    options.command = arg;
+                }
+                else {
+                    options.inputs.push(arg);
+                }
+        }
+    }
+    return options;
+}
+function globToRegExp(pattern) {
+    let source = "";
+    for (let index = 0; index < pattern.length; index++) {
+        const char = pattern[index];
+        if (char === "*" && pattern[index + 1] === "*") {
+            // **/ 는 0개 이상의 디렉토리
+            source += pattern[index + 2] === "/" ? "(?:.*/)?" : ".*";
+            index += pattern[index + 2] === "/" ? 2 : 1;
+        }
+        else if (char === "*") {
+            source += "[^/]*";
+        }
+        else if (char === "?") {
+            source += "[^/]";
+        }
+        else {
+            source += char.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+        }
+    }
+    return new RegExp(`^${source}$`);
+}
+// 쉘이 확장하지 않은(따옴표로 감싼) glob 패턴도 처리
+function expandGlob(pattern) {
+    if (!/[*?]/.test(pattern)) {
+        return [pattern];
+    }
+    const normalized = pattern.split(path_1.default.sep).join("/");
+    const segments = normalized.split("/");
+    const firstGlob = segments.findIndex((segment) => /[*?]/.test(segment));
+    const baseDir = segments.slice(0, firstGlob).join("/") || ".";
+    const regExp = globToRegExp(normalized.replace(/^\.\//, ""));
+    if (!fs_1.default.existsSync(baseDir)) {
+        return [];
+    }
+    return files_1.walk(baseDir)
+        .map((filePath) => filePath.split(path_1.default.sep).join("/"))
+        .filter((filePath) => regExp.test(filePath.replace(/^\.\//, "")))
+        .sort();
+}
+exports.expandGlob = expandGlob;
+// 읽을 수 없는 파일은 "<file>: cannot read (<code>)"를 출력하고 건너뜀
+function readScripts(options) {
+    if (options.stdin) {
+        if (options.inputs.length > 0) {
+            throw new UsageError("--stdin cannot be combined with input files");
+        }
+        const text = fs_1.default.readFileSync(0, "utf8");
+        return {
+            scripts: [{ name: "<stdin>", filePath: null, text }],
+            unreadable: 0,
+        };
+    }
+    if (options.inputs.length === 0) {
+        throw new UsageError("No input files");
+    }
+    const scripts = [];
+    let unreadable = 0;
+    for (const input of options.inputs) {
+        const files = expandGlob(input);
+        if (files.length === 0) {
+            throw new UsageError(`${input} did not match any file`);
+        }
+        for (const filePath of files) {
+            try {
+                const text = fs_1.default.readFileSync(filePath, "utf8");
+                scripts.push({ name: filePath, filePath, text });
+            }
+            catch (e) {
+                console.error(`${filePath}: cannot read (${files_1.readErrorOf(e)})`);
+                unreadable++;
+            }
+        }
+    }
+    return { scripts, unreadable };
+}
+function printDiagnostics(script, diagnostics) {
+    for (const diagnostic of diagnostics) {
+        // @include한 파일의 진단은 그 파일 이름으로 표시
+        const name = diagnostic.file || script.name;
+        console.error(`${name}:${diagnostics_1.formatDiagnostic(diagnostic)}`);
+    }
+}
+function assetBaseDir(script, options) {
+    if (options.assetDir !== null) {
+        return options.assetDir;
+    }
+    else if (options.manifest && script.filePath) {
+        return path_1.default.dirname(script.filePath);
+    }
+    return undefined;
+}
+function parseScript(script, options) {
+    const parser = new Parser(script.text, {
+        collectDiagnostics: true,
+        assetBaseDir: assetBaseDir(script, options),
+        seed: options.seed,
+        participantId: options.participantId,
+        fileName: script.filePath || undefined,
+        strict: options.strict,
+    });
+    parser.execute();
+    printDiagnostics(script, parser.diagnostics);
+    return parser;
+}
+function parseV1(script) {
+    try {
+        return new ParserV1(script.text).execute().json();
+    }
+    catch (e) {
+        console.error(`${script.name}: ${diagnostics_1.errorMessage(e)}`);
+        return null;
+    }
+}
+function upgrade(script) {
+    try {
+        const diagnostics = [];
+        const experiment = upgrade_1.upgradeToLatest(JSON.parse(script.text), diagnostics);
+        printDiagnostics(script, diagnostics);
+        return JSON.stringify(experiment, null, " ");
+    }
+    catch (e) {
+        console.error(`${script.name}: ${diagnostics_1.errorMessage(e)}`);
+        return null;
+    }
+}
+function outputPath(script, options, ext) {
+    const filePath = script.filePath;
+    if (!ext) {
+        return filePath;
+    }
+    const { dir, name } = path_1.default.parse(filePath);
+    const outputPath = path_1.default.join(options.outDir || dir, name + ext);
+    fs_1.default.mkdirSync(path_1.default.dirname(outputPath), { recursive: true });
+    return outputPath;
+}
+// ext가 빈 문자열이면 입력 파일을 덮어씀
+function write(script, options, output, ext) {
+    if (options.stdout || !script.filePath) {
+        process.stdout.write(output.endsWith("\n") ? output : output + "\n");
+    }
+    else {
+        fs_1.default.writeFileSync(outputPath(script, options, ext), output);
+    }
+}
+// 응답 파일을 읽을 수 없으면 readScripts()처럼 알리고 오류로 끝냄
+function score(script, options, parser) {
+    const responses = options.responses;
+    let text;
+    try {
+        text = fs_1.default.readFileSync(responses, "utf8");
+    }
+    catch (e) {
+        console.error(`${responses}: cannot read (${files_1.readErrorOf(e)})`);
+        return true;
+    }
+    const diagnostics = [];
+    const entries = scoring_1.readResponseLog(text, path_1.default.extname(responses).toLowerCase() === ".json" ? "json" : "csv", diagnostics);
+    const result = scoring_1.scoreResponses(parser.sequences, entries, diagnostics);
+    printDiagnostics(Object.assign(Object.assign({}, script), { name: responses }), result.diagnostics);
+    write(script, options, JSON.stringify({ trials: result.trials, summary: result.summary }, null, " "), ".score.json");
+    return result.diagnostics.some((diagnostic) => diagnostic.severity === diagnostics_1.Severity.ERROR);
+}
+// manifest는 --stdout과 상관없이 항상 파일로 저장
+function writeManifest(script, options, parser) {
+    if (options.manifest && parser.assets) {
+        fs_1.default.writeFileSync(outputPath(script, options, ".assets.json"), JSON.stringify(parser.assets, null, " "));
+    }
+}
+// 참가자마다 그 participant id로 다시 파싱(@counterbalance, @block shuffle)해서 진행.
+// seed가 없으면 0을 사용해 결과를 재현할 수 있게 함
+function simulate(script, options, parser) {
+    const seed = options.seed === undefined ? "0" : options.seed;
+    const participantIds = options.participants === null
+        ? [options.participantId || "1"]
+        : Array.from({ length: options.participants }, (_, index) => String(index + 1));
+    const sessions = [];
+    const reported = new Set();
+    for (const participantId of participantIds) {
+        const participantParser = options.seed === seed && options.participantId === participantId
+            ? parser
+            : new Parser(script.text, Object.assign(Object.assign({}, parser.options), { assetBaseDir: undefined, seed,
+                participantId })).execute();
+        const session = participantParser.simulate(Object.assign(Object.assign({}, options.profile), { seed,
+            participantId }));
+        sessions.push(session);
+        // 시행의 문제는 참가자마다 같으므로 한 번만 표시
+        printDiagnostics(script, session.diagnostics.filter((diagnostic) => {
+            const key = `${diagnostic.line}:${diagnostic.column}:${diagnostic.code}`;
+            return !reported.has(key) && !!reported.add(key);
+        }));
+        if (!options.stdout && script.filePath) {
+            write(script, options, simulation_1.formatResponses(session), `.${participantId}.responses.csv`);
+            write(script, options, simulation_1.formatEvents(session), `.${participantId}.events.csv`);
+        }
+    }
+    if (options.stdout || !script.filePath) {
+        write(script, options, JSON.stringify(sessions, null, " "), "");
+    }
+}
+// 두 스크립트 모두 에러가 없어야 비교
+function diff(scripts, options) {
+    if (scripts.length !== 2) {
+        throw new UsageError("diff takes two scripts, the old one and the new one");
+    }
+    const [before, after] = scripts.map((script) => parseScript(script, options));
+    if (before.hasErrors() || after.hasErrors()) {
+        return SCRIPT_ERROR;
+    }
+    const result = diff_1.diffExperiments(before.model(), after.model(), {
+        match: options.match,
+    });
+    process.stdout.write(options.json ? JSON.stringify(result, null, " ") + "\n" : diff_1.formatDiff(result));
+    return OK;
+}
+function run(options) {
+    const { scripts, unreadable } = readScripts(options);
+    if (unreadable > 0 && (options.command === "diff" || scripts.length === 0)) {
+        return SCRIPT_ERROR;
+    }
+    if (options.command === "diff") {
+        return diff(scripts, options);
+    }
+    else if (options.stdout &&
+        scripts.length > 1 &&
+        !["check", "lint"].includes(options.command)) {
+        throw new UsageError("--stdout can only be used with a single input");
+    }
+    else if (options.command === "export" &&
+        options.outDir === null &&
+        scripts.length > 1) {
+        throw new UsageError("export of several scripts requires -o <dir>");
+    }
+    else if (options.manifest && options.stdin) {
+        throw new UsageError("--manifest cannot be used with --stdin");
+    }
+    else if (options.command === "score" && !options.responses) {
+        throw new UsageError("score requires --responses <file>");
+    }
+    else if (options.command === "score" && scripts.length > 1) {
+        throw new UsageError("score takes a single script");
+    }
+    else if (options.participants !== null && options.participantId) {
+        throw new UsageError("--participants cannot be combined with --participant");
+    }
+    else if (options.manifest && options.shape === "v1") {
+        throw new UsageError("--manifest cannot be used with --shape v1");
+    }
+    let exitCode = OK;
+    for (const script of scripts) {
+        if (options.command === "upgrade") {
+            const json = upgrade(script);
+            if (json === null) {
+                exitCode = SCRIPT_ERROR;
+            }
+            else {
+                write(script, options, json, ".json");
+            }
+            continue;
+        }
+        if (options.command === "parse" && options.shape === "v1") {
+            const json = parseV1(script);
+            if (json === null) {
+                exitCode = SCRIPT_ERROR;
+            }
+            else {
+                write(script, options, json, ".json");
+            }
+            continue;
+        }
+        const parser = parseScript(script, options);
+        // storyboard는 에러가 있어도 만들어서 해결되지 않은 식별자를 보여줌
+        if (options.command === "storyboard") {
+            const baseDir = options.assetDir !== null
+                ? options.assetDir
+                : script.filePath
+                    ? path_1.default.dirname(script.filePath)
+                    : undefined;
+            write(script, options, storyboard_1.renderStoryboard(parser, { baseDir }), ".html");
+        }
+        if (parser.hasErrors()) {
+            exitCode = SCRIPT_ERROR;
+            continue;
+        }
+        writeManifest(script, options, parser);
+        switch (options.command) {
+            case "parse":
+                write(script, options, parser.json(), ".json");
+                break;
+            case "format":
+                if (parser.hasDirectives()) {
+                    console.error(`${script.name}: scripts with @ directives or templates cannot be formatted`);
+                    exitCode = SCRIPT_ERROR;
+                    break;
+                }
+                else if (parser.comments.length > 0) {
+                    // 모델로 다시 쓰면 주석(# lint-disable 포함)이 사라짐
+                    const lines = parser.comments.map((comment) => comment.line);
+                    console.error(`${script.name}: scripts with comments cannot be formatted, the comments would be lost (line ${lines.join(", ")})`);
+                    exitCode = SCRIPT_ERROR;
+                    break;
+                }
+                write(script, options, stringify_1.stringify(parser.model()), "");
+                break;
+            case "export":
+                // -o가 없으면 스크립트 옆에 파일을 만들지 않고 stdout으로
+                write(script, Object.assign(Object.assign({}, options), { stdout: options.stdout || options.outDir === null }), spreadsheet_1.exportTrials(parser.sequences, options.tsv ? "\t" : ","), options.tsv ? ".trials.tsv" : ".trials.csv");
+                break;
+            case "simulate":
+                simulate(script, options, parser);
+                break;
+            case "score":
+                if (score(script, options, parser)) {
+                    exitCode = SCRIPT_ERROR;
+                }
+                break;
+            case "lint": {
+                const diagnostics = lint_1.lint(parser, {
+                    rules: options.rules,
+                    assetDir: options.assetDir === null ? undefined : options.assetDir,
+                });
+                printDiagnostics(script, diagnostics);
+                if (diagnostics.some(({ severity }) => severity === diagnostics_1.Severity.ERROR)) {
+                    exitCode = SCRIPT_ERROR;
+                }
+                break;
+            }
+        }
+    }
+    return unreadable > 0 ? SCRIPT_ERROR : exitCode;
+}
+function main(argv) {
+    try {
+        const options = parseArgs(argv);
+        if (options.help) {
+            console.log(USAGE);
+            return OK;
+        }
+        else if (options.command === "lsp") {
+            // stdin이 닫히거나 exit 알림이 올 때까지 실행
+            lsp_1.startLanguageServer();
+            return OK;
+        }
+        else if (![
+            "parse",
+            "check",
+            "lint",
+            "format",
+            "score",
+            "upgrade",
+            "storyboard",
+            "export",
+            "diff",
+            "simulate",
+        ].includes(options.command)) {
+            throw new UsageError(options.command ? `Unknown command ${options.command}` : "No command");
+        }
+        return run(options);
+    }
+    catch (e) {
+        if (e instanceof UsageError) {
+            console.error(`${e.message}\n\n${USAGE}`);
+            return USAGE_ERROR;
+        }
+        throw e;
+    }
+}
+exports.main = main;
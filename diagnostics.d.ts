@@ -0,0 +1,49 @@
+export declare enum Severity {
+    ERROR = "error",
+    WARNING = "warning",
+    INFO = "info"
+}
+export interface SourcePosition {
+    line: number;
+    column: number;
+    file?: string;
+}
+export interface SourceRow extends SourcePosition {
+    text: string;
+    prefix?: string;
+    cells?: {
+        [column: string]: {
+            value: string;
+            offset: number;
+        };
+    };
+}
+export interface SequenceLocation {
+    row: SourceRow;
+    fields: {
+        [field: string]: SourcePosition;
+    };
+}
+export declare type Reporter = (code: string, position: SourcePosition, ...args: string[]) => void;
+export interface Diagnostic extends SourcePosition {
+    code: string;
+    severity: Severity;
+    message: string;
+    messageKo: string;
+}
+interface DiagnosticTemplate {
+    severity: Severity;
+    en: (...args: string[]) => string;
+    ko: (...args: string[]) => string;
+}
+export declare const DiagnosticMessages: {
+    [code: string]: DiagnosticTemplate;
+};
+export declare function createDiagnostic(code: string, position: SourcePosition, ...args: string[]): Diagnostic;
+export declare function formatDiagnostic(diagnostic: Diagnostic): string;
+export declare function errorMessage(e: unknown): string;
+export declare class ParseError extends Error {
+    diagnostic: Diagnostic;
+    constructor(diagnostic: Diagnostic);
+}
+export {};
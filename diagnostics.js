@@ -0,0 +1,396 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.ParseError = exports.errorMessage = exports.formatDiagnostic = exports.createDiagnostic = exports.DiagnosticMessages = exports.Severity = void 0;
+var Severity;
+(function (Severity) {
+    Severity["ERROR"] = "error";
+    Severity["WARNING"] = "warning";
+    Severity["INFO"] = "info";
+})(Severity = exports.Severity || (exports.Severity = {}));
+exports.DiagnosticMessages = {
+    "section-missing": {
+        severity: Severity.ERROR,
+        en: (keyword) => `Section [${keyword}] is missing`,
+        ko: (keyword) => `[${keyword}] 섹션 파싱에 실패했습니다.`,
+    },
+    "section-unclosed": {
+        severity: Severity.ERROR,
+        en: (keyword) => `Section [${keyword}] is not closed with [End${keyword}]`,
+        ko: (keyword) => `[${keyword}] 섹션이 [End${keyword}]로 닫히지 않았습니다.`,
+    },
+    "section-end-without-start": {
+        severity: Severity.ERROR,
+        en: (keyword) => `[End${keyword}] has no matching [${keyword}]`,
+        ko: (keyword) => `[End${keyword}]에 대응하는 [${keyword}]가 없습니다.`,
+    },
+    "section-nested": {
+        severity: Severity.ERROR,
+        en: (keyword, open, line) => `[${keyword}] starts inside [${open}] of line ${line}, which is dropped. Close it with [End${open}] first`,
+        ko: (keyword, open, line) => `[${keyword}]가 ${line}행의 [${open}] 안에서 시작되어 [${open}]은 무시됩니다. 먼저 [End${open}]로 닫으세요`,
+    },
+    "section-duplicate": {
+        severity: Severity.ERROR,
+        en: (keyword) => `[${keyword}] appears more than once, only the first one is used`,
+        ko: (keyword) => `[${keyword}]가 두 번 이상 있습니다. 첫 번째만 사용됩니다`,
+    },
+    "section-key-duplicate": {
+        severity: Severity.ERROR,
+        en: (keyword, key) => `Another [${keyword}] already has the key ${key}, give the sections different names, ex) [${keyword} name=test]`,
+        ko: (keyword, key) => `${key} key를 가진 [${keyword}]가 이미 있습니다. name으로 섹션을 구분하세요. ex) [${keyword} name=test]`,
+    },
+    "section-invalid-attribute": {
+        severity: Severity.ERROR,
+        en: (attribute, keyword) => `Unknown attribute "${attribute}" of [${keyword}], only sequence sections take name=<name>`,
+        ko: (attribute, keyword) => `[${keyword}]의 "${attribute}"는 알 수 없는 속성입니다. 시퀀스 섹션만 name=<name>을 사용할 수 있습니다`,
+    },
+    "section-invalid-name": {
+        severity: Severity.ERROR,
+        en: (name) => `Section name "${name}" is invalid, use letters, digits, _ and -`,
+        ko: (name) => `섹션 이름 "${name}"이 유효하지 않습니다. 영문, 숫자, _, -만 사용할 수 있습니다`,
+    },
+    "row-outside-section": {
+        severity: Severity.WARNING,
+        en: (row) => `Row "${row}" is outside of any section and is ignored`,
+        ko: (row) => `"${row}" 행은 어떤 섹션에도 속하지 않아 무시됩니다.`,
+    },
+    "unclosed-quote": {
+        severity: Severity.WARNING,
+        en: () => `Quote is not closed, the value runs to the end of the row`,
+        ko: () => `따옴표가 닫히지 않아 행 끝까지 하나의 값으로 읽습니다`,
+    },
+    "task-missing": {
+        severity: Severity.WARNING,
+        en: () => `Task header (Task <type> <name>) is missing`,
+        ko: () => `Task 헤더(Task <type> <name>)가 없습니다`,
+    },
+    "background-multiple": {
+        severity: Severity.WARNING,
+        en: () => `Only the first stimulus in [Background] is used`,
+        ko: () => `[Background]에는 첫 번째 자극만 사용됩니다`,
+    },
+    "unknown-stimulus-type": {
+        severity: Severity.ERROR,
+        en: (stimulusType) => `${stimulusType} is not a valid stimulus type`,
+        ko: (stimulusType) => `${stimulusType}은 유효한 자극 유형이 아닙니다`,
+    },
+    "invalid-stimulus": {
+        severity: Severity.ERROR,
+        en: (identifier, problem) => `Stimulus ${identifier}: ${problem}`,
+        ko: (identifier, problem) => `${identifier} 자극: ${problem}`,
+    },
+    "missing-identifier": {
+        severity: Severity.ERROR,
+        en: () => `Stimulus identifier is missing`,
+        ko: () => `identifier가 존재하지 않습니다`,
+    },
+    "unknown-stimulus": {
+        severity: Severity.ERROR,
+        en: (identifier) => `Stimulus Identifier ${identifier} is not valid`,
+        ko: (identifier) => `${identifier}은 정의되지 않은 자극입니다`,
+    },
+    "stimulus-type-not-allowed": {
+        severity: Severity.ERROR,
+        en: (identifier, stimulusType, column) => `${identifier} (${stimulusType}) cannot be used in <${column}>`,
+        ko: (identifier, stimulusType, column) => `${identifier}은 ${stimulusType} 자극이므로 <${column}>에 사용할 수 없습니다`,
+    },
+    "missing-value": {
+        severity: Severity.ERROR,
+        en: (column) => `Column <${column}> is missing`,
+        ko: (column) => `<${column}> 값이 없습니다`,
+    },
+    "invalid-number": {
+        severity: Severity.ERROR,
+        en: (column, value) => `<${column}> must be a number, got "${value}"`,
+        ko: (column, value) => `<${column}>은 숫자여야 합니다: "${value}"`,
+    },
+    "invalid-feedback-type": {
+        severity: Severity.ERROR,
+        en: (feedbackType) => `${feedbackType} is not a valid feedback type`,
+        ko: (feedbackType) => `${feedbackType}은 유효한 Feedback Type이 아닙니다.`,
+    },
+    "answer-without-choices": {
+        severity: Severity.ERROR,
+        en: (label) => `${label}: <answer> is set but the trial has no choices`,
+        ko: (label) => `${label}: 선택지가 없는데 <answer>가 지정되었습니다`,
+    },
+    "answer-out-of-range": {
+        severity: Severity.ERROR,
+        en: (label, answer, count) => `${label}: <answer> ${answer} is not an index of the ${count} choices`,
+        ko: (label, answer, count) => `${label}: <answer> ${answer}은 선택지 ${count}개의 인덱스가 아닙니다`,
+    },
+    "test-without-choices": {
+        severity: Severity.ERROR,
+        en: (label) => `${label}: <test> is y but the trial has no choices`,
+        ko: (label) => `${label}: 선택지가 없는 시행의 <test>가 y입니다`,
+    },
+    "reaction-time-before-choices": {
+        severity: Severity.ERROR,
+        en: (label, reactionTime, choiceOnset) => `${label}: the response window ends at ${reactionTime}ms, before the choices appear at ${choiceOnset}ms`,
+        ko: (label, reactionTime, choiceOnset) => `${label}: 반응 시간(${reactionTime}ms)이 선택지 제시 시점(${choiceOnset}ms)보다 먼저 끝납니다`,
+    },
+    "feedback-without-answer": {
+        severity: Severity.ERROR,
+        en: (label) => `${label}: tf feedback needs an <answer>`,
+        ko: (label) => `${label}: tf 피드백에는 <answer>가 필요합니다`,
+    },
+    "feedback-stimulus-missing": {
+        severity: Severity.WARNING,
+        en: (label, feedbackType) => `${label}: ${feedbackType} feedback has no feedback stimulus to show`,
+        ko: (label, feedbackType) => `${label}: ${feedbackType} 피드백에 보여줄 자극이 없습니다`,
+    },
+    "timeline-out-of-order": {
+        severity: Severity.WARNING,
+        en: (label, onset, previousOnset) => `${label}: onset ${onset}ms is earlier than the previous onset ${previousOnset}ms`,
+        ko: (label, onset, previousOnset) => `${label}: onset ${onset}ms가 이전 시행의 onset ${previousOnset}ms보다 빠릅니다`,
+    },
+    "timeline-overlap": {
+        severity: Severity.WARNING,
+        en: (label, onset, previousEnd) => `${label}: scheduled at ${onset}ms but the previous trial may run until ${previousEnd}ms`,
+        ko: (label, onset, previousEnd) => `${label}: ${onset}ms에 시작해야 하지만 이전 시행이 ${previousEnd}ms까지 진행될 수 있습니다`,
+    },
+    "timeline-gap": {
+        severity: Severity.INFO,
+        en: (label, gap) => `${label}: ${gap}ms gap after the previous trial`,
+        ko: (label, gap) => `${label}: 이전 시행과 ${gap}ms 간격이 있습니다`,
+    },
+    "timeline-blocked": {
+        severity: Severity.WARNING,
+        en: (label) => `${label}: inf stimulus duration without choices never ends and blocks the rest of the timeline`,
+        ko: (label) => `${label}: 선택지 없이 자극 제시 시간이 inf라서 끝나지 않으며 이후 타임라인이 진행되지 않습니다`,
+    },
+    "simulation-unanswerable": {
+        severity: Severity.WARNING,
+        en: (label, window, minReactionTime) => `${label}: the response window is ${window}ms, shorter than the fastest reaction time ${minReactionTime}ms; the participant can never answer`,
+        ko: (label, window, minReactionTime) => `${label}: 반응 구간이 ${window}ms로 가장 빠른 반응 시간 ${minReactionTime}ms보다 짧아서 참가자가 응답할 수 없습니다`,
+    },
+    "unknown-directive": {
+        severity: Severity.ERROR,
+        en: (directive) => `${directive} is not a valid directive`,
+        ko: (directive) => `${directive}은 유효한 지시어가 아닙니다`,
+    },
+    "invalid-directive-option": {
+        severity: Severity.ERROR,
+        en: (option, directive) => `${option} is not a valid option of ${directive}`,
+        ko: (option, directive) => `${option}은 ${directive}의 유효한 옵션이 아닙니다`,
+    },
+    "block-nested": {
+        severity: Severity.ERROR,
+        en: (name) => `Blocks cannot be nested, @block ${name} is still open`,
+        ko: (name) => `block은 중첩할 수 없습니다. @block ${name}이 아직 닫히지 않았습니다`,
+    },
+    "block-unclosed": {
+        severity: Severity.ERROR,
+        en: (name) => `@block ${name} is not closed with @endblock`,
+        ko: (name) => `@block ${name}이 @endblock으로 닫히지 않았습니다`,
+    },
+    "endblock-without-block": {
+        severity: Severity.ERROR,
+        en: () => `@endblock has no matching @block`,
+        ko: () => `@endblock에 대응하는 @block이 없습니다`,
+    },
+    "block-duplicate": {
+        severity: Severity.ERROR,
+        en: (name) => `Block ${name} is defined more than once in this section`,
+        ko: (name) => `${name} block이 이 섹션에 두 번 이상 정의되었습니다`,
+    },
+    "block-unknown": {
+        severity: Severity.ERROR,
+        en: (name) => `Block ${name} is not defined in this section`,
+        ko: (name) => `${name} block이 이 섹션에 정의되지 않았습니다`,
+    },
+    "shuffle-constraint-unsatisfied": {
+        severity: Severity.WARNING,
+        en: (name, maxAnswerRun) => `Could not shuffle block ${name} with at most ${maxAnswerRun} identical answers in a row`,
+        ko: (name, maxAnswerRun) => `${name} block을 같은 answer가 최대 ${maxAnswerRun}번 연속되도록 섞지 못했습니다`,
+    },
+    "asset-missing": {
+        severity: Severity.ERROR,
+        en: (filePath, identifier, resolved) => `File ${filePath} of stimulus ${identifier} does not exist (${resolved})`,
+        ko: (filePath, identifier, resolved) => `${identifier} 자극의 파일 ${filePath}이 존재하지 않습니다 (${resolved})`,
+    },
+    "asset-not-file": {
+        severity: Severity.ERROR,
+        en: (filePath, identifier) => `${filePath} of stimulus ${identifier} is not a file`,
+        ko: (filePath, identifier) => `${identifier} 자극의 ${filePath}은 파일이 아닙니다`,
+    },
+    "invalid-test-flag": {
+        severity: Severity.WARNING,
+        en: (value) => `<test> should be y or n, got "${value}"; treated as n`,
+        ko: (value) => `<test>는 y 또는 n이어야 합니다: "${value}" (n으로 처리)`,
+    },
+    "include-not-found": {
+        severity: Severity.ERROR,
+        en: (includePath) => `Included file ${includePath} does not exist`,
+        ko: (includePath) => `include한 파일 ${includePath}이 존재하지 않습니다`,
+    },
+    "import-not-found": {
+        severity: Severity.ERROR,
+        en: (importPath) => `Imported trial table ${importPath} does not exist`,
+        ko: (importPath) => `import한 시행 표 ${importPath}이 존재하지 않습니다`,
+    },
+    "trial-table-missing-column": {
+        severity: Severity.ERROR,
+        en: (column) => `Column ${column} is missing in the trial table header`,
+        ko: (column) => `시행 표의 헤더에 ${column} 컬럼이 없습니다`,
+    },
+    "trial-table-duplicate-column": {
+        severity: Severity.ERROR,
+        en: (name, column) => `Column ${name} is the same sequence column (${column}) as an earlier one`,
+        ko: (name, column) => `${name} 컬럼은 앞의 컬럼과 같은 시퀀스 컬럼(${column})입니다`,
+    },
+    "trial-table-unknown-column": {
+        severity: Severity.WARNING,
+        en: (name) => `Column ${name} is not a sequence column and is ignored`,
+        ko: (name) => `${name} 컬럼은 시퀀스 컬럼이 아니므로 무시됩니다`,
+    },
+    "trial-table-unclosed-quote": {
+        severity: Severity.ERROR,
+        en: () => `Quote is not closed, the cell runs to the end of the table`,
+        ko: () => `따옴표가 닫히지 않아 표의 끝까지 하나의 셀로 읽습니다`,
+    },
+    "include-cycle": {
+        severity: Severity.ERROR,
+        en: (chain) => `Include cycle: ${chain}`,
+        ko: (chain) => `include가 순환합니다: ${chain}`,
+    },
+    "unknown-variable": {
+        severity: Severity.ERROR,
+        en: (name) => `$${name} is not defined with @set`,
+        ko: (name) => `$${name}이 @set으로 정의되지 않았습니다`,
+    },
+    "invalid-expression": {
+        severity: Severity.ERROR,
+        en: (expression) => `"${expression}" is not a valid expression`,
+        ko: (expression) => `"${expression}"은 유효한 식이 아닙니다`,
+    },
+    "generated-rows-limit": {
+        severity: Severity.ERROR,
+        en: (count, limit) => `This would generate ${count} rows, more than the limit of ${limit}`,
+        ko: (count, limit) => `${count}개의 행이 만들어집니다. 최대 ${limit}개까지 만들 수 있습니다`,
+    },
+    "range-length-mismatch": {
+        severity: Severity.ERROR,
+        en: (lengths) => `Ranges in one row must have the same length, got ${lengths}`,
+        ko: (lengths) => `한 행의 범위들은 길이가 같아야 합니다: ${lengths}`,
+    },
+    "sequence-column-count": {
+        severity: Severity.ERROR,
+        en: (expected, actual) => `A sequence row needs ${expected} columns, got ${actual}`,
+        ko: (expected, actual) => `시퀀스 행은 ${expected}개의 컬럼이 필요하지만 ${actual}개입니다`,
+    },
+    "sequence-mixed-syntax": {
+        severity: Severity.ERROR,
+        en: (token) => `"${token}" has no keyword, a row cannot mix keyword=value and positional columns`,
+        ko: (token) => `"${token}"에 keyword가 없습니다. 한 행에 keyword=value와 위치 기반 컬럼을 섞을 수 없습니다`,
+    },
+    "unknown-sequence-keyword": {
+        severity: Severity.ERROR,
+        en: (keyword) => `${keyword} is not a sequence column`,
+        ko: (keyword) => `${keyword}은 시퀀스 컬럼이 아닙니다`,
+    },
+    "duplicate-sequence-keyword": {
+        severity: Severity.ERROR,
+        en: (keyword) => `${keyword} is given more than once`,
+        ko: (keyword) => `${keyword}이 두 번 이상 지정되었습니다`,
+    },
+    "upgrade-feedback-lost": {
+        severity: Severity.WARNING,
+        en: (label) => `${label}: parser.js dropped <feed_back_1> of this tf trial, feedback1 is null; parse the script again to get it`,
+        ko: (label) => `${label}: parser.js가 tf 시행의 <feed_back_1>을 저장하지 않아서 feedback1이 null입니다. 스크립트를 다시 파싱하세요`,
+    },
+    "response-log-invalid": {
+        severity: Severity.ERROR,
+        en: (reason) => `Invalid response log: ${reason}`,
+        ko: (reason) => `응답 기록이 올바르지 않습니다: ${reason}`,
+    },
+    "response-missing-column": {
+        severity: Severity.ERROR,
+        en: (column) => `Column ${column} is missing in the response log header`,
+        ko: (column) => `응답 기록의 헤더에 ${column} 컬럼이 없습니다`,
+    },
+    "response-invalid-value": {
+        severity: Severity.ERROR,
+        en: (column, value) => `"${value}" is not a valid ${column}`,
+        ko: (column, value) => `"${value}"은 유효한 ${column} 값이 아닙니다`,
+    },
+    "response-unknown-trial": {
+        severity: Severity.ERROR,
+        en: (trial) => `Trial ${trial} does not exist in the script`,
+        ko: (trial) => `${trial} 시행이 스크립트에 없습니다`,
+    },
+    "response-duplicate": {
+        severity: Severity.WARNING,
+        en: (label) => `${label}: more than one response, only the first is used`,
+        ko: (label) => `${label}: 응답이 여러 개라서 첫 번째만 사용합니다`,
+    },
+    "response-out-of-range": {
+        severity: Severity.ERROR,
+        en: (label, response, count) => `${label}: response ${response} is out of range, the trial has ${count} choices`,
+        ko: (label, response, count) => `${label}: 응답 ${response}이 범위를 벗어났습니다. 선택지는 ${count}개입니다`,
+    },
+    "duplicate-identifier": {
+        severity: Severity.WARNING,
+        en: (identifier, line) => `Stimulus Identifier ${identifier} is already defined at line ${line}, this description replaces it`,
+        ko: (identifier, line) => `Stimulus Identifier ${identifier}는 ${line}행에 이미 있습니다. 이 설명이 덮어씁니다`,
+    },
+    "unused-stimulus": {
+        severity: Severity.WARNING,
+        en: (identifier) => `Stimulus ${identifier} is not used by any trial`,
+        ko: (identifier) => `${identifier} 자극을 사용하는 시행이 없습니다`,
+    },
+    "unused-file": {
+        severity: Severity.INFO,
+        en: (file) => `File ${file} is not used by any stimulus`,
+        ko: (file) => `${file} 파일을 사용하는 자극이 없습니다`,
+    },
+    "inconsistent-font-defaults": {
+        severity: Severity.INFO,
+        en: (identifier, column, count) => `${identifier}: ${column} is n (default) while ${count} other stimuli set it`,
+        ko: (identifier, column, count) => `${identifier}: 다른 자극 ${count}개는 ${column}을 지정하지만 이 자극은 n(기본값)입니다`,
+    },
+    "answer-imbalance": {
+        severity: Severity.WARNING,
+        en: (counts) => `Answers of [MainSeq] are unevenly distributed (${counts})`,
+        ko: (counts) => `[MainSeq]의 정답 위치가 고르지 않습니다(${counts})`,
+    },
+    "suspicious-timing": {
+        severity: Severity.WARNING,
+        en: (label, column, value, frame) => `${label}: ${column} ${value} ms is shorter than a screen frame (${frame} ms)`,
+        ko: (label, column, value, frame) => `${label}: ${column} ${value}ms는 화면 한 프레임(${frame}ms)보다 짧습니다`,
+    },
+};
+function createDiagnostic(code, position, ...args) {
+    const template = exports.DiagnosticMessages[code];
+    const diagnostic = {
+        code,
+        severity: template.severity,
+        line: position.line,
+        column: position.column,
+        message: template.en(...args),
+        messageKo: template.ko(...args),
+    };
+    if (position.file !== undefined) {
+        diagnostic.file = position.file;
+    }
+    return diagnostic;
+}
+exports.createDiagnostic = createDiagnostic;
+// ex) 12:3 error [unknown-stimulus] Stimulus Identifier X is not valid
+function formatDiagnostic(diagnostic) {
+    const { line, column, severity, code, message } = diagnostic;
+    return `${line}:${column} ${severity} [${code}] ${message}`;
+}
+exports.formatDiagnostic = formatDiagnostic;
+// catch한 값의 메시지. Error가 아닌 값도 throw될 수 있음
+function errorMessage(e) {
+    return e instanceof Error ? e.message : String(e);
+}
+exports.errorMessage = errorMessage;
+class ParseError extends Error {
+    constructor(diagnostic) {
+        super(`${diagnostic.line}:${diagnostic.column} ${diagnostic.messageKo}`);
+        this.name = "ParseError";
+        this.diagnostic = diagnostic;
+    }
+}
+exports.ParseError = ParseError;
@@ -0,0 +1,44 @@
+import { Experiment } from "./types";
+export declare type DiffMatch = "position" | "onset";
+export interface DiffOptions {
+    match?: DiffMatch;
+}
+export declare type ChangeCategory = "timing" | "answer" | "content";
+export interface Change {
+    type: "added" | "removed" | "changed";
+    target: "task" | "background" | "stimulus" | "section" | "trial";
+    path: string;
+    field: string | null;
+    before: string | null;
+    after: string | null;
+    category: ChangeCategory;
+}
+export interface DiffSummary {
+    stimuli: {
+        added: number;
+        removed: number;
+        changed: number;
+    };
+    trials: {
+        added: number;
+        removed: number;
+        changed: number;
+    };
+    timing: number;
+    answerKey: number;
+}
+export interface ExperimentDiff {
+    changes: Change[];
+    summary: DiffSummary;
+}
+/**
+ * Compares two experiment models.
+ * @param before model of the old script
+ * @param after model of the new script
+ */
+export declare function diffExperiments(before: Experiment, after: Experiment, options?: DiffOptions): ExperimentDiff;
+/**
+ * Writes a diff for people, one change per line and a summary.
+ * ex) ~ main_sequence[3].answer: n → 0
+ */
+export declare function formatDiff(diff: ExperimentDiff): string;
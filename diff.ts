@@ -0,0 +1,490 @@
+import { stringifySequence } from "./stringify";
+import { Experiment, Sequence, Stimulus, Task } from "./types";
+
+/*
+SEMANTIC DIFF
+
+compares two parsed experiments(Parser.model()) instead of their text
+
+- task and background : changed fields
+- stimuli : added, removed and changed(each differing field) by identifier
+- sequence sections : added and removed by key, and a change of their order
+- trials of a section present in both
+  - match "position"(default) : trial i with trial i, the rest are added/removed
+  - match "onset" : trials with the same <onSetTime>, in order, so inserting
+    or removing a trial does not shift the ones after it
+  - a matched trial reports each differing column
+    ex) main_sequence[3].answer: n → 0
+  - stimulus, choices, feedback1, feedback2 are compared by identifier,
+    a change of the stimulus itself is reported once, under the stimulus
+  - values are written as in the script(n, inf), the answer with the
+    identifier of the correct choice, ex) 0 (I1)
+- every change has a category
+  - timing : onSetTime, durations, choiceOnsetRelativeToSim, reactionTime,
+    the order of the sections
+  - answer : the answer key(index or correct choice) of a trial
+  - content : everything else
+*/
+
+export type DiffMatch = "position" | "onset";
+
+export interface DiffOptions {
+  match?: DiffMatch;
+}
+
+export type ChangeCategory = "timing" | "answer" | "content";
+
+export interface Change {
+  type: "added" | "removed" | "changed";
+  target: "task" | "background" | "stimulus" | "section" | "trial";
+  path: string; // ex) stimulus.T1, main_sequence[3], main_sequence:test
+  field: string | null; // changed의 필드 이름
+  before: string | null; // 스크립트 표기
+  after: string | null;
+  category: ChangeCategory;
+}
+
+export interface DiffSummary {
+  stimuli: { added: number; removed: number; changed: number };
+  trials: { added: number; removed: number; changed: number };
+  timing: number; // timing 변경 수
+  answerKey: number; // 정답이 바뀐 시행 수
+}
+
+export interface ExperimentDiff {
+  changes: Change[];
+  summary: DiffSummary;
+}
+
+const TIMING_FIELDS = [
+  "onSetTime",
+  "stimulusDuration",
+  "choiceDuration",
+  "choiceOnsetRelativeToSim",
+  "reactionTime",
+  "feedbackDuration",
+];
+
+// 스크립트에서 inf로 쓰는 컬럼
+const INF_FIELDS = ["stimulusDuration", "choiceDuration", "reactionTime"];
+
+// 시퀀스 row의 컬럼 순서(stringifySequence와 같음)
+const TRIAL_FIELDS = [
+  "onSetTime",
+  "stimulus",
+  "stimulusDuration",
+  "choices",
+  "choiceDuration",
+  "answer",
+  "choiceOnsetRelativeToSim",
+  "reactionTime",
+  "feedbackType",
+  "feedbackDuration",
+  "feedback1",
+  "feedback2",
+  "test",
+];
+
+function categoryOf(field: string): ChangeCategory {
+  if (TIMING_FIELDS.includes(field)) {
+    return "timing";
+  }
+  return field === "answer" ? "answer" : "content";
+}
+
+function identifierOf(stimulus: Stimulus | null | undefined): string {
+  return stimulus ? stimulus.identifier : "n";
+}
+
+function trialValue(sequence: Sequence, field: string): string {
+  const value = (sequence as any)[field];
+  switch (field) {
+    case "stimulus":
+    case "feedback1":
+    case "feedback2":
+      return identifierOf(value);
+    case "choices":
+      return value ? (value as Stimulus[]).map(identifierOf).join(",") : "n";
+    case "answer": {
+      if (value === null || value === undefined) {
+        return "n";
+      }
+      const choice = sequence.choices && sequence.choices[value];
+      return choice ? `${value} (${choice.identifier})` : String(value);
+    }
+    case "test":
+      return value ? "y" : "n";
+    default:
+      if (value === null || value === undefined) {
+        return INF_FIELDS.includes(field) ? "inf" : "n";
+      }
+      return String(value);
+  }
+}
+
+function stimulusValue(value: any): string {
+  if (value === null || value === undefined) {
+    return "n";
+  } else if (Array.isArray(value)) {
+    return value.map(stimulusValue).join(" ");
+  }
+  return typeof value === "string" ? JSON.stringify(value) : String(value);
+}
+
+function taskValue(task: Task): string {
+  return `${task.type} ${task.name}`.trim();
+}
+
+function change(
+  type: Change["type"],
+  target: Change["target"],
+  path: string,
+  fields: Partial<Change> = {}
+): Change {
+  return {
+    type,
+    target,
+    path,
+    field: null,
+    before: null,
+    after: null,
+    category: "content",
+    ...fields,
+  };
+}
+
+function diffFields(
+  target: Change["target"],
+  path: string,
+  fields: string[],
+  valueOf: (side: "before" | "after", field: string) => string,
+  categoryOfField: (field: string) => ChangeCategory = () => "content"
+): Change[] {
+  return fields
+    .map((field) => ({
+      field,
+      before: valueOf("before", field),
+      after: valueOf("after", field),
+    }))
+    .filter(({ before, after }) => before !== after)
+    .map(({ field, before, after }) =>
+      change("changed", target, `${path}.${field}`, {
+        field,
+        before,
+        after,
+        category: categoryOfField(field),
+      })
+    );
+}
+
+function diffStimulus(
+  target: Change["target"],
+  path: string,
+  before: Stimulus,
+  after: Stimulus
+): Change[] {
+  const stimuli: any = { before, after };
+  const fields = Object.keys(before).concat(
+    Object.keys(after).filter((field) => !(field in before))
+  );
+  return diffFields(
+    target,
+    path,
+    fields.filter((field) => field !== "identifier"),
+    (side, field) => stimulusValue(stimuli[side][field])
+  );
+}
+
+// [before의 index, after의 index]. 짝이 없으면 null
+function matchTrials(
+  before: Sequence[],
+  after: Sequence[],
+  match: DiffMatch
+): [number | null, number | null][] {
+  if (match === "position") {
+    const length = Math.max(before.length, after.length);
+    const pairs: [number | null, number | null][] = [];
+    for (let index = 0; index < length; index++) {
+      pairs.push([
+        index < before.length ? index : null,
+        index < after.length ? index : null,
+      ]);
+    }
+    return pairs;
+  }
+
+  // 같은 onset의 before 시행을 순서대로 사용
+  const unmatched: { [onset: string]: number[] } = {};
+  before.forEach((sequence, index) => {
+    const onset = trialValue(sequence, "onSetTime");
+    (unmatched[onset] = unmatched[onset] || []).push(index);
+  });
+
+  const pairs: [number | null, number | null][] = after.map(
+    (sequence, index) => {
+      const candidates = unmatched[trialValue(sequence, "onSetTime")];
+      const matched =
+        candidates && candidates.length ? candidates.shift() : null;
+      return [matched === undefined ? null : matched, index];
+    }
+  );
+  Object.keys(unmatched).forEach((onset) =>
+    unmatched[onset].forEach((index) => pairs.push([index, null]))
+  );
+  return pairs;
+}
+
+function trialLabel(
+  section: string,
+  beforeIndex: number | null,
+  afterIndex: number | null
+): string {
+  if (beforeIndex === null || afterIndex === null) {
+    return `${section}[${beforeIndex === null ? afterIndex : beforeIndex}]`;
+  }
+  return beforeIndex === afterIndex
+    ? `${section}[${afterIndex}]`
+    : `${section}[${beforeIndex}→${afterIndex}]`;
+}
+
+function diffSection(
+  section: string,
+  before: Sequence[],
+  after: Sequence[],
+  match: DiffMatch
+): Change[] {
+  const changes: Change[] = [];
+  for (const [beforeIndex, afterIndex] of matchTrials(before, after, match)) {
+    const path = trialLabel(section, beforeIndex, afterIndex);
+    if (beforeIndex === null) {
+      changes.push(
+        change("added", "trial", path, {
+          after: stringifySequence(after[afterIndex as number]),
+        })
+      );
+    } else if (afterIndex === null) {
+      changes.push(
+        change("removed", "trial", path, {
+          before: stringifySequence(before[beforeIndex]),
+        })
+      );
+    } else {
+      const sequences = {
+        before: before[beforeIndex],
+        after: after[afterIndex],
+      };
+      changes.push(
+        ...diffFields(
+          "trial",
+          path,
+          TRIAL_FIELDS,
+          (side, field) => trialValue(sequences[side], field),
+          categoryOf
+        )
+      );
+    }
+  }
+  return changes;
+}
+
+function summarize(changes: Change[]): DiffSummary {
+  const count = (target: Change["target"], type: Change["type"]) =>
+    changes.filter((change) => change.target === target && change.type === type)
+      .length;
+  // 필드 변경은 필드마다 하나씩이므로 path(시행/자극) 단위로 셈
+  const changed = (target: Change["target"]) =>
+    new Set(
+      changes
+        .filter(
+          (change) => change.target === target && change.type === "changed"
+        )
+        .map((change) => change.path.slice(0, change.path.lastIndexOf(".")))
+    ).size;
+
+  return {
+    stimuli: {
+      added: count("stimulus", "added"),
+      removed: count("stimulus", "removed"),
+      changed: changed("stimulus"),
+    },
+    trials: {
+      added: count("trial", "added"),
+      removed: count("trial", "removed"),
+      changed: changed("trial"),
+    },
+    timing: changes.filter((change) => change.category === "timing").length,
+    answerKey: changes.filter((change) => change.category === "answer").length,
+  };
+}
+
+/**
+ * Compares two experiment models.
+ * @param before model of the old script
+ * @param after model of the new script
+ */
+export function diffExperiments(
+  before: Experiment,
+  after: Experiment,
+  options: DiffOptions = {}
+): ExperimentDiff {
+  const match = options.match || "position";
+  const changes: Change[] = [];
+
+  // task
+  if (before.task && after.task) {
+    const tasks: any = { before: before.task, after: after.task };
+    changes.push(
+      ...diffFields("task", "task", ["type", "name"], (side, field) =>
+        stimulusValue(tasks[side][field])
+      )
+    );
+  } else if (before.task) {
+    changes.push(
+      change("removed", "task", "task", { before: taskValue(before.task) })
+    );
+  } else if (after.task) {
+    changes.push(
+      change("added", "task", "task", { after: taskValue(after.task) })
+    );
+  }
+
+  // background
+  if (before.background && after.background) {
+    changes.push(
+      ...diffStimulus(
+        "background",
+        "background",
+        before.background,
+        after.background
+      )
+    );
+  } else if (before.background) {
+    changes.push(
+      change("removed", "background", "background", {
+        before: before.background.identifier,
+      })
+    );
+  } else if (after.background) {
+    changes.push(
+      change("added", "background", "background", {
+        after: after.background.identifier,
+      })
+    );
+  }
+
+  // stimuli
+  for (const identifier of Object.keys(before.stimulus)) {
+    const path = `stimulus.${identifier}`;
+    const stimulus = before.stimulus[identifier];
+    if (!after.stimulus[identifier]) {
+      changes.push(
+        change("removed", "stimulus", path, { before: stimulus.stimulusType })
+      );
+    } else {
+      changes.push(
+        ...diffStimulus("stimulus", path, stimulus, after.stimulus[identifier])
+      );
+    }
+  }
+  for (const identifier of Object.keys(after.stimulus)) {
+    if (!before.stimulus[identifier]) {
+      changes.push(
+        change("added", "stimulus", `stimulus.${identifier}`, {
+          after: after.stimulus[identifier].stimulusType,
+        })
+      );
+    }
+  }
+
+  // sections
+  const beforeSections = Object.keys(before.sequences);
+  const afterSections = Object.keys(after.sequences);
+  const common = afterSections.filter((section) =>
+    beforeSections.includes(section)
+  );
+  const beforeOrder = beforeSections.filter((section) =>
+    common.includes(section)
+  );
+  if (beforeOrder.join(",") !== common.join(",")) {
+    changes.push(
+      change("changed", "section", "sections", {
+        field: "order",
+        before: beforeOrder.join(", "),
+        after: common.join(", "),
+        category: "timing",
+      })
+    );
+  }
+  for (const section of beforeSections) {
+    if (!common.includes(section)) {
+      changes.push(
+        change("removed", "section", section, {
+          before: plural(before.sequences[section].length, "trial"),
+        })
+      );
+    }
+  }
+  for (const section of afterSections) {
+    if (!common.includes(section)) {
+      changes.push(
+        change("added", "section", section, {
+          after: plural(after.sequences[section].length, "trial"),
+        })
+      );
+    } else {
+      changes.push(
+        ...diffSection(
+          section,
+          before.sequences[section],
+          after.sequences[section],
+          match
+        )
+      );
+    }
+  }
+
+  return { changes, summary: summarize(changes) };
+}
+
+const SIGNS = { added: "+", removed: "-", changed: "~" };
+
+function plural(count: number, word: string): string {
+  return `${count} ${word}${count === 1 ? "" : "s"}`;
+}
+
+/**
+ * Writes a diff for people, one change per line and a summary.
+ * ex) ~ main_sequence[3].answer: n → 0
+ */
+export function formatDiff(diff: ExperimentDiff): string {
+  if (diff.changes.length === 0) {
+    return "No differences\n";
+  }
+
+  const lines = diff.changes.map((change) => {
+    const sign = SIGNS[change.type];
+    // 추가/삭제된 섹션은 key만으로는 알아보기 어려움
+    const label =
+      change.target === "section" && change.field === null
+        ? `section ${change.path}`
+        : change.path;
+    if (change.type === "changed") {
+      return `${sign} ${label}: ${change.before} → ${change.after}`;
+    }
+    return `${sign} ${label}: ${
+      change.type === "added" ? change.after : change.before
+    }`;
+  });
+
+  const { stimuli, trials, timing, answerKey } = diff.summary;
+  lines.push(
+    "",
+    `stimuli: ${stimuli.added} added, ${stimuli.removed} removed, ${stimuli.changed} changed`,
+    `trials: ${trials.added} added, ${trials.removed} removed, ${trials.changed} changed`,
+    `${plural(timing, "timing change")}, ${plural(
+      answerKey,
+      "answer-key change"
+    )}`
+  );
+  return lines.join("\n") + "\n";
+}
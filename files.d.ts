@@ -0,0 +1,9 @@
+export declare function readErrorOf(e: unknown): string;
+/**
+ * Lists the files under a directory, depth first in directory order, without
+ * node_modules and hidden entries. Entries that cannot be read(broken
+ * symlinks, no permission) are skipped and symlinked directories are not
+ * followed, so a link loop cannot recurse forever.
+ * @param dir directory to list
+ */
+export declare function walk(dir: string): string[];
@@ -0,0 +1,58 @@
+"use strict";
+var __importDefault = (this && this.__importDefault) || function (mod) {
+    return (mod && mod.__esModule) ? mod : { "default": mod };
+};
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.walk = exports.readErrorOf = void 0;
+const fs_1 = __importDefault(require("fs"));
+const path_1 = __importDefault(require("path"));
+const diagnostics_1 = require("./diagnostics");
+// 파일을 읽지 못한 이유. fs 오류는 ENOENT 같은 code, 아니면 메시지
+function readErrorOf(e) {
+    const code = e instanceof Error ? e.code : undefined;
+    return code || diagnostics_1.errorMessage(e);
+}
+exports.readErrorOf = readErrorOf;
+/**
+ * Lists the files under a directory, depth first in directory order, without
+ * node_modules and hidden entries. Entries that cannot be read(broken
+ * symlinks, no permission) are skipped and symlinked directories are not
+ * followed, so a link loop cannot recurse forever.
+ * @param dir directory to list
+ */
+function walk(dir) {
+    const files = [];
+    collectFiles(dir, files);
+    return files;
+}
+exports.walk = walk;
+function collectFiles(dir, files) {
+    let entries;
+    try {
+        entries = fs_1.default.readdirSync(dir, { withFileTypes: true });
+    }
+    catch (e) {
+        return;
+    }
+    for (const entry of entries) {
+        const filePath = path_1.default.join(dir, entry.name);
+        if (entry.name === "node_modules" || entry.name.startsWith(".")) {
+            continue;
+        }
+        else if (entry.isDirectory()) {
+            collectFiles(filePath, files);
+        }
+        else if (entry.isFile() || (entry.isSymbolicLink() && isFile(filePath))) {
+            files.push(filePath);
+        }
+    }
+}
+// 링크가 가리키는 대상이 파일인지. 깨진 링크는 false
+function isFile(filePath) {
+    try {
+        return fs_1.default.statSync(filePath).isFile();
+    }
+    catch (e) {
+        return false;
+    }
+}
@@ -0,0 +1,52 @@
+import fs from "fs";
+import path from "path";
+import { errorMessage } from "./diagnostics";
+
+// 파일을 읽지 못한 이유. fs 오류는 ENOENT 같은 code, 아니면 메시지
+export function readErrorOf(e: unknown): string {
+  const code =
+    e instanceof Error ? (e as NodeJS.ErrnoException).code : undefined;
+  return code || errorMessage(e);
+}
+
+/**
+ * Lists the files under a directory, depth first in directory order, without
+ * node_modules and hidden entries. Entries that cannot be read(broken
+ * symlinks, no permission) are skipped and symlinked directories are not
+ * followed, so a link loop cannot recurse forever.
+ * @param dir directory to list
+ */
+export function walk(dir: string): string[] {
+  const files: string[] = [];
+  collectFiles(dir, files);
+  return files;
+}
+
+function collectFiles(dir: string, files: string[]) {
+  let entries: fs.Dirent[];
+  try {
+    entries = fs.readdirSync(dir, { withFileTypes: true });
+  } catch (e) {
+    return;
+  }
+
+  for (const entry of entries) {
+    const filePath = path.join(dir, entry.name);
+    if (entry.name === "node_modules" || entry.name.startsWith(".")) {
+      continue;
+    } else if (entry.isDirectory()) {
+      collectFiles(filePath, files);
+    } else if (entry.isFile() || (entry.isSymbolicLink() && isFile(filePath))) {
+      files.push(filePath);
+    }
+  }
+}
+
+// 링크가 가리키는 대상이 파일인지. 깨진 링크는 false
+function isFile(filePath: string): boolean {
+  try {
+    return fs.statSync(filePath).isFile();
+  } catch (e) {
+    return false;
+  }
+}
@@ -0,0 +1,30 @@
+import { Reporter, SourceRow } from "./diagnostics";
+export interface IncludedFile {
+    file: string;
+    text: string;
+}
+export declare type IncludeResolver = (includePath: string, fromFile: string | null) => IncludedFile | null;
+export interface IncludeContext {
+    resolve: IncludeResolver;
+    fromFile: string | null;
+    report: Reporter;
+    expand?: (rows: SourceRow[]) => SourceRow[];
+}
+export declare function sourceRowsOf(text: string, file?: string): SourceRow[];
+export declare function commentsOf(text: string): {
+    line: number;
+    text: string;
+}[];
+/**
+ * Resolves include paths against the directory of the including file
+ * (the script itself: scriptDir) and reads them from the file system.
+ */
+export declare function fileSystemResolver(scriptDir?: string): IncludeResolver;
+/**
+ * Replaces the @include rows of [Descriptions] with the rows of the included
+ * files. Included rows keep their own file/line for the diagnostics and carry
+ * the identifier prefix in row.prefix.
+ * @param rows rows of the [Descriptions] section
+ * @param context resolver, name of the script and the diagnostics reporter
+ */
+export declare function expandIncludes(rows: SourceRow[], context: IncludeContext): SourceRow[];
@@ -0,0 +1,113 @@
+"use strict";
+var __importDefault = (this && this.__importDefault) || function (mod) {
+    return (mod && mod.__esModule) ? mod : { "default": mod };
+};
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.expandIncludes = exports.fileSystemResolver = exports.commentsOf = exports.sourceRowsOf = void 0;
+const fs_1 = __importDefault(require("fs"));
+const path_1 = __importDefault(require("path"));
+const lexer_1 = require("./lexer");
+// 주석과 빈 줄은 제거하되, 에러 위치 표시를 위해 원본 줄/열 번호는 유지
+function sourceRowsOf(text, file) {
+    return lexer_1.splitLines(text)
+        .map((line, index) => {
+        const { text } = lexer_1.splitComment(line);
+        const sourceRow = {
+            text: text.trim(),
+            line: index + 1,
+            column: text.search(/\S|$/) + 1,
+        };
+        if (file !== undefined) {
+            sourceRow.file = file;
+        }
+        return sourceRow;
+    })
+        .filter((row) => !!row.text);
+}
+exports.sourceRowsOf = sourceRowsOf;
+// 각 줄의 따옴표 밖 # 뒤 주석(# 제외, 앞뒤 공백 제거). lint-disable 등에 사용
+function commentsOf(text) {
+    return lexer_1.splitLines(text)
+        .map((line, index) => {
+        const { comment } = lexer_1.splitComment(line);
+        return { line: index + 1, text: comment === null ? "" : comment.trim() };
+    })
+        .filter((comment) => !!comment.text);
+}
+exports.commentsOf = commentsOf;
+/**
+ * Resolves include paths against the directory of the including file
+ * (the script itself: scriptDir) and reads them from the file system.
+ */
+function fileSystemResolver(scriptDir = ".") {
+    return (includePath, fromFile) => {
+        const dir = fromFile === null ? scriptDir : path_1.default.dirname(fromFile);
+        const file = path_1.default.normalize(path_1.default.join(dir, includePath));
+        if (!fs_1.default.existsSync(file) || !fs_1.default.statSync(file).isFile()) {
+            return null;
+        }
+        return { file, text: fs_1.default.readFileSync(file, "utf8") };
+    };
+}
+exports.fileSystemResolver = fileSystemResolver;
+// [Descriptions] 섹션이 있으면 그 안의 행만, 없으면 전체
+function descriptionRows(rows) {
+    const start = rows.findIndex((row) => row.text === "[Descriptions]");
+    const end = rows.findIndex((row) => row.text === "[EndDescriptions]");
+    return start !== -1 && end > start ? rows.slice(start + 1, end) : rows;
+}
+function expandRows(rows, context, stack, prefix) {
+    const { report } = context;
+    let expanded = [];
+    for (const row of rows) {
+        if (!row.text.startsWith("@")) {
+            expanded.push(prefix ? Object.assign(Object.assign({}, row), { prefix }) : row);
+            continue;
+        }
+        // "..."로 감싼 경로에는 공백을 쓸 수 있음
+        const [directive, includePath, ...options] = lexer_1.tokenize(row.text).map((token) => token.value);
+        if (directive !== "@include") {
+            report("unknown-directive", row, directive);
+            continue;
+        }
+        else if (!includePath) {
+            report("missing-value", row, "include path");
+            continue;
+        }
+        let innerPrefix = "";
+        for (const option of options) {
+            const [key, value] = option.split("=");
+            if (key === "prefix" && value) {
+                innerPrefix = value;
+            }
+            else {
+                report("invalid-directive-option", row, option, "@include");
+            }
+        }
+        const fromFile = row.file === undefined ? context.fromFile : row.file;
+        const included = context.resolve(includePath, fromFile);
+        if (!included) {
+            report("include-not-found", row, includePath);
+            continue;
+        }
+        else if (stack.includes(included.file)) {
+            report("include-cycle", row, stack.concat(included.file).join(" -> "));
+            continue;
+        }
+        const rows = descriptionRows(sourceRowsOf(included.text, included.file));
+        expanded = expanded.concat(expandRows(context.expand ? context.expand(rows) : rows, context, stack.concat(included.file), prefix + innerPrefix));
+    }
+    return expanded;
+}
+/**
+ * Replaces the @include rows of [Descriptions] with the rows of the included
+ * files. Included rows keep their own file/line for the diagnostics and carry
+ * the identifier prefix in row.prefix.
+ * @param rows rows of the [Descriptions] section
+ * @param context resolver, name of the script and the diagnostics reporter
+ */
+function expandIncludes(rows, context) {
+    const stack = context.fromFile === null ? [] : [context.fromFile];
+    return expandRows(rows, context, stack, "");
+}
+exports.expandIncludes = expandIncludes;
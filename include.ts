@@ -0,0 +1,163 @@
+import fs from "fs";
+import path from "path";
+import { Reporter, SourceRow } from "./diagnostics";
+import { splitComment, splitLines, tokenize } from "./lexer";
+
+/*
+INCLUDE DIRECTIVE
+
+# @include <path> [prefix=<prefix>]
+  - only inside [Descriptions], pulls in the stimulus descriptions of another file
+  - <path> is relative to the file that contains the @include,
+    "..." keeps spaces in it(see LEXER in lexer.ts)
+  - the included file is either a list of stimulus descriptions or a script
+    whose [Descriptions] section is used
+  - prefix : prepended to every identifier of the included file
+    ex) @include faces.stim prefix=faces. => faces.F1, faces.F2, ...
+  - included files can include other files, prefixes are combined(outer first)
+  - file paths of the included stimuli are kept as they are written
+*/
+
+export interface IncludedFile {
+  file: string; // 진단 메시지와 중첩 include의 기준이 되는 이름
+  text: string;
+}
+
+// 찾지 못하면 null. fromFile이 null이면 스크립트 자신에서 include
+export type IncludeResolver = (
+  includePath: string,
+  fromFile: string | null
+) => IncludedFile | null;
+
+export interface IncludeContext {
+  resolve: IncludeResolver;
+  fromFile: string | null;
+  report: Reporter;
+  expand?: (rows: SourceRow[]) => SourceRow[]; // @set, 범위 등 템플릿 확장
+}
+
+// 주석과 빈 줄은 제거하되, 에러 위치 표시를 위해 원본 줄/열 번호는 유지
+export function sourceRowsOf(text: string, file?: string): SourceRow[] {
+  return splitLines(text)
+    .map((line, index) => {
+      const { text } = splitComment(line);
+      const sourceRow: SourceRow = {
+        text: text.trim(),
+        line: index + 1,
+        column: text.search(/\S|$/) + 1,
+      };
+      if (file !== undefined) {
+        sourceRow.file = file;
+      }
+      return sourceRow;
+    })
+    .filter((row) => !!row.text);
+}
+
+// 각 줄의 따옴표 밖 # 뒤 주석(# 제외, 앞뒤 공백 제거). lint-disable 등에 사용
+export function commentsOf(text: string): { line: number; text: string }[] {
+  return splitLines(text)
+    .map((line, index) => {
+      const { comment } = splitComment(line);
+      return { line: index + 1, text: comment === null ? "" : comment.trim() };
+    })
+    .filter((comment) => !!comment.text);
+}
+
+/**
+ * Resolves include paths against the directory of the including file
+ * (the script itself: scriptDir) and reads them from the file system.
+ */
+export function fileSystemResolver(scriptDir = "."): IncludeResolver {
+  return (includePath, fromFile) => {
+    const dir = fromFile === null ? scriptDir : path.dirname(fromFile);
+    const file = path.normalize(path.join(dir, includePath));
+    if (!fs.existsSync(file) || !fs.statSync(file).isFile()) {
+      return null;
+    }
+    return { file, text: fs.readFileSync(file, "utf8") };
+  };
+}
+
+// [Descriptions] 섹션이 있으면 그 안의 행만, 없으면 전체
+function descriptionRows(rows: SourceRow[]): SourceRow[] {
+  const start = rows.findIndex((row) => row.text === "[Descriptions]");
+  const end = rows.findIndex((row) => row.text === "[EndDescriptions]");
+  return start !== -1 && end > start ? rows.slice(start + 1, end) : rows;
+}
+
+function expandRows(
+  rows: SourceRow[],
+  context: IncludeContext,
+  stack: string[],
+  prefix: string
+): SourceRow[] {
+  const { report } = context;
+  let expanded: SourceRow[] = [];
+
+  for (const row of rows) {
+    if (!row.text.startsWith("@")) {
+      expanded.push(prefix ? { ...row, prefix } : row);
+      continue;
+    }
+
+    // "..."로 감싼 경로에는 공백을 쓸 수 있음
+    const [directive, includePath, ...options] = tokenize(row.text).map(
+      (token) => token.value
+    );
+    if (directive !== "@include") {
+      report("unknown-directive", row, directive);
+      continue;
+    } else if (!includePath) {
+      report("missing-value", row, "include path");
+      continue;
+    }
+
+    let innerPrefix = "";
+    for (const option of options) {
+      const [key, value] = option.split("=");
+      if (key === "prefix" && value) {
+        innerPrefix = value;
+      } else {
+        report("invalid-directive-option", row, option, "@include");
+      }
+    }
+
+    const fromFile = row.file === undefined ? context.fromFile : row.file;
+    const included = context.resolve(includePath, fromFile);
+    if (!included) {
+      report("include-not-found", row, includePath);
+      continue;
+    } else if (stack.includes(included.file)) {
+      report("include-cycle", row, stack.concat(included.file).join(" -> "));
+      continue;
+    }
+
+    const rows = descriptionRows(sourceRowsOf(included.text, included.file));
+    expanded = expanded.concat(
+      expandRows(
+        context.expand ? context.expand(rows) : rows,
+        context,
+        stack.concat(included.file),
+        prefix + innerPrefix
+      )
+    );
+  }
+
+  return expanded;
+}
+
+/**
+ * Replaces the @include rows of [Descriptions] with the rows of the included
+ * files. Included rows keep their own file/line for the diagnostics and carry
+ * the identifier prefix in row.prefix.
+ * @param rows rows of the [Descriptions] section
+ * @param context resolver, name of the script and the diagnostics reporter
+ */
+export function expandIncludes(
+  rows: SourceRow[],
+  context: IncludeContext
+): SourceRow[] {
+  const stack = context.fromFile === null ? [] : [context.fromFile];
+  return expandRows(rows, context, stack, "");
+}
@@ -0,0 +1,24 @@
+import { Experiment } from "./types";
+export interface JsPsychExportOptions {
+    plugins?: {
+        [name: string]: any;
+    };
+    choiceKeys?: string[];
+}
+export interface JsPsychExportIssue {
+    label: string;
+    message: string;
+}
+export interface JsPsychExport {
+    timeline: any[];
+    issues: JsPsychExportIssue[];
+}
+export declare function escapeHtml(text: string): string;
+export declare function textHtml(content: string, fontSize: number | null, fontColor: string | null): string;
+/**
+ * Converts a parsed experiment into a jsPsych 7 timeline.
+ * Things jsPsych cannot express are listed in issues instead of being dropped silently.
+ * @param model output of Parser.model()
+ * @param options plugin classes and choice keys
+ */
+export declare function toJsPsychTimeline(model: Experiment, options?: JsPsychExportOptions): JsPsychExport;
@@ -0,0 +1,323 @@
+import { getFeedbackType } from "./registry";
+import {
+  Experiment,
+  InstructionStimulus,
+  Sequence,
+  Stimulus,
+  StimulusType,
+} from "./types";
+
+/*
+JSPSYCH EXPORT
+
+targets jsPsych 7. plugins are referred to by their package name without the
+prefix(@jspsych/plugin-image-button-response => "image-button-response"),
+pass options.plugins to get the plugin classes in `type` instead.
+
+- stimulus => image/html/audio/video-*-response, instruction => instructions
+- choices => buttons(button_html of each choice stimulus), or keys when
+  options.choiceKeys is given(choice i => choiceKeys[i])
+- <stimDur> => stimulus_duration, <choiceDur>(or <reactionTime>) => trial_duration
+- feedback => follow-up trials with conditional_function(registry select()),
+  feedback without <feed_back_duration> would never end and is not exported
+- test, answer and correct are stored in data for scoring
+*/
+
+export interface JsPsychExportOptions {
+  plugins?: { [name: string]: any };
+  choiceKeys?: string[];
+}
+
+// 변환하지 못한 항목. label ex) main_sequence[3]
+export interface JsPsychExportIssue {
+  label: string;
+  message: string;
+}
+
+export interface JsPsychExport {
+  timeline: any[];
+  issues: JsPsychExportIssue[];
+}
+
+export function escapeHtml(text: string): string {
+  return text.replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+}
+
+export function textHtml(
+  content: string,
+  fontSize: number | null,
+  fontColor: string | null
+): string {
+  const style = [
+    fontSize === null ? "" : `font-size: ${fontSize}px;`,
+    fontColor === null ? "" : `color: ${escapeHtml(fontColor)};`,
+  ].join(" ");
+  return `<p style="${style.trim()}">${escapeHtml(content)}</p>`;
+}
+
+// n, inf => null(jsPsych에서 시간 제한 없음), 0은 그대로
+function known(value: number | null | undefined): number | null {
+  return typeof value === "number" ? value : null;
+}
+
+class JsPsychExporter {
+  options: JsPsychExportOptions;
+  issues: JsPsychExportIssue[];
+  // 직전 본 시행의 결과. feedback 시행의 conditional_function에서 사용
+  last: { correct: boolean | null; response: number | null };
+
+  constructor(options: JsPsychExportOptions) {
+    this.options = options;
+    this.issues = [];
+    this.last = { correct: null, response: null };
+  }
+
+  report(label: string, message: string) {
+    this.issues.push({ label, message });
+  }
+
+  plugin(name: string): any {
+    const { plugins } = this.options;
+    return plugins && plugins[name] ? plugins[name] : name;
+  }
+
+  // 자극 유형별 plugin 이름 접두어와 stimulus 파라미터
+  stimulusParameters(
+    stimulus: Stimulus,
+    label: string
+  ): { kind: string; stimulus: any } | null {
+    switch (stimulus.stimulusType) {
+      case StimulusType.IMAGE:
+        return { kind: "image", stimulus: stimulus.filePath };
+      case StimulusType.TEXT:
+        return {
+          kind: "html",
+          stimulus: textHtml(
+            stimulus.content,
+            stimulus.fontSize,
+            stimulus.fontColor
+          ),
+        };
+      case StimulusType.AUDIO:
+        return { kind: "audio", stimulus: stimulus.filePath };
+      case StimulusType.VIDEO:
+        return { kind: "video", stimulus: [stimulus.filePath] };
+      default:
+        this.report(
+          label,
+          `${stimulus.stimulusType} stimulus ${stimulus.identifier} has no jsPsych plugin`
+        );
+        return null;
+    }
+  }
+
+  choiceHtml(choice: Stimulus, label: string): string {
+    switch (choice.stimulusType) {
+      case StimulusType.IMAGE:
+        return `<img src="${escapeHtml(choice.filePath)}">`;
+      case StimulusType.TEXT:
+        return textHtml(choice.content, choice.fontSize, choice.fontColor);
+      default:
+        this.report(
+          label,
+          `${choice.stimulusType} stimulus ${choice.identifier} cannot be shown as a choice`
+        );
+        return escapeHtml(choice.identifier);
+    }
+  }
+
+  instructionTrial(
+    stimulus: InstructionStimulus,
+    sequence: Sequence,
+    label: string
+  ) {
+    return {
+      type: this.plugin("instructions"),
+      pages: stimulus.pages.map((page) =>
+        textHtml(page, stimulus.fontSize, stimulus.fontColor)
+      ),
+      key_forward: stimulus.continueKey || "ArrowRight",
+      show_clickable_nav: stimulus.continueKey === null,
+      data: this.data(sequence, label),
+    };
+  }
+
+  data(sequence: Sequence, label: string) {
+    return {
+      label,
+      stimulus_identifier: sequence.stimulus && sequence.stimulus.identifier,
+      test: !!sequence.test,
+      answer: sequence.answer === undefined ? null : sequence.answer,
+    };
+  }
+
+  mainTrial(sequence: Sequence, label: string): any | null {
+    const { stimulus, choices } = sequence;
+    if (!stimulus) {
+      this.report(label, "the trial has no stimulus");
+      return null;
+    } else if (stimulus.stimulusType === StimulusType.INSTRUCTION) {
+      return this.instructionTrial(stimulus, sequence, label);
+    }
+
+    const parameters = this.stimulusParameters(stimulus, label);
+    if (!parameters) {
+      return null;
+    }
+
+    if (sequence.onSetTime) {
+      this.report(label, `onSetTime ${sequence.onSetTime}ms is not exported`);
+    }
+    if (choices && sequence.choiceOnsetRelativeToSim) {
+      this.report(
+        label,
+        `choiceOnsetRelativeToSim ${sequence.choiceOnsetRelativeToSim}ms is not exported, choices appear with the stimulus`
+      );
+    }
+
+    const { choiceKeys } = this.options;
+    const useKeys = !!choices && !!choiceKeys;
+    if (useKeys && choices!.length > choiceKeys!.length) {
+      this.report(
+        label,
+        `${choices!.length} choices but only ${choiceKeys!.length} choice keys`
+      );
+    }
+
+    const choiceDuration = known(sequence.choiceDuration);
+    const trialDuration = choices
+      ? choiceDuration === null
+        ? known(sequence.reactionTime)
+        : choiceDuration
+      : known(sequence.stimulusDuration);
+    const trial: any = {
+      type: this.plugin(
+        `${parameters.kind}-${
+          choices && !useKeys ? "button" : "keyboard"
+        }-response`
+      ),
+      stimulus: parameters.stimulus,
+      stimulus_duration: known(sequence.stimulusDuration),
+      trial_duration: trialDuration,
+      response_ends_trial: !!choices,
+      data: this.data(sequence, label),
+    };
+
+    if (!choices) {
+      trial.choices = "NO_KEYS";
+    } else if (useKeys) {
+      trial.choices = choiceKeys!.slice(0, choices.length);
+      trial.prompt = choices
+        .map((choice) => this.choiceHtml(choice, label))
+        .join("");
+    } else {
+      trial.choices = choices.map((choice) => choice.identifier);
+      trial.button_html = choices.map(
+        (choice) =>
+          `<button class="jspsych-btn">${this.choiceHtml(
+            choice,
+            label
+          )}</button>`
+      );
+    }
+
+    trial.on_finish = (data: any) => {
+      // 키 응답은 choiceKeys의 인덱스로 변환
+      const response =
+        useKeys && data.response !== null
+          ? choiceKeys!.indexOf(data.response)
+          : data.response;
+      const answer = sequence.answer;
+      data.response_index = response;
+      data.correct =
+        answer === null || answer === undefined ? null : response === answer;
+      this.last = { correct: data.correct, response };
+    };
+
+    return trial;
+  }
+
+  feedbackTrial(stimulus: Stimulus, feedbackDuration: number, label: string) {
+    const parameters = this.stimulusParameters(stimulus, label);
+    if (!parameters) {
+      return null;
+    }
+    return {
+      type: this.plugin(`${parameters.kind}-keyboard-response`),
+      stimulus: parameters.stimulus,
+      choices: "NO_KEYS",
+      trial_duration: feedbackDuration,
+      data: { label, feedback: stimulus.identifier },
+    };
+  }
+
+  conditional(trial: any, condition: () => boolean) {
+    return trial && { timeline: [trial], conditional_function: condition };
+  }
+
+  // 보여줄 수 있는 feedback 자극마다 시행을 만들고, 직전 응답으로 select()한 결과에 있을 때만 실행
+  feedbackTrials(sequence: Sequence, label: string): any[] {
+    const { feedbackType } = sequence;
+    const definition = feedbackType && getFeedbackType(feedbackType);
+    if (!definition) {
+      return [];
+    }
+    // 키 응답이 없는 feedback 시행은 시간이 없으면 끝나지 않으므로 timeline()처럼 건너뜀
+    const feedbackDuration = known(sequence.feedbackDuration);
+    if (feedbackDuration === null) {
+      if (definition.candidates(sequence).length > 0) {
+        this.report(
+          label,
+          "feedback without <feed_back_duration> is not exported"
+        );
+      }
+      return [];
+    }
+
+    return definition
+      .candidates(sequence)
+      .map((stimulus) => {
+        const trial = this.feedbackTrial(stimulus, feedbackDuration, label);
+        return this.conditional(trial, () =>
+          definition
+            .select({ sequence, ...this.last })
+            .some((shown) => shown.identifier === stimulus.identifier)
+        );
+      })
+      .filter((trial) => !!trial);
+  }
+
+  export(model: Experiment): JsPsychExport {
+    const timeline: any[] = [];
+    const { sequences } = model;
+
+    if (model.background) {
+      this.report("background", "the background stimulus is not exported");
+    }
+
+    for (const name of Object.keys(sequences)) {
+      sequences[name].forEach((sequence, index) => {
+        const label = `${name}[${index}]`;
+        const trial = this.mainTrial(sequence, label);
+        if (trial) {
+          timeline.push(trial, ...this.feedbackTrials(sequence, label));
+        }
+      });
+    }
+
+    return { timeline, issues: this.issues };
+  }
+}
+
+/**
+ * Converts a parsed experiment into a jsPsych 7 timeline.
+ * Things jsPsych cannot express are listed in issues instead of being dropped silently.
+ * @param model output of Parser.model()
+ * @param options plugin classes and choice keys
+ */
+export function toJsPsychTimeline(
+  model: Experiment,
+  options: JsPsychExportOptions = {}
+): JsPsychExport {
+  return new JsPsychExporter(options).export(model);
+}
@@ -0,0 +1,18 @@
+export interface LexToken {
+    value: string;
+    offset: number;
+    length: number;
+    quoted: boolean;
+    unclosed: boolean;
+}
+export declare function splitLines(text: string): string[];
+export declare function splitComment(line: string): {
+    text: string;
+    comment: string | null;
+};
+/**
+ * Splits a row(without its comment) into tokens.
+ * An unclosed quote runs to the end of the row and sets unclosed.
+ */
+export declare function tokenize(text: string): LexToken[];
+export declare function quoteToken(value: string): string;
@@ -0,0 +1,107 @@
+/*
+LEXER
+
+shared by every row of a script(stimulus descriptions, sequence rows, directives)
+
+- lines end with \n, \r\n or \r, a BOM at the start of the text is ignored
+- tokens are separated by any whitespace(spaces, tabs, several of them)
+- "..." or '...' at the start of a token : whitespace, # and the other quote are
+  part of the token. a quote in the middle of a token is a normal character
+  ex) text T3 'say "hi"' n n => ["text", "T3", "say \"hi\"", "n", "n"]
+- \ before a whitespace, quote, \ or # escapes it, in and outside of quotes.
+  before any other character the \ is kept(windows paths: img\F1.png)
+  ex) text T4 "a \"quoted\" word" n n => a "quoted" word
+- # outside of quotes(and not escaped) starts a comment to the end of the line
+*/
+
+export interface LexToken {
+  value: string; // 따옴표와 escape를 처리한 값
+  offset: number; // row 안에서 토큰이 시작하는 위치(0부터, 따옴표 포함)
+  length: number; // 원문에서의 길이
+  quoted: boolean;
+  unclosed: boolean; // 따옴표가 row 끝까지 닫히지 않음
+}
+
+const QUOTES = ['"', "'"];
+const ESCAPABLE = /[\s"'\\#]/;
+const WHITESPACE = /\s/;
+
+export function splitLines(text: string): string[] {
+  return text.replace(/^\uFEFF/, "").split(/\r\n|\r|\n/);
+}
+
+// 따옴표 밖의 첫 #에서 주석을 분리. 주석이 없으면 comment는 null
+export function splitComment(
+  line: string
+): { text: string; comment: string | null } {
+  let quote: string | null = null;
+  for (let index = 0; index < line.length; index++) {
+    const char = line[index];
+    const tokenStart = index === 0 || WHITESPACE.test(line[index - 1]);
+    if (char === "\\" && ESCAPABLE.test(line[index + 1] || "")) {
+      index++;
+    } else if (quote !== null) {
+      quote = char === quote ? null : quote;
+    } else if (QUOTES.includes(char) && tokenStart) {
+      quote = char;
+    } else if (char === "#") {
+      return { text: line.slice(0, index), comment: line.slice(index + 1) };
+    }
+  }
+  return { text: line, comment: null };
+}
+
+/**
+ * Splits a row(without its comment) into tokens.
+ * An unclosed quote runs to the end of the row and sets unclosed.
+ */
+export function tokenize(text: string): LexToken[] {
+  const tokens: LexToken[] = [];
+  let index = 0;
+
+  while (index < text.length) {
+    if (WHITESPACE.test(text[index])) {
+      index++;
+      continue;
+    }
+
+    const offset = index;
+    let value = "";
+    let quote: string | null = null;
+    let quoted = false;
+    for (; index < text.length; index++) {
+      const char = text[index];
+      if (char === "\\" && ESCAPABLE.test(text[index + 1] || "")) {
+        value += text[++index];
+      } else if (quote !== null) {
+        if (char === quote) {
+          quote = null;
+        } else {
+          value += char;
+        }
+      } else if (WHITESPACE.test(char)) {
+        break;
+      } else if (QUOTES.includes(char) && index === offset) {
+        quote = char;
+        quoted = true;
+      } else {
+        value += char;
+      }
+    }
+
+    tokens.push({
+      value,
+      offset,
+      length: index - offset,
+      quoted,
+      unclosed: quote !== null,
+    });
+  }
+
+  return tokens;
+}
+
+// tokenize()가 같은 값으로 읽도록 따옴표와 escape를 붙임
+export function quoteToken(value: string): string {
+  return `"${value.replace(/["\\]/g, (char) => `\\${char}`)}"`;
+}
@@ -0,0 +1,19 @@
+import { Diagnostic } from "./diagnostics";
+import Parser = require("./parser.v2");
+export declare type LintSeverity = "error" | "warning" | "info" | "off";
+export interface LintOptions {
+    rules?: {
+        [rule: string]: LintSeverity;
+    };
+    assetDir?: string;
+    frameDuration?: number;
+    answerTolerance?: number;
+}
+export declare function unusedStimuli(parser: Parser): string[];
+export declare const LINT_RULES: string[];
+/**
+ * Runs the lint rules on an executed parser. The diagnostics are returned,
+ * not added to parser.diagnostics.
+ * Throws if options.rules names an unknown rule or severity.
+ */
+export declare function lint(parser: Parser, options?: LintOptions): Diagnostic[];
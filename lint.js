@@ -0,0 +1,273 @@
+"use strict";
+var __importDefault = (this && this.__importDefault) || function (mod) {
+    return (mod && mod.__esModule) ? mod : { "default": mod };
+};
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.lint = exports.LINT_RULES = exports.unusedStimuli = void 0;
+const fs_1 = __importDefault(require("fs"));
+const path_1 = __importDefault(require("path"));
+const diagnostics_1 = require("./diagnostics");
+const files_1 = require("./files");
+const registry_1 = require("./registry");
+const sections_1 = require("./sections");
+const DEFAULT_FRAME_DURATION = 1000 / 60;
+const DEFAULT_ANSWER_TOLERANCE = 0.2;
+const MIN_ANSWERED_TRIALS = 10;
+const SEVERITIES = {
+    error: diagnostics_1.Severity.ERROR,
+    warning: diagnostics_1.Severity.WARNING,
+    info: diagnostics_1.Severity.INFO,
+};
+// 시퀀스나 background에서 쓰이지 않는 자극
+function unusedStimuli(parser) {
+    const used = new Set();
+    const use = (stimulus) => stimulus && used.add(stimulus.identifier);
+    use(parser.background);
+    for (const section of Object.keys(parser.sequences)) {
+        for (const sequence of parser.sequences[section]) {
+            use(sequence.stimulus);
+            (sequence.choices || []).forEach(use);
+            use(sequence.feedback1);
+            use(sequence.feedback2);
+        }
+    }
+    return Object.keys(parser.stimulus).filter((identifier) => !used.has(identifier));
+}
+exports.unusedStimuli = unusedStimuli;
+function identifierPosition(parser, identifier) {
+    const row = parser.stimulusRowOf[identifier];
+    return parser.tokenPosition(row, parser.stimulusIdentifierToken(row));
+}
+// text_file과 스크립트가 같은 .txt를 쓰므로 내용으로 구분. 읽을 수 없으면 스크립트가 아님
+function isScript(file) {
+    if (path_1.default.extname(file).toLowerCase() !== ".txt") {
+        return false;
+    }
+    try {
+        return fs_1.default.readFileSync(file, "utf8").includes("[Descriptions]");
+    }
+    catch (e) {
+        return false;
+    }
+}
+function assetDirOf(parser, options) {
+    if (options.assetDir !== undefined) {
+        return options.assetDir;
+    }
+    else if (parser.options.assetBaseDir !== undefined) {
+        return parser.options.assetBaseDir;
+    }
+    else if (parser.options.fileName !== undefined) {
+        return path_1.default.dirname(parser.options.fileName);
+    }
+    return null;
+}
+function sequencesWithLabels(parser) {
+    const sequences = [];
+    for (const section of Object.keys(parser.sequences)) {
+        const sectionSequences = parser.sequences[section];
+        sectionSequences.forEach((sequence, index) => sequences.push({ sequence, label: `${section}[${index}]` }));
+    }
+    return sequences;
+}
+const RULES = [
+    {
+        name: "duplicate-identifier",
+        check: (parser, options, report) => {
+            for (const redefined of parser.redefinedStimulusRows) {
+                const { row } = redefined;
+                report(parser.tokenPosition(row, parser.stimulusIdentifierToken(row)), redefined.identifier, String(redefined.previous.line));
+            }
+        },
+    },
+    {
+        name: "unused-stimulus",
+        check: (parser, options, report) => {
+            for (const identifier of unusedStimuli(parser)) {
+                report(identifierPosition(parser, identifier), identifier);
+            }
+        },
+    },
+    {
+        name: "unused-file",
+        check: (parser, options, report) => {
+            const dir = assetDirOf(parser, options);
+            if (dir === null || !fs_1.default.existsSync(dir)) {
+                return;
+            }
+            const stimuli = Object.keys(parser.stimulus).map((identifier) => parser.stimulus[identifier]);
+            if (parser.background) {
+                stimuli.push(parser.background);
+            }
+            const used = new Set();
+            const extensions = new Set();
+            for (const stimulus of stimuli) {
+                const filePath = registry_1.filePathOf(stimulus);
+                if (filePath !== null) {
+                    used.add(path_1.default.resolve(dir, filePath));
+                    extensions.add(path_1.default.extname(filePath).toLowerCase());
+                }
+            }
+            for (const file of files_1.walk(dir)) {
+                const extension = path_1.default.extname(file).toLowerCase();
+                if (extensions.has(extension) &&
+                    !used.has(path_1.default.resolve(file)) &&
+                    !isScript(file)) {
+                    const name = path_1.default.relative(dir, file).split(path_1.default.sep).join("/");
+                    report({ line: 1, column: 1 }, name);
+                }
+            }
+        },
+    },
+    {
+        name: "inconsistent-font-defaults",
+        check: (parser, options, report) => {
+            for (const column of ["fontSize", "fontColor"]) {
+                const stimuli = Object.keys(parser.stimulus)
+                    .map((identifier) => parser.stimulus[identifier])
+                    .filter((stimulus) => column in stimulus);
+                const defaults = stimuli.filter((stimulus) => stimulus[column] === null);
+                const explicit = stimuli.length - defaults.length;
+                // 대부분이 지정한 경우만. 반대면 지정한 쪽이 의도적인 강조일 수 있음
+                if (explicit <= defaults.length) {
+                    continue;
+                }
+                for (const stimulus of defaults) {
+                    report(identifierPosition(parser, stimulus.identifier), stimulus.identifier, column, String(explicit));
+                }
+            }
+        },
+    },
+    {
+        name: "answer-imbalance",
+        check: (parser, options, report) => {
+            const tolerance = options.answerTolerance === undefined
+                ? DEFAULT_ANSWER_TOLERANCE
+                : options.answerTolerance;
+            const mainSequences = Object.keys(parser.sequences)
+                .filter(sections_1.isMainSection)
+                .reduce((sequences, section) => sequences.concat(parser.sequences[section]), []);
+            const answered = mainSequences.filter((sequence) => typeof sequence.answer === "number" &&
+                !!sequence.choices &&
+                sequence.choices.length > 1);
+            if (answered.length < MIN_ANSWERED_TRIALS) {
+                return;
+            }
+            // 선택지 수가 시행마다 다를 수 있으므로 기대값은 시행별 1/선택지 수의 합
+            const observed = [];
+            const expected = [];
+            for (const sequence of answered) {
+                const choiceCount = sequence.choices.length;
+                for (let index = 0; index < choiceCount; index++) {
+                    expected[index] = (expected[index] || 0) + 1 / choiceCount;
+                    observed[index] = observed[index] || 0;
+                }
+                observed[sequence.answer]++;
+            }
+            const imbalanced = expected.some((count, index) => Math.abs(observed[index] - count) / answered.length > tolerance);
+            if (imbalanced) {
+                const location = parser.sequenceLocations.get(answered[0]);
+                report(location
+                    ? location.fields.answer || location.row
+                    : { line: 1, column: 1 }, observed.map((count, index) => `${index}: ${count}`).join(", "));
+            }
+        },
+    },
+    {
+        name: "suspicious-timing",
+        check: (parser, options, report) => {
+            const frame = options.frameDuration === undefined
+                ? DEFAULT_FRAME_DURATION
+                : options.frameDuration;
+            const columns = [
+                "stimulusDuration",
+                "choiceDuration",
+                "feedbackDuration",
+            ];
+            // repeat로 복사된 시행은 같은 row이므로 한 번만
+            const reported = new Set();
+            for (const { sequence, label } of sequencesWithLabels(parser)) {
+                const location = parser.sequenceLocations.get(sequence);
+                for (const column of columns) {
+                    const value = sequence[column];
+                    if (typeof value !== "number" || value >= frame || !location) {
+                        continue;
+                    }
+                    const position = location.fields[column] || location.row;
+                    const key = `${position.file}:${position.line}:${position.column}`;
+                    if (!reported.has(key)) {
+                        reported.add(key);
+                        report(position, label, column, String(value), String(Math.round(frame * 10) / 10));
+                    }
+                }
+            }
+        },
+    },
+];
+exports.LINT_RULES = RULES.map((rule) => rule.name);
+// lint-disable 주석으로 꺼진 규칙. "*"는 모든 규칙
+function disabledRules(parser) {
+    const byLine = {};
+    let file = [];
+    for (const comment of parser.comments) {
+        const match = /^lint-disable(-next-line|-file)?(?:\s+(.*))?$/.exec(comment.text);
+        if (!match) {
+            continue;
+        }
+        const rules = match[2]
+            ? match[2].split(/[\s,]+/).filter((rule) => !!rule)
+            : ["*"];
+        if (match[1] === "-file") {
+            file = file.concat(rules);
+        }
+        else {
+            const line = match[1] === "-next-line" ? comment.line + 1 : comment.line;
+            byLine[line] = (byLine[line] || []).concat(rules);
+        }
+    }
+    return (diagnostic) => {
+        // @include한 파일의 주석은 읽지 않음
+        if (diagnostic.file !== undefined) {
+            return false;
+        }
+        const rules = file.concat(byLine[diagnostic.line] || []);
+        return rules.includes("*") || rules.includes(diagnostic.code);
+    };
+}
+/**
+ * Runs the lint rules on an executed parser. The diagnostics are returned,
+ * not added to parser.diagnostics.
+ * Throws if options.rules names an unknown rule or severity.
+ */
+function lint(parser, options = {}) {
+    const settings = options.rules || {};
+    for (const name of Object.keys(settings)) {
+        if (!exports.LINT_RULES.includes(name)) {
+            throw new Error(`Unknown lint rule ${name}`);
+        }
+        else if (settings[name] !== "off" && !SEVERITIES[settings[name]]) {
+            throw new Error(`Unknown severity ${settings[name]} of ${name}`);
+        }
+    }
+    const isDisabled = disabledRules(parser);
+    const diagnostics = [];
+    for (const rule of RULES) {
+        const setting = settings[rule.name];
+        if (setting === "off") {
+            continue;
+        }
+        const severity = setting
+            ? SEVERITIES[setting]
+            : diagnostics_1.DiagnosticMessages[rule.name].severity;
+        rule.check(parser, options, (position, ...args) => {
+            const diagnostic = Object.assign(Object.assign({}, diagnostics_1.createDiagnostic(rule.name, position, ...args)), { severity });
+            if (!isDisabled(diagnostic)) {
+                diagnostics.push(diagnostic);
+            }
+        });
+    }
+    return diagnostics.sort((a, b) => (a.file || "").localeCompare(b.file || "") ||
+        a.line - b.line ||
+        a.column - b.column);
+}
+exports.lint = lint;
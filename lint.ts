@@ -0,0 +1,383 @@
+import fs from "fs";
+import path from "path";
+import {
+  createDiagnostic,
+  Diagnostic,
+  DiagnosticMessages,
+  Severity,
+  SourcePosition,
+} from "./diagnostics";
+import { walk } from "./files";
+import { filePathOf } from "./registry";
+import { isMainSection } from "./sections";
+import { Sequence, Stimulus } from "./types";
+import Parser = require("./parser.v2");
+
+/*
+LINT
+
+checks of a parsed script that are not errors of the format
+(run after execute(), with collectDiagnostics)
+
+- duplicate-identifier : a stimulus description replaces an earlier one with the same identifier
+- unused-stimulus : no trial(and not the background) uses the stimulus
+- unused-file : a file under the asset directory is not used by any stimulus
+  (only files with an extension that the stimuli use, other scripts are skipped)
+- inconsistent-font-defaults : a stimulus leaves fontSize/fontColor n while
+  most stimuli with that column set it
+- answer-imbalance : the <answer> positions of the [MainSeq] sections(together)
+  are far from even
+  (more than answerTolerance from the expected share, with 10 answered trials or more)
+- suspicious-timing : <stimDur>, <choiceDur> or <feed_back_duration> is shorter
+  than a screen frame(frameDuration, 60Hz by default)
+
+- every rule has a severity : error, warning, info or off
+  ex) lint(parser, { rules: { "unused-file": "off", "duplicate-identifier": "error" } })
+- inline comments turn rules off(all of them without rule names)
+  # lint-disable [rule, ...]           : on a row, for that row
+  # lint-disable-next-line [rule, ...] : for the next line
+  # lint-disable-file [rule, ...]      : for the whole script
+  ex) image F1 img/F1.png # lint-disable unused-stimulus
+*/
+
+export type LintSeverity = "error" | "warning" | "info" | "off";
+
+export interface LintOptions {
+  rules?: { [rule: string]: LintSeverity };
+  // unused-file의 기준 디렉토리. 기본값은 parser의 assetBaseDir, 없으면 스크립트의 디렉토리
+  assetDir?: string;
+  frameDuration?: number; // ms
+  answerTolerance?: number; // 0 ~ 1
+}
+
+type LintReport = (position: SourcePosition, ...args: string[]) => void;
+
+interface LintRule {
+  name: string;
+  check: (parser: Parser, options: LintOptions, report: LintReport) => void;
+}
+
+const DEFAULT_FRAME_DURATION = 1000 / 60;
+const DEFAULT_ANSWER_TOLERANCE = 0.2;
+const MIN_ANSWERED_TRIALS = 10;
+
+const SEVERITIES: { [severity: string]: Severity } = {
+  error: Severity.ERROR,
+  warning: Severity.WARNING,
+  info: Severity.INFO,
+};
+
+// 시퀀스나 background에서 쓰이지 않는 자극
+export function unusedStimuli(parser: Parser): string[] {
+  const used = new Set<string>();
+  const use = (stimulus: Stimulus | null | undefined) =>
+    stimulus && used.add(stimulus.identifier);
+
+  use(parser.background);
+  for (const section of Object.keys(parser.sequences)) {
+    for (const sequence of parser.sequences[section] as Sequence[]) {
+      use(sequence.stimulus);
+      (sequence.choices || []).forEach(use);
+      use(sequence.feedback1);
+      use(sequence.feedback2);
+    }
+  }
+  return Object.keys(parser.stimulus).filter(
+    (identifier) => !used.has(identifier)
+  );
+}
+
+function identifierPosition(parser: Parser, identifier: string) {
+  const row = parser.stimulusRowOf[identifier];
+  return parser.tokenPosition(row, parser.stimulusIdentifierToken(row));
+}
+
+// text_file과 스크립트가 같은 .txt를 쓰므로 내용으로 구분. 읽을 수 없으면 스크립트가 아님
+function isScript(file: string): boolean {
+  if (path.extname(file).toLowerCase() !== ".txt") {
+    return false;
+  }
+  try {
+    return fs.readFileSync(file, "utf8").includes("[Descriptions]");
+  } catch (e) {
+    return false;
+  }
+}
+
+function assetDirOf(parser: Parser, options: LintOptions): string | null {
+  if (options.assetDir !== undefined) {
+    return options.assetDir;
+  } else if (parser.options.assetBaseDir !== undefined) {
+    return parser.options.assetBaseDir;
+  } else if (parser.options.fileName !== undefined) {
+    return path.dirname(parser.options.fileName);
+  }
+  return null;
+}
+
+function sequencesWithLabels(parser: Parser) {
+  const sequences: { sequence: Sequence; label: string }[] = [];
+  for (const section of Object.keys(parser.sequences)) {
+    const sectionSequences: Sequence[] = parser.sequences[section];
+    sectionSequences.forEach((sequence, index) =>
+      sequences.push({ sequence, label: `${section}[${index}]` })
+    );
+  }
+  return sequences;
+}
+
+const RULES: LintRule[] = [
+  {
+    name: "duplicate-identifier",
+    check: (parser, options, report) => {
+      for (const redefined of parser.redefinedStimulusRows) {
+        const { row } = redefined;
+        report(
+          parser.tokenPosition(row, parser.stimulusIdentifierToken(row)),
+          redefined.identifier,
+          String(redefined.previous.line)
+        );
+      }
+    },
+  },
+  {
+    name: "unused-stimulus",
+    check: (parser, options, report) => {
+      for (const identifier of unusedStimuli(parser)) {
+        report(identifierPosition(parser, identifier), identifier);
+      }
+    },
+  },
+  {
+    name: "unused-file",
+    check: (parser, options, report) => {
+      const dir = assetDirOf(parser, options);
+      if (dir === null || !fs.existsSync(dir)) {
+        return;
+      }
+
+      const stimuli: Stimulus[] = Object.keys(parser.stimulus).map(
+        (identifier) => parser.stimulus[identifier]
+      );
+      if (parser.background) {
+        stimuli.push(parser.background);
+      }
+      const used = new Set<string>();
+      const extensions = new Set<string>();
+      for (const stimulus of stimuli) {
+        const filePath = filePathOf(stimulus);
+        if (filePath !== null) {
+          used.add(path.resolve(dir, filePath));
+          extensions.add(path.extname(filePath).toLowerCase());
+        }
+      }
+
+      for (const file of walk(dir)) {
+        const extension = path.extname(file).toLowerCase();
+        if (
+          extensions.has(extension) &&
+          !used.has(path.resolve(file)) &&
+          !isScript(file)
+        ) {
+          const name = path.relative(dir, file).split(path.sep).join("/");
+          report({ line: 1, column: 1 }, name);
+        }
+      }
+    },
+  },
+  {
+    name: "inconsistent-font-defaults",
+    check: (parser, options, report) => {
+      for (const column of ["fontSize", "fontColor"]) {
+        const stimuli = Object.keys(parser.stimulus)
+          .map((identifier) => parser.stimulus[identifier])
+          .filter((stimulus) => column in stimulus);
+        const defaults = stimuli.filter(
+          (stimulus) => stimulus[column] === null
+        );
+        const explicit = stimuli.length - defaults.length;
+        // 대부분이 지정한 경우만. 반대면 지정한 쪽이 의도적인 강조일 수 있음
+        if (explicit <= defaults.length) {
+          continue;
+        }
+        for (const stimulus of defaults) {
+          report(
+            identifierPosition(parser, stimulus.identifier),
+            stimulus.identifier,
+            column,
+            String(explicit)
+          );
+        }
+      }
+    },
+  },
+  {
+    name: "answer-imbalance",
+    check: (parser, options, report) => {
+      const tolerance =
+        options.answerTolerance === undefined
+          ? DEFAULT_ANSWER_TOLERANCE
+          : options.answerTolerance;
+      const mainSequences: Sequence[] = Object.keys(parser.sequences)
+        .filter(isMainSection)
+        .reduce(
+          (sequences: Sequence[], section) =>
+            sequences.concat(parser.sequences[section]),
+          []
+        );
+      const answered = mainSequences.filter(
+        (sequence) =>
+          typeof sequence.answer === "number" &&
+          !!sequence.choices &&
+          sequence.choices.length > 1
+      );
+      if (answered.length < MIN_ANSWERED_TRIALS) {
+        return;
+      }
+
+      // 선택지 수가 시행마다 다를 수 있으므로 기대값은 시행별 1/선택지 수의 합
+      const observed: number[] = [];
+      const expected: number[] = [];
+      for (const sequence of answered) {
+        const choiceCount = (sequence.choices as Stimulus[]).length;
+        for (let index = 0; index < choiceCount; index++) {
+          expected[index] = (expected[index] || 0) + 1 / choiceCount;
+          observed[index] = observed[index] || 0;
+        }
+        observed[sequence.answer as number]++;
+      }
+
+      const imbalanced = expected.some(
+        (count, index) =>
+          Math.abs(observed[index] - count) / answered.length > tolerance
+      );
+      if (imbalanced) {
+        const location = parser.sequenceLocations.get(answered[0]);
+        report(
+          location
+            ? location.fields.answer || location.row
+            : { line: 1, column: 1 },
+          observed.map((count, index) => `${index}: ${count}`).join(", ")
+        );
+      }
+    },
+  },
+  {
+    name: "suspicious-timing",
+    check: (parser, options, report) => {
+      const frame =
+        options.frameDuration === undefined
+          ? DEFAULT_FRAME_DURATION
+          : options.frameDuration;
+      const columns = [
+        "stimulusDuration",
+        "choiceDuration",
+        "feedbackDuration",
+      ];
+      // repeat로 복사된 시행은 같은 row이므로 한 번만
+      const reported = new Set<string>();
+
+      for (const { sequence, label } of sequencesWithLabels(parser)) {
+        const location = parser.sequenceLocations.get(sequence);
+        for (const column of columns) {
+          const value = (sequence as any)[column];
+          if (typeof value !== "number" || value >= frame || !location) {
+            continue;
+          }
+          const position = location.fields[column] || location.row;
+          const key = `${position.file}:${position.line}:${position.column}`;
+          if (!reported.has(key)) {
+            reported.add(key);
+            report(
+              position,
+              label,
+              column,
+              String(value),
+              String(Math.round(frame * 10) / 10)
+            );
+          }
+        }
+      }
+    },
+  },
+];
+
+export const LINT_RULES = RULES.map((rule) => rule.name);
+
+// lint-disable 주석으로 꺼진 규칙. "*"는 모든 규칙
+function disabledRules(parser: Parser) {
+  const byLine: { [line: number]: string[] } = {};
+  let file: string[] = [];
+
+  for (const comment of parser.comments) {
+    const match = /^lint-disable(-next-line|-file)?(?:\s+(.*))?$/.exec(
+      comment.text
+    );
+    if (!match) {
+      continue;
+    }
+    const rules = match[2]
+      ? match[2].split(/[\s,]+/).filter((rule) => !!rule)
+      : ["*"];
+    if (match[1] === "-file") {
+      file = file.concat(rules);
+    } else {
+      const line = match[1] === "-next-line" ? comment.line + 1 : comment.line;
+      byLine[line] = (byLine[line] || []).concat(rules);
+    }
+  }
+
+  return (diagnostic: Diagnostic) => {
+    // @include한 파일의 주석은 읽지 않음
+    if (diagnostic.file !== undefined) {
+      return false;
+    }
+    const rules = file.concat(byLine[diagnostic.line] || []);
+    return rules.includes("*") || rules.includes(diagnostic.code);
+  };
+}
+
+/**
+ * Runs the lint rules on an executed parser. The diagnostics are returned,
+ * not added to parser.diagnostics.
+ * Throws if options.rules names an unknown rule or severity.
+ */
+export function lint(parser: Parser, options: LintOptions = {}): Diagnostic[] {
+  const settings = options.rules || {};
+  for (const name of Object.keys(settings)) {
+    if (!LINT_RULES.includes(name)) {
+      throw new Error(`Unknown lint rule ${name}`);
+    } else if (settings[name] !== "off" && !SEVERITIES[settings[name]]) {
+      throw new Error(`Unknown severity ${settings[name]} of ${name}`);
+    }
+  }
+
+  const isDisabled = disabledRules(parser);
+  const diagnostics: Diagnostic[] = [];
+  for (const rule of RULES) {
+    const setting = settings[rule.name];
+    if (setting === "off") {
+      continue;
+    }
+    const severity = setting
+      ? SEVERITIES[setting]
+      : DiagnosticMessages[rule.name].severity;
+
+    rule.check(parser, options, (position, ...args) => {
+      const diagnostic = {
+        ...createDiagnostic(rule.name, position, ...args),
+        severity,
+      };
+      if (!isDisabled(diagnostic)) {
+        diagnostics.push(diagnostic);
+      }
+    });
+  }
+
+  return diagnostics.sort(
+    (a, b) =>
+      (a.file || "").localeCompare(b.file || "") ||
+      a.line - b.line ||
+      a.column - b.column
+  );
+}
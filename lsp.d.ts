@@ -0,0 +1,111 @@
+/// <reference types="node" />
+import { Readable, Writable } from "stream";
+import { Diagnostic } from "./diagnostics";
+import Parser = require("./parser.v2");
+interface Position {
+    line: number;
+    character: number;
+}
+interface Range {
+    start: Position;
+    end: Position;
+}
+interface Message {
+    jsonrpc: "2.0";
+    id?: number | string | null;
+    method?: string;
+    params?: any;
+    result?: any;
+    error?: {
+        code: number;
+        message: string;
+    };
+}
+interface IdentifierReference {
+    identifier: string;
+    range: Range;
+    column: string;
+}
+interface ColumnToken {
+    column: string;
+    range: Range;
+}
+interface SectionSpan {
+    keyword: string;
+    start: number;
+    end: number;
+}
+interface Analysis {
+    uri: string;
+    version: number | null;
+    text: string;
+    parser: Parser;
+    references: IdentifierReference[];
+    importedIdentifiers: {
+        [identifier: string]: string;
+    };
+    columns: ColumnToken[];
+    sections: SectionSpan[];
+    includedFiles: string[];
+}
+/**
+ * Parses a script and collects the identifier and column positions that
+ * completion, hover, definition and rename need.
+ */
+export declare function analyze(uri: string, text: string, version?: number | null): Analysis;
+export declare class LanguageServer {
+    input: Readable;
+    output: Writable;
+    exit: (code: number) => void;
+    documents: Map<string, Analysis>;
+    buffer: Buffer;
+    shutdown: boolean;
+    constructor(input: Readable, output: Writable, exit?: (code: number) => void);
+    listen(): void;
+    receive(chunk: Buffer): void;
+    send(message: Message): void;
+    notify(method: string, params: any): void;
+    handle(message: Message): void;
+    dispatch(method: string, params: any, isRequest: boolean): any;
+    document(params: any): Analysis;
+    update(uri: string, text: string, version: number | null): void;
+    close(uri: string): void;
+    lspDiagnostic(diagnostic: Diagnostic, lines: string[]): {
+        range: Range;
+        severity: number;
+        code: string;
+        source: string;
+        message: string;
+    };
+    publishDiagnostics(document: Analysis, previous?: Analysis): void;
+    referenceAt(document: Analysis, position: Position): IdentifierReference | undefined;
+    completion(document: Analysis, position: Position): {
+        label: string;
+        kind: number;
+        detail: any;
+    }[];
+    hover(document: Analysis, position: Position): {
+        contents: {
+            kind: string;
+            value: string;
+        };
+        range: Range;
+    } | null;
+    definition(document: Analysis, position: Position): {
+        uri: string;
+        range: Range;
+    } | null;
+    rename(document: Analysis, position: Position, newName: string): {
+        changes: {
+            [x: string]: {
+                range: Range;
+                newText: string;
+            }[];
+        };
+    };
+}
+/**
+ * Starts a language server on the given streams(stdin/stdout for editors).
+ */
+export declare function startLanguageServer(input?: Readable, output?: Writable): LanguageServer;
+export {};
@@ -0,0 +1,639 @@
+import fs from "fs";
+import path from "path";
+import { Readable, Writable } from "stream";
+import { fileURLToPath, pathToFileURL } from "url";
+import { Diagnostic, errorMessage, Severity, SourceRow } from "./diagnostics";
+import { sourceRowsOf } from "./include";
+import { getStimulusType } from "./registry";
+import { isSequenceKeyword, SectionScanner } from "./sections";
+import Parser = require("./parser.v2");
+
+/*
+LANGUAGE SERVER
+
+jsparser lsp : Language Server Protocol server on stdin/stdout
+(JSON-RPC messages with a Content-Length header)
+
+- diagnostics of the script when it is opened or changed(full text sync),
+  diagnostics of @include files are published for those files
+- completion : stimulus identifiers in the identifier(stim), choices and
+  feedback1/feedback2 columns of a sequence row
+- hover : column name of a token of a sequence row
+- definition : from an identifier of a sequence row to its [Descriptions] row
+- rename : a stimulus identifier in [Descriptions] and every sequence row of the
+  script. stimuli of @include files cannot be renamed
+- rows made from templates(@set, $name, {a..b}) are skipped by completion,
+  hover, definition and rename, their text differs from what is written
+*/
+
+interface Position {
+  line: number; // 0부터
+  character: number; // 0부터, UTF-16 code unit
+}
+
+interface Range {
+  start: Position;
+  end: Position;
+}
+
+interface Message {
+  jsonrpc: "2.0";
+  id?: number | string | null;
+  method?: string;
+  params?: any;
+  result?: any;
+  error?: { code: number; message: string };
+}
+
+// 식별자가 적힌 위치. [Descriptions]의 정의 또는 시퀀스 row의 참조
+interface IdentifierReference {
+  identifier: string;
+  range: Range;
+  column: string; // stimulus, choices, feedback1, feedback2, 정의는 identifier
+}
+
+interface ColumnToken {
+  column: string;
+  range: Range;
+}
+
+interface SectionSpan {
+  keyword: string;
+  start: number; // [...] 행(0부터)
+  end: number; // [End...] 행, 닫히지 않았으면 Infinity
+}
+
+interface Analysis {
+  uri: string;
+  version: number | null;
+  text: string;
+  parser: Parser;
+  references: IdentifierReference[];
+  // @import한 표에서 쓰인 식별자 => 표 파일
+  importedIdentifiers: { [identifier: string]: string };
+  columns: ColumnToken[];
+  sections: SectionSpan[];
+  includedFiles: string[]; // 진단을 publish한 @include 파일 uri
+}
+
+// JSON-RPC error codes
+const METHOD_NOT_FOUND = -32601;
+const INVALID_PARAMS = -32602;
+const REQUEST_FAILED = -32803;
+
+// LSP enums
+const TEXT_DOCUMENT_SYNC_FULL = 1;
+const DIAGNOSTIC_ERROR = 1;
+const DIAGNOSTIC_WARNING = 2;
+const COMPLETION_VALUE = 12;
+
+const IDENTIFIER_COLUMNS = ["stimulus", "choices", "feedback1", "feedback2"];
+const IDENTIFIER = /^[^\s,"#=]+$/;
+
+class ResponseError extends Error {
+  code: number;
+
+  constructor(code: number, message: string) {
+    super(message);
+    this.code = code;
+  }
+}
+
+function contains(range: Range, position: Position): boolean {
+  return (
+    range.start.line === position.line &&
+    range.start.character <= position.character &&
+    position.character <= range.end.character
+  );
+}
+
+function rangeOf(line: number, start: number, length: number): Range {
+  return {
+    start: { line, character: start },
+    end: { line, character: start + length },
+  };
+}
+
+function filePathOf(uri: string): string | undefined {
+  return uri.startsWith("file:") ? fileURLToPath(uri) : undefined;
+}
+
+// 읽을 수 없으면 빈 문자열(진단 범위만 짧아짐)
+function readText(filePath: string): string {
+  try {
+    return fs.readFileSync(filePath, "utf8");
+  } catch (e) {
+    return "";
+  }
+}
+
+// 템플릿으로 만든 row는 원문과 달라서 위치를 쓸 수 없음
+function isWritten(row: SourceRow, lines: string[]): boolean {
+  const line = lines[row.line - 1];
+  return (
+    row.file === undefined &&
+    line !== undefined &&
+    line.substr(row.column - 1, row.text.length) === row.text
+  );
+}
+
+// 작성 중인 문서이므로 닫히지 않은 섹션도 포함. 진단은 parser가 보고
+function sectionSpans(text: string): SectionSpan[] {
+  const scanner = new SectionScanner(() => undefined, false);
+  const spans: SectionSpan[] = [];
+  for (const row of sourceRowsOf(text)) {
+    const event = scanner.push(row);
+    const open = spans[spans.length - 1];
+    if (event && event.type === "start") {
+      if (open && open.end === Infinity) {
+        open.end = row.line - 1;
+      }
+      spans.push({
+        keyword: event.section.keyword,
+        start: row.line - 1,
+        end: Infinity,
+      });
+    } else if (event && event.type === "end") {
+      open.end = row.line - 1;
+    }
+  }
+  return spans;
+}
+
+/**
+ * Parses a script and collects the identifier and column positions that
+ * completion, hover, definition and rename need.
+ */
+export function analyze(
+  uri: string,
+  text: string,
+  version: number | null = null
+): Analysis {
+  const parser = new Parser(text, {
+    collectDiagnostics: true,
+    fileName: filePathOf(uri),
+  }).execute();
+  const lines = text.split("\n");
+  const references: IdentifierReference[] = [];
+  const columns: ColumnToken[] = [];
+
+  for (const row of parser.stimulusRows) {
+    const token = parser.stimulusIdentifierToken(row);
+    if (token && !row.prefix && isWritten(row, lines)) {
+      references.push({
+        identifier: token.value,
+        range: rangeOf(
+          row.line - 1,
+          row.column - 1 + token.offset,
+          token.value.length
+        ),
+        column: "identifier",
+      });
+    }
+  }
+
+  const importedIdentifiers: { [identifier: string]: string } = Object.create(
+    null
+  );
+  for (const row of parser.sequenceSourceRows()) {
+    if (row.cells) {
+      // @import한 표의 행은 이 문서에 없으므로 rename에서 확인할 식별자만 모음
+      for (const { column, value } of parser.sequenceColumns(row)) {
+        if (column !== null && IDENTIFIER_COLUMNS.includes(column)) {
+          for (const identifier of value.split(",")) {
+            importedIdentifiers[identifier] = row.file || "an imported table";
+          }
+        }
+      }
+      continue;
+    }
+    if (row.text.startsWith("@") || !isWritten(row, lines)) {
+      continue;
+    }
+    for (const { column, value, offset } of parser.sequenceColumns(row)) {
+      if (column === null) {
+        continue;
+      }
+      const start = row.column - 1 + offset;
+      columns.push({
+        column,
+        range: rangeOf(row.line - 1, start, value.length),
+      });
+      if (!IDENTIFIER_COLUMNS.includes(column) || value === "n") {
+        continue;
+      }
+
+      // choices는 쉼표로 구분된 여러 식별자
+      let identifierOffset = start;
+      for (const identifier of value.split(",")) {
+        if (identifier) {
+          references.push({
+            identifier,
+            range: rangeOf(row.line - 1, identifierOffset, identifier.length),
+            column,
+          });
+        }
+        identifierOffset += identifier.length + 1;
+      }
+    }
+  }
+
+  return {
+    uri,
+    version,
+    text,
+    parser,
+    references,
+    importedIdentifiers,
+    columns,
+    sections: sectionSpans(text),
+    includedFiles: [],
+  };
+}
+
+export class LanguageServer {
+  input: Readable;
+  output: Writable;
+  exit: (code: number) => void;
+  documents: Map<string, Analysis>;
+  buffer: Buffer;
+  shutdown: boolean;
+
+  constructor(
+    input: Readable,
+    output: Writable,
+    exit: (code: number) => void = (code) => process.exit(code)
+  ) {
+    this.input = input;
+    this.output = output;
+    this.exit = exit;
+    this.documents = new Map();
+    this.buffer = Buffer.alloc(0);
+    this.shutdown = false;
+  }
+
+  listen() {
+    this.input.on("data", (chunk: Buffer) => this.receive(chunk));
+  }
+
+  // Content-Length 헤더로 나뉜 메시지를 꺼냄. 길이는 byte 단위
+  receive(chunk: Buffer) {
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+    for (;;) {
+      const headerEnd = this.buffer.indexOf("\r\n\r\n");
+      if (headerEnd === -1) {
+        return;
+      }
+      const header = this.buffer.slice(0, headerEnd).toString("ascii");
+      const match = /Content-Length: *(\d+)/i.exec(header);
+      if (!match) {
+        // 헤더가 깨졌으면 버림
+        this.buffer = this.buffer.slice(headerEnd + 4);
+        continue;
+      }
+      const start = headerEnd + 4;
+      const end = start + parseInt(match[1]);
+      if (this.buffer.length < end) {
+        return;
+      }
+      const body = this.buffer.slice(start, end).toString("utf8");
+      this.buffer = this.buffer.slice(end);
+
+      let message: Message;
+      try {
+        message = JSON.parse(body);
+      } catch (e) {
+        continue;
+      }
+      this.handle(message);
+    }
+  }
+
+  send(message: Message) {
+    const body = JSON.stringify(message);
+    this.output.write(
+      `Content-Length: ${Buffer.byteLength(body, "utf8")}\r\n\r\n${body}`
+    );
+  }
+
+  notify(method: string, params: any) {
+    this.send({ jsonrpc: "2.0", method, params });
+  }
+
+  handle(message: Message) {
+    const { id, method, params } = message;
+    if (method === undefined) {
+      return; // client의 응답. 서버는 요청을 보내지 않음
+    }
+
+    const isRequest = id !== undefined;
+    try {
+      const result = this.dispatch(method, params || {}, isRequest);
+      if (isRequest) {
+        this.send({
+          jsonrpc: "2.0",
+          id,
+          result: result === undefined ? null : result,
+        });
+      }
+    } catch (e) {
+      if (!isRequest) {
+        return;
+      }
+      this.send({
+        jsonrpc: "2.0",
+        id,
+        error: {
+          code: e instanceof ResponseError ? e.code : REQUEST_FAILED,
+          message: errorMessage(e),
+        },
+      });
+    }
+  }
+
+  dispatch(method: string, params: any, isRequest: boolean): any {
+    switch (method) {
+      case "initialize":
+        return {
+          capabilities: {
+            textDocumentSync: TEXT_DOCUMENT_SYNC_FULL,
+            completionProvider: { triggerCharacters: [" ", ",", "="] },
+            hoverProvider: true,
+            definitionProvider: true,
+            renameProvider: true,
+          },
+          serverInfo: { name: "jsparser" },
+        };
+      case "initialized":
+        return;
+      case "shutdown":
+        this.shutdown = true;
+        return null;
+      case "exit":
+        this.exit(this.shutdown ? 0 : 1);
+        return;
+      case "textDocument/didOpen":
+        this.update(
+          params.textDocument.uri,
+          params.textDocument.text,
+          params.textDocument.version
+        );
+        return;
+      case "textDocument/didChange": {
+        const changes = params.contentChanges;
+        if (changes && changes.length > 0) {
+          this.update(
+            params.textDocument.uri,
+            changes[changes.length - 1].text,
+            params.textDocument.version
+          );
+        }
+        return;
+      }
+      case "textDocument/didClose":
+        this.close(params.textDocument.uri);
+        return;
+      case "textDocument/completion":
+        return this.completion(this.document(params), params.position);
+      case "textDocument/hover":
+        return this.hover(this.document(params), params.position);
+      case "textDocument/definition":
+        return this.definition(this.document(params), params.position);
+      case "textDocument/rename":
+        return this.rename(
+          this.document(params),
+          params.position,
+          params.newName
+        );
+      default:
+        if (isRequest) {
+          throw new ResponseError(METHOD_NOT_FOUND, `Unknown method ${method}`);
+        }
+    }
+  }
+
+  document(params: any): Analysis {
+    const uri = params.textDocument && params.textDocument.uri;
+    const document = this.documents.get(uri);
+    if (!document) {
+      throw new ResponseError(INVALID_PARAMS, `${uri} is not open`);
+    }
+    return document;
+  }
+
+  update(uri: string, text: string, version: number | null) {
+    const previous = this.documents.get(uri);
+    const document = analyze(uri, text, version);
+    this.documents.set(uri, document);
+    this.publishDiagnostics(document, previous);
+  }
+
+  close(uri: string) {
+    const document = this.documents.get(uri);
+    this.documents.delete(uri);
+    for (const fileUri of document ? document.includedFiles : []) {
+      this.notify("textDocument/publishDiagnostics", {
+        uri: fileUri,
+        diagnostics: [],
+      });
+    }
+    this.notify("textDocument/publishDiagnostics", { uri, diagnostics: [] });
+  }
+
+  // 진단에는 길이가 없으므로 그 위치의 토큰까지 표시
+  lspDiagnostic(diagnostic: Diagnostic, lines: string[]) {
+    const line = diagnostic.line - 1;
+    const start = diagnostic.column - 1;
+    const rest = (lines[line] || "").slice(start);
+    const length = Math.max(rest.search(/\s|$/), 1);
+    return {
+      range: rangeOf(line, start, length),
+      severity:
+        diagnostic.severity === Severity.ERROR
+          ? DIAGNOSTIC_ERROR
+          : DIAGNOSTIC_WARNING,
+      code: diagnostic.code,
+      source: "jsparser",
+      message: diagnostic.message,
+    };
+  }
+
+  publishDiagnostics(document: Analysis, previous?: Analysis) {
+    const lines = document.text.split("\n");
+    const byFile: { [uri: string]: Diagnostic[] } = {};
+    for (const diagnostic of document.parser.diagnostics) {
+      const uri =
+        diagnostic.file === undefined
+          ? document.uri
+          : pathToFileURL(path.resolve(diagnostic.file)).href;
+      (byFile[uri] = byFile[uri] || []).push(diagnostic);
+    }
+
+    document.includedFiles = Object.keys(byFile).filter(
+      (uri) => uri !== document.uri
+    );
+    // 이번에는 진단이 없는 include 파일은 비움
+    for (const uri of previous ? previous.includedFiles : []) {
+      if (!byFile[uri]) {
+        this.notify("textDocument/publishDiagnostics", {
+          uri,
+          diagnostics: [],
+        });
+      }
+    }
+
+    this.notify("textDocument/publishDiagnostics", {
+      uri: document.uri,
+      version: document.version === null ? undefined : document.version,
+      diagnostics: (byFile[document.uri] || []).map((diagnostic) =>
+        this.lspDiagnostic(diagnostic, lines)
+      ),
+    });
+    for (const uri of document.includedFiles) {
+      const text = readText(fileURLToPath(uri));
+      this.notify("textDocument/publishDiagnostics", {
+        uri,
+        diagnostics: byFile[uri].map((diagnostic) =>
+          this.lspDiagnostic(diagnostic, text.split("\n"))
+        ),
+      });
+    }
+  }
+
+  referenceAt(
+    document: Analysis,
+    position: Position
+  ): IdentifierReference | undefined {
+    return document.references.find((reference) =>
+      contains(reference.range, position)
+    );
+  }
+
+  completion(document: Analysis, position: Position) {
+    const inSequence = document.sections.some(
+      (span) =>
+        isSequenceKeyword(span.keyword) &&
+        span.start < position.line &&
+        position.line < span.end
+    );
+    const line = document.text.split("\n")[position.line] || "";
+    const beforeCursor = line.slice(0, position.character).replace(/^\s+/, "");
+    if (!inSequence || beforeCursor.startsWith("@")) {
+      return [];
+    }
+
+    // 커서 앞까지를 시퀀스 row로 보고 마지막(작성 중인) 토큰의 컬럼을 찾음.
+    // 공백 뒤(행의 처음 포함)의 커서는 다음 컬럼이므로 임시 글자를 붙여서 찾음
+    const text = /\S$/.test(beforeCursor) ? beforeCursor : `${beforeCursor}_`;
+    const tokens = document.parser.sequenceColumns({
+      text,
+      line: position.line + 1,
+      column: 1,
+    });
+    const { column } = tokens[tokens.length - 1];
+    if (column === null || !IDENTIFIER_COLUMNS.includes(column)) {
+      return [];
+    }
+
+    const { stimulus } = document.parser;
+    return Object.keys(stimulus)
+      .filter((identifier) => {
+        const definition = getStimulusType(stimulus[identifier].stimulusType);
+        return (
+          column === "stimulus" || !definition || definition.response !== false
+        );
+      })
+      .map((identifier) => ({
+        label: identifier,
+        kind: COMPLETION_VALUE,
+        detail: stimulus[identifier].stimulusType,
+      }));
+  }
+
+  hover(document: Analysis, position: Position) {
+    const token = document.columns.find((token) =>
+      contains(token.range, position)
+    );
+    if (!token) {
+      return null;
+    }
+
+    let value = `**${token.column}**`;
+    const reference = this.referenceAt(document, position);
+    const stimulus =
+      reference && document.parser.stimulus[reference.identifier];
+    if (stimulus) {
+      value += `\n\n${stimulus.stimulusType} ${stimulus.identifier}`;
+    }
+    return {
+      contents: { kind: "markdown", value },
+      range: token.range,
+    };
+  }
+
+  definition(document: Analysis, position: Position) {
+    const reference = this.referenceAt(document, position);
+    const row =
+      reference && document.parser.stimulusRowOf[reference.identifier];
+    if (!row) {
+      return null;
+    }
+
+    const token = document.parser.stimulusIdentifierToken(row);
+    const start = row.column - 1 + (token ? token.offset : 0);
+    return {
+      uri:
+        row.file === undefined
+          ? document.uri
+          : pathToFileURL(path.resolve(row.file)).href,
+      range: rangeOf(row.line - 1, start, token ? token.value.length : 0),
+    };
+  }
+
+  rename(document: Analysis, position: Position, newName: string) {
+    const reference = this.referenceAt(document, position);
+    if (!reference) {
+      throw new ResponseError(REQUEST_FAILED, "No stimulus identifier here");
+    }
+
+    const { identifier } = reference;
+    const { stimulus, stimulusRowOf } = document.parser;
+    const row = stimulusRowOf[identifier];
+    if (row && row.file !== undefined) {
+      throw new ResponseError(
+        REQUEST_FAILED,
+        `${identifier} is defined in ${row.file}`
+      );
+    } else if (document.importedIdentifiers[identifier]) {
+      // 표는 이 문서가 아니므로 바꾸지 않음
+      throw new ResponseError(
+        REQUEST_FAILED,
+        `${identifier} is also used in ${document.importedIdentifiers[identifier]}`
+      );
+    } else if (!IDENTIFIER.test(newName)) {
+      throw new ResponseError(
+        INVALID_PARAMS,
+        `${newName} is not a valid identifier`
+      );
+    } else if (newName !== identifier && stimulus[newName]) {
+      throw new ResponseError(REQUEST_FAILED, `${newName} already exists`);
+    }
+
+    const edits = document.references
+      .filter((reference) => reference.identifier === identifier)
+      .map((reference) => ({ range: reference.range, newText: newName }));
+    return { changes: { [document.uri]: edits } };
+  }
+}
+
+/**
+ * Starts a language server on the given streams(stdin/stdout for editors).
+ */
+export function startLanguageServer(
+  input: Readable = process.stdin,
+  output: Writable = process.stdout
+): LanguageServer {
+  const server = new LanguageServer(input, output);
+  server.listen();
+  return server;
+}
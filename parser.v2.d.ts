@@ -0,0 +1,119 @@
+import { Diagnostic, SourcePosition, SequenceLocation, SourceRow } from "./diagnostics";
+import { Section } from "./sections";
+import { TemplateExpander } from "./templates";
+import { IncludeContext, IncludeResolver } from "./include";
+import { SimulatedSession, SimulationOptions } from "./simulation";
+import { Timeline } from "./timeline";
+import { AssetEntry, AssetReference } from "./assets";
+import { Experiment, Sequence, Stimulus, Task } from "./types";
+interface Token {
+    value: string;
+    offset: number;
+}
+interface ParserOptions {
+    collectDiagnostics?: boolean;
+    assetBaseDir?: string;
+    seed?: string | number;
+    participantId?: string | number;
+    fileName?: string;
+    resolveInclude?: IncludeResolver;
+    strict?: boolean;
+}
+declare class Parser {
+    options: ParserOptions;
+    diagnostics: Diagnostic[];
+    rows: SourceRow[];
+    comments: {
+        line: number;
+        text: string;
+    }[];
+    templates: TemplateExpander;
+    taskRow: SourceRow | null;
+    backgroundRows: SourceRow[];
+    stimulusRows: SourceRow[];
+    sequenceSections: Section[];
+    task: Task | null;
+    background: Stimulus | null;
+    stimulus: any;
+    stimulusRowOf: {
+        [identifier: string]: SourceRow;
+    };
+    redefinedStimulusRows: {
+        identifier: string;
+        row: SourceRow;
+        previous: SourceRow;
+    }[];
+    sequences: any;
+    sequenceLocations: Map<Sequence, SequenceLocation>;
+    importedRows: Map<SourceRow, SourceRow[]>;
+    assets: AssetEntry[] | null;
+    constructor(rawInput: string, options?: ParserOptions);
+    execute(): this;
+    sortDiagnostics(): void;
+    report(code: string, position: SourcePosition, ...args: string[]): void;
+    hasErrors(): boolean;
+    tokenPosition(row: SourceRow, token?: Token): SourcePosition;
+    getStimulusByIdentifier(stimulusIdentifier: string, position: SourcePosition): Stimulus | null;
+    getResponseStimulus(stimulusIdentifier: string, position: SourcePosition, column: string): Stimulus | null;
+    splitRowsIntoSection(): void;
+    includeContext(): IncludeContext;
+    parseTask(): void;
+    parseBackground(): void;
+    parseNumber(row: SourceRow, token: Token | undefined, column: string, nullable: boolean): number | null;
+    parseStimulusRow(row: SourceRow): Stimulus | null;
+    stimulusIdentifierToken(row: SourceRow): Token | undefined;
+    parseStimulusRows(): void;
+    addStimulusRow(stimulusRow: SourceRow): Stimulus | null;
+    tokenize(row: SourceRow): Token[];
+    isKeywordSequenceRow(row: SourceRow): boolean;
+    keywordSequenceTokens(row: SourceRow): (Token | undefined)[];
+    withSequenceDefaults(row: SourceRow, tokens: (Token | undefined)[]): (Token | undefined)[];
+    sequenceColumnOf(name: string): string | null;
+    sequenceColumns(row: SourceRow): {
+        column: string | null;
+        value: string;
+        offset: number;
+    }[];
+    sequenceTokens(row: SourceRow): (Token | undefined)[];
+    parseSequenceRow(row: SourceRow, tokenPositions?: (Token | undefined)[]): Sequence;
+    /**
+     * Parses the rows of a sequence section, with its @import, @block and
+     * @counterbalance directives.
+     * @param section key of the section, selects the rows of an imported
+     * table with a section column
+     */
+    parseSequenceRows(rows: SourceRow[], section?: string | null): Sequence[];
+    sequenceSourceRows(): SourceRow[];
+    parseAllSequences(): void;
+    importTrialRows(rows: SourceRow[], section: string | null): SourceRow[];
+    readTrialTable(text: string, options: {
+        file?: string;
+        delimiter?: string;
+        section?: string | null;
+    }): SourceRow[];
+    /**
+     * Parses a CSV/TSV trial table(spreadsheet.ts) into sequences, the same
+     * way as the rows of a sequence section. Call after parseStimulusRows().
+     * The sequences are not added to this.sequences.
+     * @param options file : name for the diagnostics, section : rows of a
+     * section column to use
+     */
+    parseTrialTable(text: string, options?: {
+        file?: string;
+        delimiter?: string;
+        section?: string;
+    }): Sequence[];
+    sequenceFieldPositions(row: SourceRow, tokens: (Token | undefined)[]): {
+        [field: string]: SourcePosition;
+    };
+    validateSequences(): void;
+    assetReferences(): AssetReference[];
+    checkAssets(baseDir: string): void;
+    sequencePosition(sequence: Sequence): SourcePosition;
+    timeline(): Timeline;
+    simulate(options?: SimulationOptions): SimulatedSession;
+    hasDirectives(): boolean;
+    model(): Experiment;
+    json(): string;
+}
+export = Parser;
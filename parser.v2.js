@@ -1,157 +1,441 @@
 "use strict";
-var StimulusType;
-(function (StimulusType) {
-    StimulusType["IMAGE"] = "image";
-    StimulusType["TEXT"] = "text";
-    StimulusType["TEXT_FILE"] = "text_file";
-    StimulusType["AUDIO"] = "audio";
-    StimulusType["VIDEO"] = "video";
-    StimulusType["INSTRUCTION"] = "instruction";
-    StimulusType["RESULT"] = "result";
-})(StimulusType || (StimulusType = {}));
-var FeedbackType;
-(function (FeedbackType) {
-    FeedbackType["NONE"] = "n";
-    FeedbackType["TRUE_OR_FALSE"] = "tf";
-    FeedbackType["ALWAYS"] = "a";
-    FeedbackType["CHOICE"] = "c";
-})(FeedbackType || (FeedbackType = {}));
-function splitWithEscapedCharacter(text, splitChar, pairChar) {
-    text = text + splitChar;
-    let isPairOpen = false;
-    let resultArray = [];
-    let wordBuffer = [];
-    for (let char of text) {
-        switch (char) {
-            case pairChar:
-                isPairOpen = !isPairOpen;
-                break;
-            case splitChar:
-                if (isPairOpen) {
-                    wordBuffer.push(char);
-                }
-                else {
-                    // add to resultArray and flush wordBuffer
-                    const completedWord = wordBuffer.join("");
-                    resultArray.push(completedWord);
-                    wordBuffer = [];
-                }
-                break;
-            default:
-                wordBuffer.push(char);
-                break;
-        }
-    }
-    return resultArray;
-}
+var __importDefault = (this && this.__importDefault) || function (mod) {
+    return (mod && mod.__esModule) ? mod : { "default": mod };
+};
+const diagnostics_1 = require("./diagnostics");
+const path_1 = __importDefault(require("path"));
+const lexer_1 = require("./lexer");
+const sections_1 = require("./sections");
+const spreadsheet_1 = require("./spreadsheet");
+const templates_1 = require("./templates");
+const registry_1 = require("./registry");
+const validation_1 = require("./validation");
+const include_1 = require("./include");
+const simulation_1 = require("./simulation");
+const timeline_1 = require("./timeline");
+const randomization_1 = require("./randomization");
+const assets_1 = require("./assets");
+const types_1 = require("./types");
+// 시퀀스 row의 컬럼 순서(Sequence의 필드 이름, stimulus 컬럼은 identifier)
+const SEQUENCE_COLUMNS = [
+    "onSetTime",
+    "stimulus",
+    "stimulusDuration",
+    "choices",
+    "choiceDuration",
+    "answer",
+    "choiceOnsetRelativeToSim",
+    "reactionTime",
+    "feedbackType",
+    "feedbackDuration",
+    "feedback1",
+    "feedback2",
+    "test",
+];
+/*
+KEYWORD SEQUENCE SYNTAX
+
+a sequence row can also be written as <keyword>=<value> pairs in any order,
+rows of both syntaxes can be mixed in one section
+ex) onset=500 stim=T1 choices=I1,I2 rt=10000 test=y
+  = 500 T1 inf I1,I2 inf n 0 10000 n n n n y
+
+keyword(full column name also works) : default
+- onset(onSetTime) : 0
+- stim(stimulus) : required
+- stimDur(stimulusDuration) : inf
+- choices : n
+- choiceDur(choiceDuration) : inf
+- answer : n
+- choiceOnset(choiceOnsetRelativeToSim) : 0
+- rt(reactionTime) : inf
+- feedback(feedbackType) : n
+- feedbackDur(feedbackDuration) : n
+- feedback1, feedback2 : n
+- test : n
+
+the same keywords name the columns of trial tables(@import, spreadsheet.ts)
+*/
+const SEQUENCE_KEYWORDS = {
+    onset: "onSetTime",
+    stim: "stimulus",
+    stimDur: "stimulusDuration",
+    choiceDur: "choiceDuration",
+    choiceOnset: "choiceOnsetRelativeToSim",
+    rt: "reactionTime",
+    feedback: "feedbackType",
+    feedbackDur: "feedbackDuration",
+};
+const SEQUENCE_DEFAULTS = {
+    onSetTime: "0",
+    stimulusDuration: "inf",
+    choices: "n",
+    choiceDuration: "inf",
+    answer: "n",
+    choiceOnsetRelativeToSim: "0",
+    reactionTime: "inf",
+    feedbackType: "n",
+    feedbackDuration: "n",
+    feedback1: "n",
+    feedback2: "n",
+    test: "n",
+};
 class Parser {
-    constructor(rawInput) {
-        this.rows = rawInput.split("\n").map((row) => row.trim());
+    constructor(rawInput, options = {}) {
+        this.options = options;
+        this.diagnostics = [];
+        this.rows = include_1.sourceRowsOf(rawInput);
+        this.comments = include_1.commentsOf(rawInput);
+        this.templates = new templates_1.TemplateExpander((code, position, ...args) => this.report(code, position, ...args));
+        this.taskRow = null;
+        this.backgroundRows = [];
         this.stimulusRows = [];
-        this.preSequenceRows = [];
-        this.mainSequenceRows = [];
-        this.postSequenceRows = [];
+        this.sequenceSections = [];
+        this.task = null;
+        this.background = null;
         this.stimulus = {};
+        this.stimulusRowOf = {};
+        this.redefinedStimulusRows = [];
         this.sequences = {};
+        this.sequenceLocations = new Map();
+        this.importedRows = new Map();
+        this.assets = null;
     }
     execute() {
         this.splitRowsIntoSection();
+        this.parseTask();
+        this.parseBackground();
         this.parseStimulusRows();
         this.parseAllSequences();
+        this.validateSequences();
+        if (this.options.assetBaseDir !== undefined) {
+            this.checkAssets(this.options.assetBaseDir);
+        }
+        this.sortDiagnostics();
         return this;
     }
-    detectSectionStartAndEnd(keyword) {
-        let sectionStartIndex = null;
-        let sectionEndIndex = null;
-        for (let index = 0; index < this.rows.length; index++) {
-            const instruction = this.rows[index];
-            const isSectionStartInstruction = instruction == `[${keyword}]`;
-            const isSectionEndInstruction = instruction == `[End${keyword}]`;
-            if (isSectionStartInstruction) {
-                sectionStartIndex = index;
-            }
-            else if (isSectionEndInstruction) {
-                sectionEndIndex = index;
-                break;
-            }
-        }
-        return { sectionStartIndex, sectionEndIndex };
+    // 스크립트 자신의 진단이 먼저, include한 파일은 파일별로
+    sortDiagnostics() {
+        this.diagnostics.sort((a, b) => (a.file || "").localeCompare(b.file || "") ||
+            a.line - b.line ||
+            a.column - b.column);
     }
-    splitSections(keyword) {
-        const { sectionStartIndex, sectionEndIndex, } = this.detectSectionStartAndEnd(keyword);
-        if (sectionStartIndex === null || sectionEndIndex === null) {
-            throw new Error("섹션 파싱에 실패했습니다.");
+    // collectDiagnostics 모드가 아니면 에러는 즉시 throw, 경고는 항상 수집
+    report(code, position, ...args) {
+        const diagnostic = diagnostics_1.createDiagnostic(code, position, ...args);
+        if (diagnostic.severity === diagnostics_1.Severity.ERROR &&
+            !this.options.collectDiagnostics) {
+            throw new diagnostics_1.ParseError(diagnostic);
         }
-        else {
-            return this.rows.slice(sectionStartIndex + 1, sectionEndIndex);
+        this.diagnostics.push(diagnostic);
+    }
+    hasErrors() {
+        return this.diagnostics.some((diagnostic) => diagnostic.severity === diagnostics_1.Severity.ERROR);
+    }
+    tokenPosition(row, token) {
+        const offset = token ? token.offset : row.text.length;
+        // @import한 표의 행은 따옴표 안에서 줄이 바뀔 수 있음
+        const lines = row.text.slice(0, offset).split("\n");
+        const position = lines.length === 1
+            ? { line: row.line, column: row.column + offset }
+            : {
+                line: row.line + lines.length - 1,
+                column: lines[lines.length - 1].length + 1,
+            };
+        if (row.file !== undefined) {
+            position.file = row.file;
         }
+        return position;
     }
-    getStimulusByIdentifier(stimulusIdentifier) {
+    getStimulusByIdentifier(stimulusIdentifier, position) {
         const found = this.stimulus[stimulusIdentifier];
         if (found) {
             return found;
         }
         else {
-            throw new Error(`Stimulus Identifier ${stimulusIdentifier} is not valid`);
+            this.report("unknown-stimulus", position, stimulusIdentifier);
+            return null;
+        }
+    }
+    // response: false인 유형(instruction, result 등)은 시퀀스의 <identifier> 컬럼에서만 사용 가능
+    getResponseStimulus(stimulusIdentifier, position, column) {
+        const stimulus = this.getStimulusByIdentifier(stimulusIdentifier, position);
+        const definition = stimulus && registry_1.getStimulusType(stimulus.stimulusType);
+        if (stimulus && definition && definition.response === false) {
+            this.report("stimulus-type-not-allowed", position, stimulusIdentifier, stimulus.stimulusType, column);
+            return null;
         }
+        return stimulus;
     }
     splitRowsIntoSection() {
-        this.stimulusRows = this.splitSections("Descriptions");
-        this.preSequenceRows = this.splitSections("PreSeq");
-        this.mainSequenceRows = this.splitSections("MainSeq");
-        this.postSequenceRows = this.splitSections("PostSeq");
+        // @set, $name, {from..to}은 섹션을 나누기 전에 확장
+        this.rows = this.templates.expand(this.rows);
+        // 첫 행이 "Task <type> <name>" 형식이면 task header로 취급
+        const [firstRow] = this.rows;
+        if (firstRow && /^Task(\s|$)/.test(firstRow.text)) {
+            this.taskRow = firstRow;
+        }
+        const scanner = new sections_1.SectionScanner((code, position, ...args) => this.report(code, position, ...args));
+        for (const row of this.rows) {
+            if (row !== this.taskRow) {
+                scanner.push(row);
+            }
+        }
+        const sections = scanner.finish();
+        const rowsOf = (keyword) => {
+            const section = sections.find((section) => section.keyword === keyword);
+            return section ? section.rows : [];
+        };
+        this.backgroundRows = rowsOf("Background");
+        this.stimulusRows = include_1.expandIncludes(rowsOf("Descriptions"), this.includeContext());
+        this.sequenceSections = sections.filter((section) => section.key !== null);
+    }
+    includeContext() {
+        return {
+            resolve: this.options.resolveInclude || include_1.fileSystemResolver(),
+            fromFile: this.options.fileName === undefined
+                ? null
+                : path_1.default.normalize(this.options.fileName),
+            report: (code, position, ...args) => this.report(code, position, ...args),
+            expand: (rows) => this.templates.expand(rows),
+        };
+    }
+    parseTask() {
+        const row = this.taskRow;
+        if (!row) {
+            this.report("task-missing", { line: 1, column: 1 });
+            return;
+        }
+        const [, typeToken, ...nameTokens] = lexer_1.tokenize(row.text);
+        if (!typeToken) {
+            this.report("missing-value", this.tokenPosition(row), "taskType");
+            return;
+        }
+        this.task = {
+            type: typeToken.value,
+            name: nameTokens.map((token) => token.value).join(" "),
+        };
+    }
+    // [Background] 섹션의 자극은 [Descriptions]와 같은 규칙으로 파싱
+    parseBackground() {
+        const [backgroundRow, ...extraRows] = this.backgroundRows;
+        if (!backgroundRow) {
+            return;
+        }
+        const stimulus = this.parseStimulusRow(backgroundRow);
+        if (stimulus && !stimulus.identifier) {
+            this.report("missing-identifier", this.tokenPosition(backgroundRow));
+        }
+        else {
+            this.background = stimulus;
+        }
+        for (const row of extraRows) {
+            this.report("background-multiple", row);
+        }
+    }
+    // 숫자 컬럼 파싱. nullable이면 n/inf는 null로 처리
+    parseNumber(row, token, column, nullable) {
+        if (token === undefined) {
+            this.report("missing-value", this.tokenPosition(row), column);
+            return null;
+        }
+        const { value } = token;
+        if (nullable && (value === "n" || value === "inf")) {
+            return null;
+        }
+        if (value === "" || isNaN(+value)) {
+            this.report("invalid-number", this.tokenPosition(row, token), column, value);
+            return null;
+        }
+        return +value;
     }
     parseStimulusRow(row) {
-        let stimulus = {};
-        // 띄어쓰기로 row를 분리하여 토큰 array로 저장(큰따옴표(") 내부에 있는 띄어쓰기는 무시))
+        // 공백으로 row를 분리하여 토큰 array로 저장(따옴표 내부의 공백은 무시, lexer.ts)
         // ex) text1 T1 "you have 2 apples" n n
         // => splittedRow : ["text1", "T1", "you have 2 apples", "n", "n"]
-        const tokens = splitWithEscapedCharacter(row, " ", '"');
-        // 첫 토큰 2개 추출
-        const [stimulusType, identifier] = tokens;
-        stimulus.stimulusType = stimulusType;
-        stimulus.identifier = identifier;
-        // 나머지 토큰들은 Stimulus Type에 따라 배치가 다르기 때문에 switch 문으로 분리
-        const left = tokens.slice(2);
-        switch (stimulusType) {
-            case StimulusType.IMAGE:
-                var [filePath, // ex) 'img/3.png'
-                button,] = left;
-                stimulus = Object.assign(Object.assign({}, stimulus), { filePath, button: !!button });
-                break;
-            case StimulusType.TEXT:
-                var [content, fontSize, fontColor] = left;
-                stimulus = Object.assign(Object.assign({}, stimulus), { content, fontSize: fontSize === "n" ? null : parseInt(fontSize), fontColor: fontColor === "n" ? null : fontColor });
-                break;
-            case StimulusType.TEXT_FILE:
-                var [filePath, fontSize, fontColor] = left;
-                stimulus = Object.assign(Object.assign({}, stimulus), { filePath, fontSize: fontSize === "n" ? null : parseInt(fontSize), fontColor: fontColor === "n" ? null : fontColor });
-                break;
-            case StimulusType.AUDIO:
-            case StimulusType.VIDEO:
-                var [filePath] = tokens;
-                stimulus = Object.assign(Object.assign({}, stimulus), { filePath });
-                break;
-            default:
-                throw new Error(`${stimulusType}은 유효한 자극 유형이 아닙니다`);
+        const tokenPositions = this.tokenize(row);
+        const tokens = tokenPositions.map((token) => token.value);
+        // 첫 토큰 2개 추출. @include prefix가 있으면 identifier에 붙임
+        const [stimulusType] = tokens;
+        const identifier = tokens[1] && (row.prefix || "") + tokens[1];
+        const definition = registry_1.getStimulusType(stimulusType);
+        if (!definition) {
+            this.report("unknown-stimulus-type", this.tokenPosition(row, tokenPositions[0]), stimulusType);
+            return null;
         }
-        return stimulus;
+        // 나머지 토큰들은 Stimulus Type이 선언한 컬럼 순서대로 배치
+        const stimulus = { stimulusType, identifier };
+        definition.columns.forEach((column, index) => {
+            const tokenIndex = index + 2;
+            const token = tokenPositions[tokenIndex] ||
+                (column.default === undefined
+                    ? undefined
+                    : { value: column.default, offset: row.text.length });
+            switch (column.kind) {
+                case "flag":
+                    // true, false => 어떤 값이든 있으면 true, false
+                    stimulus[column.name] = tokenPositions[tokenIndex] !== undefined;
+                    break;
+                case "strings":
+                    stimulus[column.name] = tokens.slice(tokenIndex);
+                    if (tokens.length <= tokenIndex && column.default === undefined) {
+                        this.report("missing-value", this.tokenPosition(row), column.name);
+                    }
+                    break;
+                case "number":
+                    stimulus[column.name] = this.parseNumber(row, token, column.name, !!column.nullable);
+                    break;
+                default:
+                    if (token === undefined) {
+                        this.report("missing-value", this.tokenPosition(row), column.name);
+                        stimulus[column.name] = "";
+                    }
+                    else {
+                        stimulus[column.name] =
+                            column.nullable && token.value === "n" ? null : token.value;
+                    }
+            }
+        });
+        const problem = definition.validate ? definition.validate(stimulus) : null;
+        if (problem) {
+            this.report("invalid-stimulus", this.tokenPosition(row, tokenPositions[1]), identifier, problem);
+        }
+        return definition.output ? definition.output(stimulus) : stimulus;
+    }
+    // 자극 설명 row의 <identifier> 토큰(prefix 제외)
+    stimulusIdentifierToken(row) {
+        return lexer_1.tokenize(row.text)[1];
     }
     parseStimulusRows() {
         for (let index = 0; index < this.stimulusRows.length; index++) {
-            const stimulusRow = this.stimulusRows[index];
-            // const stimulus = Stimulus.FromRow(row);
-            const stimulus = this.parseStimulusRow(stimulusRow);
-            if (stimulus.identifier) {
-                this.stimulus[stimulus.identifier] = stimulus;
+            this.addStimulusRow(this.stimulusRows[index]);
+        }
+    }
+    // [Descriptions]의 한 행을 파싱해서 this.stimulus에 추가
+    addStimulusRow(stimulusRow) {
+        // const stimulus = Stimulus.FromRow(row);
+        const stimulus = this.parseStimulusRow(stimulusRow);
+        if (!stimulus) {
+            return null;
+        }
+        else if (stimulus.identifier) {
+            if (this.stimulusRowOf.hasOwnProperty(stimulus.identifier)) {
+                this.redefinedStimulusRows.push({
+                    identifier: stimulus.identifier,
+                    row: stimulusRow,
+                    previous: this.stimulusRowOf[stimulus.identifier],
+                });
+            }
+            this.stimulus[stimulus.identifier] = stimulus;
+            this.stimulusRowOf[stimulus.identifier] = stimulusRow;
+            return stimulus;
+        }
+        else {
+            this.report("missing-identifier", this.tokenPosition(stimulusRow));
+            return null;
+        }
+    }
+    // lexer.ts의 tokenize. 닫히지 않은 따옴표는 경고
+    tokenize(row) {
+        const tokens = lexer_1.tokenize(row.text);
+        for (const token of tokens) {
+            if (token.unclosed) {
+                this.report("unclosed-quote", this.tokenPosition(row, token));
+            }
+        }
+        return tokens;
+    }
+    isKeywordSequenceRow(row) {
+        const [first] = lexer_1.tokenize(row.text);
+        return !!first && first.value.includes("=");
+    }
+    // keyword row의 값들을 SEQUENCE_COLUMNS 순서로 배치. 없는 컬럼은 기본값(위치는 row 끝)
+    keywordSequenceTokens(row) {
+        const tokens = [];
+        for (const token of this.tokenize(row)) {
+            const [keyword] = token.value.split("=", 1);
+            const column = SEQUENCE_KEYWORDS[keyword] || keyword;
+            const index = SEQUENCE_COLUMNS.indexOf(column);
+            const position = this.tokenPosition(row, token);
+            if (!token.value.includes("=")) {
+                this.report("sequence-mixed-syntax", position, token.value);
+            }
+            else if (index === -1) {
+                this.report("unknown-sequence-keyword", position, keyword);
+            }
+            else if (tokens[index]) {
+                this.report("duplicate-sequence-keyword", position, keyword);
             }
             else {
-                throw new Error("identifier가 존재하지 않습니다");
+                tokens[index] = {
+                    value: token.value.slice(keyword.length + 1),
+                    offset: token.offset + keyword.length + 1,
+                };
             }
         }
+        return this.withSequenceDefaults(row, tokens);
     }
-    parseSequenceRow(row) {
-        const tokens = row.split(" ");
+    // 없는 컬럼은 기본값(위치는 row 끝)
+    withSequenceDefaults(row, tokens) {
+        return SEQUENCE_COLUMNS.map((column, index) => {
+            if (tokens[index] || SEQUENCE_DEFAULTS[column] === undefined) {
+                return tokens[index];
+            }
+            return { value: SEQUENCE_DEFAULTS[column], offset: row.text.length };
+        });
+    }
+    // keyword 또는 컬럼 이름(대소문자 무시) => 컬럼. 시퀀스 컬럼이 아니면 null
+    sequenceColumnOf(name) {
+        const lowerCase = name.toLowerCase();
+        const keyword = Object.keys(SEQUENCE_KEYWORDS).find((keyword) => keyword.toLowerCase() === lowerCase);
+        if (keyword) {
+            return SEQUENCE_KEYWORDS[keyword];
+        }
+        return (SEQUENCE_COLUMNS.find((column) => column.toLowerCase() === lowerCase) ||
+            null);
+    }
+    // row에 적힌 토큰마다 컬럼 이름(알 수 없으면 null). 진단 없이 에디터 지원(lsp.ts)에서 사용.
+    // @import한 표의 행은 원문이 CSV이므로 셀을 사용
+    sequenceColumns(row) {
+        const { cells } = row;
+        if (cells) {
+            return SEQUENCE_COLUMNS.filter((column) => cells[column]).map((column) => (Object.assign({ column }, cells[column])));
+        }
+        const keywordSyntax = this.isKeywordSequenceRow(row);
+        return lexer_1.tokenize(row.text).map(({ value, offset }, index) => {
+            if (!keywordSyntax) {
+                return { column: SEQUENCE_COLUMNS[index] || null, value, offset };
+            }
+            const [keyword] = value.split("=", 1);
+            const column = SEQUENCE_KEYWORDS[keyword] || keyword;
+            if (!value.includes("=") || !SEQUENCE_COLUMNS.includes(column)) {
+                return { column: null, value, offset };
+            }
+            return {
+                column,
+                value: value.slice(keyword.length + 1),
+                offset: offset + keyword.length + 1,
+            };
+        });
+    }
+    // 두 문법과 @import한 표의 행 모두 SEQUENCE_COLUMNS 순서의 토큰으로 변환
+    sequenceTokens(row) {
+        const { cells } = row;
+        if (cells) {
+            return this.withSequenceDefaults(row, SEQUENCE_COLUMNS.map((column) => cells[column]));
+        }
+        else if (this.isKeywordSequenceRow(row)) {
+            return this.keywordSequenceTokens(row);
+        }
+        const tokens = this.tokenize(row);
+        if (this.options.strict && tokens.length !== SEQUENCE_COLUMNS.length) {
+            this.report("sequence-column-count", this.tokenPosition(row), String(SEQUENCE_COLUMNS.length), String(tokens.length));
+        }
+        return tokens;
+    }
+    parseSequenceRow(row, tokenPositions = this.sequenceTokens(row)) {
+        const tokens = tokenPositions.map((token) => token && token.value);
+        const position = (index) => this.tokenPosition(row, tokenPositions[index]);
         // 토큰 추출
         const [onSetTime, // 0: number(ms)
         identifier, // 1: string
@@ -166,71 +450,237 @@ class Parser {
         feedback1, // 10 n | => when feedbackType is tf or a
         feedback2, // 11 n | => when feedbackType is tf
         test,] = tokens;
+        const number = (index, column, nullable) => this.parseNumber(row, tokenPositions[index], column, nullable);
+        const stimulusAt = (index, column) => {
+            const identifier = tokens[index];
+            if (identifier === undefined) {
+                this.report("missing-value", this.tokenPosition(row), column);
+                return null;
+            }
+            else if (column === "stimulus") {
+                return this.getStimulusByIdentifier(identifier, position(index));
+            }
+            return this.getResponseStimulus(identifier, position(index), column);
+        };
         // Process & pack stimulus
         let sequence = {
-            onSetTime: +onSetTime,
-            stimulus: this.stimulus[identifier] || null,
-            stimulusDuration: stimulusDuration === "inf" || stimulusDuration === "n"
-                ? null
-                : +stimulusDuration,
-            choices: choices === "n"
+            onSetTime: number(0, "onSetTime", false),
+            stimulus: stimulusAt(1, "stimulus"),
+            stimulusDuration: number(2, "stimulusDuration", true),
+            choices: choices === undefined || choices === "n"
                 ? null
                 : choices
                     .split(",") // ['s1', 's2']
                     .map((identifier) => {
-                    return this.getStimulusByIdentifier(identifier);
-                }),
+                    return this.getResponseStimulus(identifier, position(3), "choices");
+                })
+                    .filter((choice) => choice !== null),
             // [{type: 'image', body: 'img/2.png', font_color: null, font_size: null}, {...}]
-            choiceDuration: choiceDuration === "inf" || choiceDuration === "n"
-                ? null
-                : +choiceDuration,
-            answer: answer === "n" ? null : +answer,
-            choiceOnsetRelativeToSim: choiceOnsetRelativeToSim == "inf" || choiceOnsetRelativeToSim == "n"
-                ? null
-                : +choiceOnsetRelativeToSim,
-            reactionTime: reactionTime == "n" || reactionTime == "inf" ? null : +reactionTime,
+            choiceDuration: number(4, "choiceDuration", true),
+            answer: answer === "n" ? null : number(5, "answer", false),
+            choiceOnsetRelativeToSim: number(6, "choiceOnsetRelativeToSim", true),
+            reactionTime: number(7, "reactionTime", true),
             feedbackType: feedbackType,
-            feedbackDuration: feedbackDuration == "n" || feedbackDuration == "inf"
-                ? null
-                : +feedbackDuration,
+            feedbackDuration: number(9, "feedbackDuration", true),
             test: test == "y",
         };
-        switch (feedbackType) {
-            case FeedbackType.ALWAYS:
-                sequence = Object.assign(Object.assign({}, sequence), { feedback1: feedback1 == "n"
-                        ? null
-                        : this.getStimulusByIdentifier(feedback1) || null });
-            case FeedbackType.TRUE_OR_FALSE:
-                sequence = Object.assign(Object.assign({}, sequence), { feedback1: feedback1 == "n"
-                        ? null
-                        : this.getStimulusByIdentifier(feedback1) || null, feedback2: feedback2 == "n"
-                        ? null
-                        : this.getStimulusByIdentifier(feedback2) || null });
-                break;
-            case FeedbackType.NONE:
-            case FeedbackType.CHOICE:
-                break;
-            default:
-                throw new Error(`${feedbackType}은 유효한 Feedback Type이 아닙니다.`);
+        if (test === undefined) {
+            this.report("missing-value", this.tokenPosition(row), "test");
+        }
+        else if (test !== "y" && test !== "n") {
+            this.report("invalid-test-flag", position(12), test);
+        }
+        // feedback 유형이 선언한 feedback 컬럼만 파싱
+        const definition = feedbackType && registry_1.getFeedbackType(feedbackType);
+        if (feedbackType === undefined) {
+            this.report("missing-value", this.tokenPosition(row), "feedbackType");
+        }
+        else if (!definition) {
+            this.report("invalid-feedback-type", position(8), feedbackType);
+        }
+        else {
+            for (const column of definition.columns) {
+                const index = SEQUENCE_COLUMNS.indexOf(column);
+                sequence[column] =
+                    tokens[index] == "n" ? null : stimulusAt(index, column);
+            }
         }
         return sequence;
     }
-    parseSequenceRows(rows) {
-        let sequences = [];
-        for (let i = 0; i < rows.length; i++) {
-            const sequenceRow = rows[i];
-            const sequence = this.parseSequenceRow(sequenceRow);
-            sequences.push(sequence);
+    /**
+     * Parses the rows of a sequence section, with its @import, @block and
+     * @counterbalance directives.
+     * @param section key of the section, selects the rows of an imported
+     * table with a section column
+     */
+    parseSequenceRows(rows, section = null) {
+        rows = this.importTrialRows(rows, section);
+        const { seed, participantId } = this.options;
+        // seed가 없으면 participant id만으로, 둘 다 없으면 매번 다르게 섞음
+        // 섹션 key도 넣어 같은 크기의 블록이 섹션마다 같은 순서가 되지 않게 함
+        const random = seed === undefined && participantId === undefined
+            ? Math.random
+            : randomization_1.createRandom(`${seed === undefined ? "" : seed}:${participantId === undefined ? "" : participantId}:${section === null ? "" : section}`);
+        return randomization_1.expandSequenceSection(rows, {
+            parseRow: (sequenceRow) => {
+                const tokens = this.sequenceTokens(sequenceRow);
+                const sequence = this.parseSequenceRow(sequenceRow, tokens);
+                this.sequenceLocations.set(sequence, {
+                    row: sequenceRow,
+                    fields: this.sequenceFieldPositions(sequenceRow, tokens),
+                });
+                return sequence;
+            },
+            clone: (sequence) => {
+                const copy = Object.assign({}, sequence);
+                const location = this.sequenceLocations.get(sequence);
+                if (location) {
+                    this.sequenceLocations.set(copy, location);
+                }
+                return copy;
+            },
+            random,
+            participantIndex: participantId === undefined ? 0 : randomization_1.participantIndexOf(participantId),
+            report: (code, position, ...args) => this.report(code, position, ...args),
+        });
+    }
+    // 시퀀스 섹션의 행, @import 행은 읽어 온 표의 행으로 바꿈. parseAllSequences() 이후
+    sequenceSourceRows() {
+        const rows = [];
+        for (const section of this.sequenceSections) {
+            for (const row of section.rows) {
+                for (const sourceRow of this.importedRows.get(row) || [row]) {
+                    rows.push(sourceRow);
+                }
+            }
         }
-        return sequences;
+        return rows;
     }
     parseAllSequences() {
-        this.sequences.pre_sequence = this.parseSequenceRows(this.preSequenceRows);
-        this.sequences.main_sequence = this.parseSequenceRows(this.mainSequenceRows);
-        this.sequences.post_sequence = this.parseSequenceRows(this.postSequenceRows);
+        for (const section of this.sequenceSections) {
+            const key = section.key;
+            this.sequences[key] = this.parseSequenceRows(section.rows, key);
+        }
+    }
+    // @import 행을 표(spreadsheet.ts)의 행으로 바꿈
+    importTrialRows(rows, section) {
+        const { resolve, fromFile } = this.includeContext();
+        const expanded = [];
+        for (const row of rows) {
+            const [directive, importPath, ...options] = lexer_1.tokenize(row.text);
+            if (!directive || directive.value !== "@import") {
+                expanded.push(row);
+                continue;
+            }
+            for (const option of options) {
+                this.report("invalid-directive-option", this.tokenPosition(row, option), option.value, "@import");
+            }
+            if (!importPath) {
+                this.report("missing-value", this.tokenPosition(row), "import path");
+                continue;
+            }
+            const file = resolve(importPath.value, row.file === undefined ? fromFile : row.file);
+            if (!file) {
+                this.report("import-not-found", this.tokenPosition(row, importPath), importPath.value);
+                continue;
+            }
+            const table = this.readTrialTable(file.text, {
+                file: file.file,
+                section,
+            });
+            this.importedRows.set(row, table);
+            // 표는 행 수에 제한이 없으므로 spread 대신 하나씩
+            for (const imported of table) {
+                expanded.push(imported);
+            }
+        }
+        return expanded;
+    }
+    readTrialTable(text, options) {
+        return spreadsheet_1.readTrialTable(text, Object.assign(Object.assign({}, options), { columnOf: (name) => this.sequenceColumnOf(name), report: (code, position, ...args) => this.report(code, position, ...args) }));
+    }
+    /**
+     * Parses a CSV/TSV trial table(spreadsheet.ts) into sequences, the same
+     * way as the rows of a sequence section. Call after parseStimulusRows().
+     * The sequences are not added to this.sequences.
+     * @param options file : name for the diagnostics, section : rows of a
+     * section column to use
+     */
+    parseTrialTable(text, options = {}) {
+        return this.parseSequenceRows(this.readTrialTable(text, options));
+    }
+    // 각 컬럼 위치. tokens는 sequenceTokens()의 결과
+    sequenceFieldPositions(row, tokens) {
+        const fields = {};
+        tokens.forEach((token, index) => {
+            if (token && index < SEQUENCE_COLUMNS.length) {
+                fields[SEQUENCE_COLUMNS[index]] = this.tokenPosition(row, token);
+            }
+        });
+        return fields;
+    }
+    validateSequences() {
+        for (const sectionName of Object.keys(this.sequences)) {
+            const sequences = this.sequences[sectionName];
+            sequences.forEach((sequence, index) => {
+                const location = this.sequenceLocations.get(sequence);
+                if (location) {
+                    validation_1.validateSequence(sequence, `${sectionName}[${index}]`, location, (code, position, ...args) => this.report(code, position, ...args));
+                }
+            });
+        }
+    }
+    // [Background]와 [Descriptions]에서 파일을 참조하는 자극 목록
+    assetReferences() {
+        const references = [];
+        const [backgroundRow] = this.backgroundRows;
+        const candidates = Object.keys(this.stimulus).map((identifier) => [
+            this.stimulus[identifier],
+            this.stimulusRowOf[identifier],
+        ]);
+        if (this.background && backgroundRow) {
+            candidates.unshift([this.background, backgroundRow]);
+        }
+        for (const [stimulus, row] of candidates) {
+            const reference = assets_1.assetReferenceOf(stimulus, row);
+            if (reference) {
+                references.push(reference);
+            }
+        }
+        return references;
+    }
+    checkAssets(baseDir) {
+        this.assets = assets_1.buildAssetManifest(this.assetReferences(), baseDir, (code, position, ...args) => this.report(code, position, ...args));
+    }
+    // 시행의 row 위치. 진단 위치로 사용
+    sequencePosition(sequence) {
+        const location = this.sequenceLocations.get(sequence);
+        return location ? location.row : { line: 1, column: 1 };
+    }
+    // 각 시행의 phase별 절대 시간과 겹침/간격/순서/blocking 진단
+    timeline() {
+        return timeline_1.computeTimeline(this.sequences, (sequence) => this.sequencePosition(sequence));
+    }
+    // 시뮬레이션 참가자로 시퀀스를 진행. 같은 participantId로 파싱한 시퀀스를 사용
+    simulate(options = {}) {
+        return simulation_1.simulateSession(this.sequences, (sequence) => this.sequencePosition(sequence), Object.assign({ seed: this.options.seed, participantId: this.options.participantId }, options));
+    }
+    // @로 시작하는 지시어와 템플릿은 stringify()로 되돌릴 수 없음(펼쳐진 결과만 남음)
+    hasDirectives() {
+        return (this.templates.expanded ||
+            this.rows.some((row) => row.text.startsWith("@")));
+    }
+    model() {
+        return {
+            formatVersion: types_1.FORMAT_VERSION,
+            task: this.task,
+            background: this.background,
+            stimulus: this.stimulus,
+            sequences: this.sequences,
+        };
     }
     json() {
-        return JSON.stringify({ stimulus: this.stimulus, sequences: this.sequences }, null, " ");
+        return JSON.stringify(this.model(), null, " ");
     }
 }
 module.exports = Parser;
@@ -0,0 +1,19 @@
+import { Reporter, SourceRow } from "./diagnostics";
+import { Sequence } from "./types";
+export interface ExpansionContext {
+    parseRow: (row: SourceRow) => Sequence;
+    clone: (sequence: Sequence) => Sequence;
+    random: () => number;
+    participantIndex: number;
+    report: Reporter;
+}
+export declare function createRandom(seed: string): () => number;
+export declare function participantIndexOf(participantId: string | number): number;
+export declare function shuffle<T>(items: T[], random: () => number): T[];
+/**
+ * Parses the rows of a sequence section and expands its @block,
+ * @endblock and @counterbalance directives into a flat Sequence[].
+ * @param rows rows of the section
+ * @param context row parser and the random/participant state to expand with
+ */
+export declare function expandSequenceSection(rows: SourceRow[], context: ExpansionContext): Sequence[];
@@ -0,0 +1,297 @@
+import { Reporter, SourceRow } from "./diagnostics";
+import { tokenize } from "./lexer";
+import { MAX_GENERATED_ROWS } from "./templates";
+import { Sequence } from "./types";
+
+/*
+SEQUENCE DIRECTIVES
+
+directives are rows starting with @ inside a sequence section([PreSeq], [MainSeq], [PostSeq], ...)
+
+# @block <name> [repeat=<n>] [shuffle] [maxAnswerRun=<n>]
+  ...sequence rows...
+  @endblock
+  - repeat : the rows of the block are repeated n times(default 1).
+    with more than MAX_GENERATED_ROWS(templates.ts) trials the block is an
+    error and is not repeated
+  - shuffle : the(repeated) rows are shuffled
+  - maxAnswerRun : with shuffle, no more than n trials in a row have the same <answer>
+  - blocks cannot be nested
+# @counterbalance <name> <name> ...
+  - the listed blocks swap their places by participant(latin square rotation),
+    participant k gets the order rotated by k
+- with the same seed and participant id the expansion is always the same.
+  without a seed the participant id alone decides it, with neither of them
+  the shuffles differ every time
+- every section shuffles with its own generator, seeded also by the section
+  key, so equal blocks of two sections are not shuffled alike
+*/
+
+export interface ExpansionContext {
+  parseRow: (row: SourceRow) => Sequence;
+  clone: (sequence: Sequence) => Sequence; // repeat 된 시행은 복사본
+  random: () => number; // [0, 1)
+  participantIndex: number;
+  report: Reporter;
+}
+
+interface SequenceBlock {
+  name: string;
+  row: SourceRow;
+  repeat: number;
+  shuffle: boolean;
+  maxAnswerRun: number | null;
+  sequences: Sequence[];
+}
+
+type SectionItem =
+  | { kind: "sequence"; sequence: Sequence }
+  | { kind: "block"; block: SequenceBlock };
+
+const SHUFFLE_ATTEMPTS = 1000;
+
+// 문자열 seed => 32bit 정수(FNV-1a)
+function hashString(text: string): number {
+  let hash = 0x811c9dc5;
+  for (let index = 0; index < text.length; index++) {
+    hash ^= text.charCodeAt(index);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// mulberry32
+export function createRandom(seed: string): () => number {
+  let state = hashString(seed);
+  return () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// 숫자 participant id는 그대로, 그 외는 hash 값으로 counterbalancing 순서 결정
+export function participantIndexOf(participantId: string | number): number {
+  const text = String(participantId);
+  return /^\d+$/.test(text) ? parseInt(text) : hashString(text);
+}
+
+export function shuffle<T>(items: T[], random: () => number): T[] {
+  const result = items.slice();
+  for (let index = result.length - 1; index > 0; index--) {
+    const swapIndex = Math.floor(random() * (index + 1));
+    [result[index], result[swapIndex]] = [result[swapIndex], result[index]];
+  }
+  return result;
+}
+
+// 같은 answer(n 제외)가 연속으로 나오는 최대 길이
+function longestAnswerRun(sequences: Sequence[]): number {
+  let longest = 0;
+  let run = 0;
+  sequences.forEach((sequence, index) => {
+    const previous = sequences[index - 1];
+    const answer = sequence.answer;
+    if (answer === null || answer === undefined) {
+      run = 0;
+    } else {
+      run = previous && previous.answer === answer ? run + 1 : 1;
+    }
+    longest = Math.max(longest, run);
+  });
+  return longest;
+}
+
+function parseBlockDirective(
+  row: SourceRow,
+  tokens: string[],
+  report: Reporter
+): SequenceBlock | null {
+  const [, name, ...options] = tokens;
+  if (!name) {
+    report("missing-value", row, "block name");
+    return null;
+  }
+
+  const block: SequenceBlock = {
+    name,
+    row,
+    repeat: 1,
+    shuffle: false,
+    maxAnswerRun: null,
+    sequences: [],
+  };
+
+  for (const option of options) {
+    const [key, value] = option.split("=");
+    const count = Number(value);
+    if (key === "shuffle" && value === undefined) {
+      block.shuffle = true;
+    } else if (
+      (key === "repeat" || key === "maxAnswerRun") &&
+      Number.isInteger(count) &&
+      count > 0
+    ) {
+      block[key] = count;
+    } else {
+      report("invalid-directive-option", row, option, "@block");
+    }
+  }
+
+  return block;
+}
+
+function expandBlock(block: SequenceBlock, context: ExpansionContext) {
+  const count = block.sequences.length * block.repeat;
+  if (count > MAX_GENERATED_ROWS) {
+    context.report(
+      "generated-rows-limit",
+      block.row,
+      String(count),
+      String(MAX_GENERATED_ROWS)
+    );
+    block.repeat = 1;
+  }
+
+  const sequences = block.sequences.slice();
+  for (let repetition = 1; repetition < block.repeat; repetition++) {
+    sequences.push(...block.sequences.map(context.clone));
+  }
+
+  if (!block.shuffle) {
+    return sequences;
+  }
+
+  let shuffled = shuffle(sequences, context.random);
+  if (block.maxAnswerRun !== null) {
+    let attempts = 1;
+    while (
+      longestAnswerRun(shuffled) > block.maxAnswerRun &&
+      attempts < SHUFFLE_ATTEMPTS
+    ) {
+      shuffled = shuffle(sequences, context.random);
+      attempts++;
+    }
+    if (longestAnswerRun(shuffled) > block.maxAnswerRun) {
+      context.report(
+        "shuffle-constraint-unsatisfied",
+        block.row,
+        block.name,
+        String(block.maxAnswerRun)
+      );
+    }
+  }
+  return shuffled;
+}
+
+// 나열된 block들이 있던 자리를 participant 별로 회전된 순서로 채움
+function counterbalance(
+  items: SectionItem[],
+  names: string[],
+  row: SourceRow,
+  context: ExpansionContext
+) {
+  const slots: number[] = [];
+  for (const name of names) {
+    const slot = items.findIndex(
+      (item) => item.kind === "block" && item.block.name === name
+    );
+    if (slot === -1) {
+      context.report("block-unknown", row, name);
+      return;
+    }
+    slots.push(slot);
+  }
+
+  const blocks = slots.map((slot) => items[slot]);
+  const rotation = context.participantIndex % blocks.length;
+  slots
+    .sort((a, b) => a - b)
+    .forEach((slot, index) => {
+      items[slot] = blocks[(index + rotation) % blocks.length];
+    });
+}
+
+/**
+ * Parses the rows of a sequence section and expands its @block,
+ * @endblock and @counterbalance directives into a flat Sequence[].
+ * @param rows rows of the section
+ * @param context row parser and the random/participant state to expand with
+ */
+export function expandSequenceSection(
+  rows: SourceRow[],
+  context: ExpansionContext
+): Sequence[] {
+  const { report } = context;
+  const items: SectionItem[] = [];
+  const counterbalances: { row: SourceRow; names: string[] }[] = [];
+  let openBlock: SequenceBlock | null = null;
+
+  for (const row of rows) {
+    if (!row.text.startsWith("@")) {
+      const sequence = context.parseRow(row);
+      if (openBlock) {
+        openBlock.sequences.push(sequence);
+      } else {
+        items.push({ kind: "sequence", sequence });
+      }
+      continue;
+    }
+
+    const tokens = tokenize(row.text).map((token) => token.value);
+    switch (tokens[0]) {
+      case "@block": {
+        if (openBlock) {
+          report("block-nested", row, openBlock.name);
+          break;
+        }
+        const block = parseBlockDirective(row, tokens, report);
+        const exists = items.some(
+          (item) =>
+            item.kind === "block" && block && item.block.name === block.name
+        );
+        if (block && exists) {
+          report("block-duplicate", row, block.name);
+        }
+        openBlock = block;
+        break;
+      }
+      case "@endblock":
+        if (openBlock) {
+          items.push({ kind: "block", block: openBlock });
+          openBlock = null;
+        } else {
+          report("endblock-without-block", row);
+        }
+        break;
+      case "@counterbalance":
+        counterbalances.push({ row, names: tokens.slice(1) });
+        break;
+      default:
+        report("unknown-directive", row, tokens[0]);
+    }
+  }
+
+  if (openBlock) {
+    report("block-unclosed", openBlock.row, openBlock.name);
+    items.push({ kind: "block", block: openBlock });
+  }
+
+  for (const { row, names } of counterbalances) {
+    counterbalance(items, names, row, context);
+  }
+
+  const sequences: Sequence[] = [];
+  for (const item of items) {
+    if (item.kind === "sequence") {
+      sequences.push(item.sequence);
+    } else {
+      // 블록은 MAX_GENERATED_ROWS까지 늘어나므로 spread 대신 하나씩
+      for (const sequence of expandBlock(item.block, context)) {
+        sequences.push(sequence);
+      }
+    }
+  }
+  return sequences;
+}
@@ -0,0 +1,43 @@
+import { Sequence, Stimulus } from "./types";
+export declare type StimulusColumnKind = "string" | "number" | "flag" | "strings";
+export interface StimulusColumn {
+    name: string;
+    kind: StimulusColumnKind;
+    nullable?: boolean;
+    default?: string;
+    quoted?: boolean;
+}
+export interface StimulusTypeDefinition {
+    type: string;
+    columns: StimulusColumn[];
+    fileColumn?: string;
+    response?: boolean;
+    validate?: (stimulus: any) => string | null;
+    output?: (stimulus: any) => any;
+}
+export interface FeedbackContext {
+    sequence: Sequence;
+    correct: boolean | null;
+    response: number | null;
+}
+export interface FeedbackTypeDefinition {
+    type: string;
+    columns: ("feedback1" | "feedback2")[];
+    requiredColumns?: ("feedback1" | "feedback2")[];
+    requiresAnswer?: boolean;
+    select: (context: FeedbackContext) => Stimulus[];
+    candidates: (sequence: Sequence) => Stimulus[];
+}
+/**
+ * Adds a stimulus type to the script language.
+ * Throws if the type is already registered.
+ */
+export declare function registerStimulusType(definition: StimulusTypeDefinition): void;
+export declare function getStimulusType(type: string): StimulusTypeDefinition | undefined;
+/**
+ * Adds a <feed_back_type> value to the script language.
+ * Throws if the type is already registered.
+ */
+export declare function registerFeedbackType(definition: FeedbackTypeDefinition): void;
+export declare function getFeedbackType(type: string): FeedbackTypeDefinition | undefined;
+export declare function filePathOf(stimulus: Stimulus): string | null;
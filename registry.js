@@ -0,0 +1,132 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.filePathOf = exports.getFeedbackType = exports.registerFeedbackType = exports.getStimulusType = exports.registerStimulusType = void 0;
+const types_1 = require("./types");
+const stimulusTypes = {};
+const feedbackTypes = {};
+/**
+ * Adds a stimulus type to the script language.
+ * Throws if the type is already registered.
+ */
+function registerStimulusType(definition) {
+    if (stimulusTypes[definition.type]) {
+        throw new Error(`${definition.type} stimulus type is already registered`);
+    }
+    definition.columns.forEach((column, index) => {
+        const last = index === definition.columns.length - 1;
+        if ((column.kind === "flag" || column.kind === "strings") && !last) {
+            throw new Error(`${definition.type}: ${column.kind} column ${column.name} must be the last column`);
+        }
+    });
+    stimulusTypes[definition.type] = definition;
+}
+exports.registerStimulusType = registerStimulusType;
+function getStimulusType(type) {
+    return stimulusTypes.hasOwnProperty(type) ? stimulusTypes[type] : undefined;
+}
+exports.getStimulusType = getStimulusType;
+/**
+ * Adds a <feed_back_type> value to the script language.
+ * Throws if the type is already registered.
+ */
+function registerFeedbackType(definition) {
+    if (feedbackTypes[definition.type]) {
+        throw new Error(`${definition.type} feedback type is already registered`);
+    }
+    feedbackTypes[definition.type] = definition;
+}
+exports.registerFeedbackType = registerFeedbackType;
+function getFeedbackType(type) {
+    return feedbackTypes.hasOwnProperty(type) ? feedbackTypes[type] : undefined;
+}
+exports.getFeedbackType = getFeedbackType;
+// 파일 경로를 가진 자극이면 그 경로
+function filePathOf(stimulus) {
+    const definition = getStimulusType(stimulus.stimulusType);
+    if (!definition || !definition.fileColumn) {
+        return null;
+    }
+    const filePath = stimulus[definition.fileColumn];
+    return typeof filePath === "string" ? filePath : null;
+}
+exports.filePathOf = filePathOf;
+// built-in types
+const fontColumns = [
+    { name: "fontSize", kind: "number", nullable: true },
+    { name: "fontColor", kind: "string", nullable: true, default: "n" },
+];
+registerStimulusType({
+    type: types_1.StimulusType.IMAGE,
+    columns: [
+        { name: "filePath", kind: "string" },
+        { name: "button", kind: "flag" },
+    ],
+    fileColumn: "filePath",
+});
+registerStimulusType({
+    type: types_1.StimulusType.TEXT,
+    columns: [{ name: "content", kind: "string", quoted: true }, ...fontColumns],
+});
+registerStimulusType({
+    type: types_1.StimulusType.TEXT_FILE,
+    columns: [{ name: "filePath", kind: "string" }, ...fontColumns],
+    fileColumn: "filePath",
+});
+for (const type of [types_1.StimulusType.AUDIO, types_1.StimulusType.VIDEO]) {
+    registerStimulusType({
+        type,
+        columns: [{ name: "filePath", kind: "string" }],
+        fileColumn: "filePath",
+    });
+}
+registerStimulusType({
+    type: types_1.StimulusType.INSTRUCTION,
+    columns: [
+        { name: "continueKey", kind: "string", nullable: true },
+        ...fontColumns.map((column) => (Object.assign(Object.assign({}, column), { default: undefined }))),
+        { name: "pages", kind: "strings" },
+    ],
+    response: false,
+});
+registerStimulusType({
+    type: types_1.StimulusType.RESULT,
+    columns: [
+        { name: "content", kind: "string", nullable: true, quoted: true },
+        ...fontColumns,
+    ],
+    response: false,
+    output: (stimulus) => (Object.assign(Object.assign({}, stimulus), { metrics: [types_1.ResultMetric.ACCURACY, types_1.ResultMetric.MEAN_REACTION_TIME].filter((metric) => stimulus.content === null || stimulus.content.includes(`{${metric}}`)) })),
+});
+const present = (...stimuli) => stimuli.filter((stimulus) => !!stimulus);
+registerFeedbackType({
+    type: types_1.FeedbackType.NONE,
+    columns: [],
+    select: () => [],
+    candidates: () => [],
+});
+registerFeedbackType({
+    type: types_1.FeedbackType.TRUE_OR_FALSE,
+    columns: ["feedback1", "feedback2"],
+    requiredColumns: ["feedback1", "feedback2"],
+    requiresAnswer: true,
+    // 시간 초과도 오답 feedback
+    select: ({ sequence, correct }) => present(correct ? sequence.feedback1 : sequence.feedback2),
+    candidates: (sequence) => present(sequence.feedback1, sequence.feedback2),
+});
+registerFeedbackType({
+    type: types_1.FeedbackType.ALWAYS,
+    // feedback1만 사용하지만 tf와 동일하게 파싱
+    columns: ["feedback1", "feedback2"],
+    requiredColumns: ["feedback1"],
+    select: ({ sequence }) => present(sequence.feedback1),
+    candidates: (sequence) => present(sequence.feedback1),
+});
+registerFeedbackType({
+    type: types_1.FeedbackType.CHOICE,
+    columns: [],
+    // 선택한 선택지를 다시 보여줌
+    select: ({ sequence, response }) => response === null || !sequence.choices
+        ? []
+        : present(sequence.choices[response]),
+    candidates: (sequence) => present(...(sequence.choices || [])),
+});
@@ -0,0 +1,238 @@
+import {
+  FeedbackType,
+  ResultMetric,
+  Sequence,
+  Stimulus,
+  StimulusType,
+} from "./types";
+
+/*
+STIMULUS / FEEDBACK TYPE REGISTRY
+
+a stimulus description is <type> <identifier> <column> <column> ...
+the columns after the identifier are declared by the type
+
+- column kinds
+  - string : one token, "..." keeps spaces
+  - number : one token, must be a number
+  - flag : true if the token is there(any value), false if not. last column only
+  - strings : every remaining token(one "..." per item). last column only
+- nullable : n(and inf for numbers) => null
+- default : token used when the column is missing. columns without a default are required
+- quoted : format writes the value in "..." even without spaces
+
+registerStimulusType({
+  type: "slider",
+  columns: [
+    { name: "min", kind: "number" },
+    { name: "max", kind: "number" },
+    { name: "label", kind: "string", quoted: true, default: "n", nullable: true },
+  ],
+  validate: (stimulus) => stimulus.min < stimulus.max ? null : "min must be less than max",
+});
+=> slider S1 0 100 "How sure are you?"
+   { stimulusType: "slider", identifier: "S1", min: 0, max: 100, label: "How sure are you?" }
+
+a feedback type declares which of <feed_back_1>/<feed_back_2> it reads and
+which stimuli are shown after a response(select)
+*/
+
+export type StimulusColumnKind = "string" | "number" | "flag" | "strings";
+
+export interface StimulusColumn {
+  name: string; // 자극 객체(JSON)의 필드 이름
+  kind: StimulusColumnKind;
+  nullable?: boolean;
+  default?: string;
+  quoted?: boolean;
+}
+
+export interface StimulusTypeDefinition {
+  type: string;
+  columns: StimulusColumn[];
+  // 파일 경로를 담는 컬럼. --asset-dir 확인과 manifest에 사용
+  fileColumn?: string;
+  // false이면 <choices>, <feed_back_1>, <feed_back_2>에 사용할 수 없음. 기본값 true
+  response?: boolean;
+  // 문제가 있으면 메시지를 반환(invalid-stimulus)
+  validate?: (stimulus: any) => string | null;
+  // 컬럼 값으로 만든 객체 => JSON 출력. 파생 필드 추가 등
+  output?: (stimulus: any) => any;
+}
+
+export interface FeedbackContext {
+  sequence: Sequence;
+  correct: boolean | null; // answer가 없거나 응답하지 않으면 null/false
+  response: number | null; // 선택한 choice의 인덱스
+}
+
+export interface FeedbackTypeDefinition {
+  type: string;
+  // 파싱해서 Sequence에 넣을 feedback 컬럼
+  columns: ("feedback1" | "feedback2")[];
+  // n이면 feedback-stimulus-missing
+  requiredColumns?: ("feedback1" | "feedback2")[];
+  // answer가 없으면 feedback-without-answer
+  requiresAnswer?: boolean;
+  // 응답 후 보여줄 자극
+  select: (context: FeedbackContext) => Stimulus[];
+  // select가 반환할 수 있는 자극 전체. 미리 시행을 만들어 두는 exporter에서 사용
+  candidates: (sequence: Sequence) => Stimulus[];
+}
+
+const stimulusTypes: { [type: string]: StimulusTypeDefinition } = {};
+const feedbackTypes: { [type: string]: FeedbackTypeDefinition } = {};
+
+/**
+ * Adds a stimulus type to the script language.
+ * Throws if the type is already registered.
+ */
+export function registerStimulusType(definition: StimulusTypeDefinition) {
+  if (stimulusTypes[definition.type]) {
+    throw new Error(`${definition.type} stimulus type is already registered`);
+  }
+  definition.columns.forEach((column, index) => {
+    const last = index === definition.columns.length - 1;
+    if ((column.kind === "flag" || column.kind === "strings") && !last) {
+      throw new Error(
+        `${definition.type}: ${column.kind} column ${column.name} must be the last column`
+      );
+    }
+  });
+  stimulusTypes[definition.type] = definition;
+}
+
+export function getStimulusType(
+  type: string
+): StimulusTypeDefinition | undefined {
+  return stimulusTypes.hasOwnProperty(type) ? stimulusTypes[type] : undefined;
+}
+
+/**
+ * Adds a <feed_back_type> value to the script language.
+ * Throws if the type is already registered.
+ */
+export function registerFeedbackType(definition: FeedbackTypeDefinition) {
+  if (feedbackTypes[definition.type]) {
+    throw new Error(`${definition.type} feedback type is already registered`);
+  }
+  feedbackTypes[definition.type] = definition;
+}
+
+export function getFeedbackType(
+  type: string
+): FeedbackTypeDefinition | undefined {
+  return feedbackTypes.hasOwnProperty(type) ? feedbackTypes[type] : undefined;
+}
+
+// 파일 경로를 가진 자극이면 그 경로
+export function filePathOf(stimulus: Stimulus): string | null {
+  const definition = getStimulusType(stimulus.stimulusType);
+  if (!definition || !definition.fileColumn) {
+    return null;
+  }
+  const filePath = (stimulus as any)[definition.fileColumn];
+  return typeof filePath === "string" ? filePath : null;
+}
+
+// built-in types
+
+const fontColumns: StimulusColumn[] = [
+  { name: "fontSize", kind: "number", nullable: true },
+  { name: "fontColor", kind: "string", nullable: true, default: "n" },
+];
+
+registerStimulusType({
+  type: StimulusType.IMAGE,
+  columns: [
+    { name: "filePath", kind: "string" },
+    { name: "button", kind: "flag" },
+  ],
+  fileColumn: "filePath",
+});
+
+registerStimulusType({
+  type: StimulusType.TEXT,
+  columns: [{ name: "content", kind: "string", quoted: true }, ...fontColumns],
+});
+
+registerStimulusType({
+  type: StimulusType.TEXT_FILE,
+  columns: [{ name: "filePath", kind: "string" }, ...fontColumns],
+  fileColumn: "filePath",
+});
+
+for (const type of [StimulusType.AUDIO, StimulusType.VIDEO]) {
+  registerStimulusType({
+    type,
+    columns: [{ name: "filePath", kind: "string" }],
+    fileColumn: "filePath",
+  });
+}
+
+registerStimulusType({
+  type: StimulusType.INSTRUCTION,
+  columns: [
+    { name: "continueKey", kind: "string", nullable: true },
+    ...fontColumns.map((column) => ({ ...column, default: undefined })),
+    { name: "pages", kind: "strings" },
+  ],
+  response: false,
+});
+
+registerStimulusType({
+  type: StimulusType.RESULT,
+  columns: [
+    { name: "content", kind: "string", nullable: true, quoted: true },
+    ...fontColumns,
+  ],
+  response: false,
+  output: (stimulus) => ({
+    ...stimulus,
+    metrics: [ResultMetric.ACCURACY, ResultMetric.MEAN_REACTION_TIME].filter(
+      (metric) =>
+        stimulus.content === null || stimulus.content.includes(`{${metric}}`)
+    ),
+  }),
+});
+
+const present = (...stimuli: (Stimulus | null | undefined)[]) =>
+  stimuli.filter((stimulus) => !!stimulus) as Stimulus[];
+
+registerFeedbackType({
+  type: FeedbackType.NONE,
+  columns: [],
+  select: () => [],
+  candidates: () => [],
+});
+
+registerFeedbackType({
+  type: FeedbackType.TRUE_OR_FALSE,
+  columns: ["feedback1", "feedback2"],
+  requiredColumns: ["feedback1", "feedback2"],
+  requiresAnswer: true,
+  // 시간 초과도 오답 feedback
+  select: ({ sequence, correct }) =>
+    present(correct ? sequence.feedback1 : sequence.feedback2),
+  candidates: (sequence) => present(sequence.feedback1, sequence.feedback2),
+});
+
+registerFeedbackType({
+  type: FeedbackType.ALWAYS,
+  // feedback1만 사용하지만 tf와 동일하게 파싱
+  columns: ["feedback1", "feedback2"],
+  requiredColumns: ["feedback1"],
+  select: ({ sequence }) => present(sequence.feedback1),
+  candidates: (sequence) => present(sequence.feedback1),
+});
+
+registerFeedbackType({
+  type: FeedbackType.CHOICE,
+  columns: [],
+  // 선택한 선택지를 다시 보여줌
+  select: ({ sequence, response }) =>
+    response === null || !sequence.choices
+      ? []
+      : present(sequence.choices[response]),
+  candidates: (sequence) => present(...(sequence.choices || [])),
+});
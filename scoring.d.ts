@@ -0,0 +1,58 @@
+import { Diagnostic, SourcePosition } from "./diagnostics";
+import { Sequences } from "./types";
+export interface ResponseEntry {
+    section: string | null;
+    trial: number;
+    response: number | null;
+    rt: number | null;
+    position: SourcePosition;
+}
+export interface TrialScore {
+    section: string;
+    index: number;
+    stimulus: string | null;
+    test: boolean;
+    answer: number | null;
+    response: number | null;
+    rt: number | null;
+    missing: boolean;
+    timeout: boolean;
+    correct: boolean | null;
+    feedback: string[];
+}
+export interface ScoreStats {
+    trials: number;
+    correct: number;
+    timeouts: number;
+    accuracy: number | null;
+    meanReactionTime: number | null;
+    medianReactionTime: number | null;
+}
+export interface ScoreSummary {
+    overall: ScoreStats;
+    bySection: {
+        [section: string]: ScoreStats;
+    };
+    byStimulus: {
+        [identifier: string]: ScoreStats;
+    };
+}
+export interface ScoreResult {
+    trials: TrialScore[];
+    summary: ScoreSummary;
+    diagnostics: Diagnostic[];
+}
+/**
+ * Reads a participant response log. Problems are pushed to diagnostics and
+ * the entries they belong to are skipped.
+ * @param text contents of the log
+ * @param format csv or json
+ */
+export declare function readResponseLog(text: string, format: "csv" | "json", diagnostics?: Diagnostic[]): ResponseEntry[];
+/**
+ * Scores a participant response log against the parsed sequences.
+ * The summary only counts test: y trials that appear in the log.
+ * @param sequences parsed sequences(Parser.sequences or model().sequences)
+ * @param entries response log(readResponseLog)
+ */
+export declare function scoreResponses(sequences: Sequences, entries: ResponseEntry[], diagnostics?: Diagnostic[]): ScoreResult;
@@ -0,0 +1,426 @@
+import {
+  createDiagnostic,
+  Diagnostic,
+  errorMessage,
+  SourcePosition,
+} from "./diagnostics";
+import { getFeedbackType } from "./registry";
+import { parseSectionKey } from "./sections";
+import { splitDelimitedRow } from "./spreadsheet";
+import { Sequence, Sequences } from "./types";
+
+/*
+RESPONSE LOG
+
+one entry per trial the participant went through
+
+- CSV : header row + one row per trial, columns can be in any order
+  trial,response,rt[,section]
+  0,1,532
+  1,,          <- no response(timeout)
+- JSON : [{ "trial": 0, "response": 1, "rt": 532 }, ...]
+
+- trial : index of the trial. with section(key of the section in sequences,
+  ex) pre_sequence, main_sequence:test) it counts from 0 in that section,
+  otherwise over all sections in order
+- response : index of the chosen choice(0부터), empty/null/n if none
+- rt : response time in ms from the stimulus onset, empty/null/n if none
+- positions of the diagnostics are line:column for CSV and entry number:1 for JSON
+*/
+
+export interface ResponseEntry {
+  section: string | null;
+  trial: number;
+  response: number | null;
+  rt: number | null;
+  position: SourcePosition;
+}
+
+export interface TrialScore {
+  section: string;
+  index: number;
+  stimulus: string | null; // identifier
+  test: boolean;
+  answer: number | null;
+  response: number | null;
+  rt: number | null;
+  missing: boolean; // log에 해당 시행이 없음
+  timeout: boolean; // 응답이 없거나 <reactionTime>을 넘김
+  correct: boolean | null; // answer가 n이면 null
+  feedback: string[]; // 보여줬어야 하는 feedback 자극의 identifier
+}
+
+export interface ScoreStats {
+  trials: number;
+  correct: number;
+  timeouts: number;
+  accuracy: number | null; // correct / answer가 있는 시행
+  meanReactionTime: number | null; // 시간 내 응답만
+  medianReactionTime: number | null;
+}
+
+export interface ScoreSummary {
+  overall: ScoreStats;
+  bySection: { [section: string]: ScoreStats };
+  byStimulus: { [identifier: string]: ScoreStats };
+}
+
+export interface ScoreResult {
+  trials: TrialScore[];
+  summary: ScoreSummary; // test: y 시행만 집계
+  diagnostics: Diagnostic[];
+}
+
+const LOG_COLUMNS = ["trial", "response", "rt", "section"];
+
+function splitCsvRow(text: string): string[] {
+  return splitDelimitedRow(text).map((cell) => cell.value);
+}
+
+class ResponseLogReader {
+  diagnostics: Diagnostic[];
+
+  constructor(diagnostics: Diagnostic[]) {
+    this.diagnostics = diagnostics;
+  }
+
+  report(code: string, position: SourcePosition, ...args: string[]) {
+    this.diagnostics.push(createDiagnostic(code, position, ...args));
+  }
+
+  // 빈 값, null, n => null. 잘못된 값이면 undefined
+  number(
+    value: unknown,
+    column: string,
+    position: SourcePosition,
+    nullable: boolean
+  ): number | null | undefined {
+    if (
+      value === undefined ||
+      value === null ||
+      value === "" ||
+      value === "n"
+    ) {
+      if (nullable) {
+        return null;
+      }
+    } else {
+      const number = Number(value);
+      // rt 외에는 인덱스라서 정수
+      if (
+        number >= 0 &&
+        (column === "rt" ? isFinite(number) : Number.isInteger(number))
+      ) {
+        return number;
+      }
+    }
+    this.report("response-invalid-value", position, column, String(value));
+    return undefined;
+  }
+
+  entry(
+    values: { [column: string]: unknown },
+    position: SourcePosition
+  ): ResponseEntry | null {
+    const section = values.section;
+    if (
+      section !== undefined &&
+      section !== null &&
+      section !== "" &&
+      parseSectionKey(String(section)) === null
+    ) {
+      this.report(
+        "response-invalid-value",
+        position,
+        "section",
+        String(section)
+      );
+      return null;
+    }
+
+    const trial = this.number(values.trial, "trial", position, false);
+    const response = this.number(values.response, "response", position, true);
+    const rt = this.number(values.rt, "rt", position, true);
+    if (trial === undefined || response === undefined || rt === undefined) {
+      return null;
+    }
+
+    return {
+      section: section ? String(section) : null,
+      trial: trial as number,
+      response,
+      rt,
+      position,
+    };
+  }
+
+  csv(text: string): ResponseEntry[] {
+    const rows = text
+      .replace(/^\uFEFF/, "")
+      .split(/\r?\n/)
+      .map((text, index) => ({ text, line: index + 1 }))
+      .filter((row) => row.text.trim());
+    if (rows.length === 0) {
+      return [];
+    }
+
+    const header = splitCsvRow(rows[0].text);
+    const missing = ["trial", "response", "rt"].filter(
+      (column) => !header.includes(column)
+    );
+    if (missing.length > 0) {
+      for (const column of missing) {
+        this.report(
+          "response-missing-column",
+          { line: rows[0].line, column: 1 },
+          column
+        );
+      }
+      return [];
+    }
+
+    const entries: ResponseEntry[] = [];
+    for (const row of rows.slice(1)) {
+      const fields = splitCsvRow(row.text);
+      const values: { [column: string]: string } = {};
+      header.forEach((column, index) => {
+        if (LOG_COLUMNS.includes(column)) {
+          values[column] = fields[index];
+        }
+      });
+      const entry = this.entry(values, { line: row.line, column: 1 });
+      if (entry) {
+        entries.push(entry);
+      }
+    }
+    return entries;
+  }
+
+  json(text: string): ResponseEntry[] {
+    let log: unknown;
+    try {
+      log = JSON.parse(text);
+    } catch (e) {
+      this.report(
+        "response-log-invalid",
+        { line: 1, column: 1 },
+        errorMessage(e)
+      );
+      return [];
+    }
+    if (!Array.isArray(log)) {
+      this.report(
+        "response-log-invalid",
+        { line: 1, column: 1 },
+        "the log must be an array of entries"
+      );
+      return [];
+    }
+
+    const entries: ResponseEntry[] = [];
+    log.forEach((values, index) => {
+      const position = { line: index + 1, column: 1 };
+      if (typeof values !== "object" || values === null) {
+        this.report(
+          "response-log-invalid",
+          position,
+          "entries must be objects"
+        );
+        return;
+      }
+      const entry = this.entry(values, position);
+      if (entry) {
+        entries.push(entry);
+      }
+    });
+    return entries;
+  }
+}
+
+/**
+ * Reads a participant response log. Problems are pushed to diagnostics and
+ * the entries they belong to are skipped.
+ * @param text contents of the log
+ * @param format csv or json
+ */
+export function readResponseLog(
+  text: string,
+  format: "csv" | "json",
+  diagnostics: Diagnostic[] = []
+): ResponseEntry[] {
+  const reader = new ResponseLogReader(diagnostics);
+  return format === "json" ? reader.json(text) : reader.csv(text);
+}
+
+function median(values: number[]): number | null {
+  if (values.length === 0) {
+    return null;
+  }
+  const sorted = values.slice().sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2
+    ? sorted[middle]
+    : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function statsOf(trials: TrialScore[]): ScoreStats {
+  const answered = trials.filter((trial) => trial.correct !== null);
+  const correct = answered.filter((trial) => trial.correct).length;
+  const reactionTimes = trials
+    .filter((trial) => !trial.timeout && trial.rt !== null)
+    .map((trial) => trial.rt as number);
+  return {
+    trials: trials.length,
+    correct,
+    timeouts: trials.filter((trial) => trial.timeout).length,
+    accuracy: answered.length ? correct / answered.length : null,
+    meanReactionTime: reactionTimes.length
+      ? reactionTimes.reduce((sum, rt) => sum + rt, 0) / reactionTimes.length
+      : null,
+    medianReactionTime: median(reactionTimes),
+  };
+}
+
+function groupStats(
+  trials: TrialScore[],
+  keyOf: (trial: TrialScore) => string | null
+): { [key: string]: ScoreStats } {
+  const groups: { [key: string]: TrialScore[] } = {};
+  for (const trial of trials) {
+    const key = keyOf(trial);
+    if (key !== null) {
+      (groups[key] = groups[key] || []).push(trial);
+    }
+  }
+  const stats: { [key: string]: ScoreStats } = {};
+  Object.keys(groups).forEach((key) => (stats[key] = statsOf(groups[key])));
+  return stats;
+}
+
+function feedbackOf(
+  sequence: Sequence,
+  correct: boolean | null,
+  response: number | null
+): string[] {
+  const definition =
+    sequence.feedbackType && getFeedbackType(sequence.feedbackType);
+  if (!definition) {
+    return [];
+  }
+  return definition
+    .select({ sequence, correct, response })
+    .map((stimulus) => stimulus.identifier);
+}
+
+function scoreTrial(
+  sequence: Sequence,
+  section: string,
+  index: number,
+  entry: ResponseEntry | undefined
+): TrialScore {
+  const answer = typeof sequence.answer === "number" ? sequence.answer : null;
+  const reactionTime =
+    typeof sequence.reactionTime === "number" ? sequence.reactionTime : null;
+  const hasChoices = !!sequence.choices && sequence.choices.length > 0;
+  const rt = entry ? entry.rt : null;
+  const late = rt !== null && reactionTime !== null && rt > reactionTime;
+  // 제한 시간을 넘긴 응답은 무시
+  const response = entry && !late ? entry.response : null;
+  // log에 없는 시행은 채점하지 않음
+  const timeout = !!entry && hasChoices && response === null;
+  const correct = !entry || answer === null ? null : response === answer;
+
+  return {
+    section,
+    index,
+    stimulus: sequence.stimulus && sequence.stimulus.identifier,
+    test: !!sequence.test,
+    answer,
+    response,
+    rt,
+    missing: !entry,
+    timeout,
+    correct,
+    feedback: entry ? feedbackOf(sequence, correct, response) : [],
+  };
+}
+
+/**
+ * Scores a participant response log against the parsed sequences.
+ * The summary only counts test: y trials that appear in the log.
+ * @param sequences parsed sequences(Parser.sequences or model().sequences)
+ * @param entries response log(readResponseLog)
+ */
+export function scoreResponses(
+  sequences: Sequences,
+  entries: ResponseEntry[],
+  diagnostics: Diagnostic[] = []
+): ScoreResult {
+  const report = (code: string, position: SourcePosition, ...args: string[]) =>
+    diagnostics.push(createDiagnostic(code, position, ...args));
+
+  const trials: {
+    section: string;
+    index: number;
+    sequence: Sequence;
+  }[] = [];
+  for (const section of Object.keys(sequences)) {
+    sequences[section].forEach((sequence, index) =>
+      trials.push({ section, index, sequence })
+    );
+  }
+
+  // "section:index" => entry
+  const entryOf: { [key: string]: ResponseEntry } = {};
+  for (const entry of entries) {
+    const trial = entry.section
+      ? trials.find(
+          ({ section, index }) =>
+            section === entry.section && index === entry.trial
+        )
+      : trials[entry.trial];
+    if (!trial) {
+      report(
+        "response-unknown-trial",
+        entry.position,
+        entry.section ? `${entry.section}[${entry.trial}]` : String(entry.trial)
+      );
+      continue;
+    }
+
+    const label = `${trial.section}[${trial.index}]`;
+    const { choices } = trial.sequence;
+    if (entryOf[label]) {
+      report("response-duplicate", entry.position, label);
+      continue;
+    } else if (
+      entry.response !== null &&
+      (!choices || entry.response >= choices.length)
+    ) {
+      report(
+        "response-out-of-range",
+        entry.position,
+        label,
+        String(entry.response),
+        String(choices ? choices.length : 0)
+      );
+      continue;
+    }
+    entryOf[label] = entry;
+  }
+
+  const scores = trials.map(({ section, index, sequence }) =>
+    scoreTrial(sequence, section, index, entryOf[`${section}[${index}]`])
+  );
+  const scored = scores.filter((score) => score.test && !score.missing);
+
+  return {
+    trials: scores,
+    summary: {
+      overall: statsOf(scored),
+      bySection: groupStats(scored, (score) => score.section),
+      byStimulus: groupStats(scored, (score) => score.stimulus),
+    },
+    diagnostics,
+  };
+}
@@ -0,0 +1,46 @@
+import { Reporter, SourceRow } from "./diagnostics";
+export interface Section {
+    keyword: string;
+    name: string | null;
+    key: string | null;
+    header: SourceRow;
+    end: SourceRow | null;
+    rows: SourceRow[];
+}
+export interface SectionEvent {
+    type: "start" | "row" | "end";
+    section: Section;
+}
+export declare function isSequenceKeyword(keyword: string): boolean;
+export declare function sectionKey(keyword: string, name: string | null): string;
+export declare function parseSectionKey(key: string): {
+    keyword: string;
+    name: string | null;
+} | null;
+export declare function isMainSection(key: string): boolean;
+/**
+ * Splits the rows of a script into sections, one row at a time, so that the
+ * streaming parser can use it too. Reports rows outside of any section and
+ * the errors of the headers as it goes.
+ */
+export declare class SectionScanner {
+    report: Reporter;
+    keepRows: boolean;
+    sections: Section[];
+    open: Section | null;
+    skipping: Section | null;
+    started: Set<string>;
+    lastRow: SourceRow | null;
+    constructor(report: Reporter, keepRows?: boolean);
+    /**
+     * Reads a row(not the Task header).
+     * Returns null for rows outside of sections and rows of ignored sections.
+     */
+    push(row: SourceRow): SectionEvent | null;
+    start(row: SourceRow, keyword: string, attributes: string[]): SectionEvent | null;
+    /**
+     * Reports the section that is still open and the missing required
+     * sections, returns the closed sections.
+     */
+    finish(): Section[];
+}
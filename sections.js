@@ -0,0 +1,171 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.SectionScanner = exports.isMainSection = exports.parseSectionKey = exports.sectionKey = exports.isSequenceKeyword = void 0;
+const lexer_1 = require("./lexer");
+const SINGLE_SECTIONS = ["Background", "Descriptions"];
+const SEQUENCE_KEYWORD = /^[A-Z][A-Za-z0-9]*Seq$/;
+const SECTION_NAME = /^[A-Za-z0-9_-]+$/;
+const SECTION_KEY = /^([a-z][a-z0-9]*(?:_[a-z0-9]+)*)_sequence(?::([A-Za-z0-9_-]+))?$/;
+function isSequenceKeyword(keyword) {
+    return SEQUENCE_KEYWORD.test(keyword) && !keyword.startsWith("End");
+}
+exports.isSequenceKeyword = isSequenceKeyword;
+function isSectionKeyword(keyword) {
+    return SINGLE_SECTIONS.includes(keyword) || isSequenceKeyword(keyword);
+}
+// MainSeq, "test" => main_sequence:test
+function sectionKey(keyword, name) {
+    const kind = keyword
+        .slice(0, -"Seq".length)
+        .replace(/[A-Z]/g, (char, index) => index === 0 ? char.toLowerCase() : `_${char.toLowerCase()}`);
+    return `${kind}_sequence${name === null ? "" : `:${name}`}`;
+}
+exports.sectionKey = sectionKey;
+// sectionKey()의 반대. key 형식이 아니면 null
+function parseSectionKey(key) {
+    const match = SECTION_KEY.exec(key);
+    if (!match) {
+        return null;
+    }
+    const keyword = match[1]
+        .split("_")
+        .map((part) => part[0].toUpperCase() + part.slice(1))
+        .join("");
+    return { keyword: `${keyword}Seq`, name: match[2] || null };
+}
+exports.parseSectionKey = parseSectionKey;
+function isMainSection(key) {
+    const section = parseSectionKey(key);
+    return section !== null && section.keyword === "MainSeq";
+}
+exports.isMainSection = isMainSection;
+// [MainSeq name=test] 형식의 헤더. 섹션 헤더가 아니면 null
+function parseHeader(text) {
+    const match = /^\[([A-Za-z0-9]+)(\s[^\]]*)?\]$/.exec(text);
+    if (!match || !isSectionKeyword(match[1])) {
+        return null;
+    }
+    const attributes = lexer_1.tokenize(match[2] || "").map((token) => token.value);
+    return { keyword: match[1], attributes };
+}
+/**
+ * Splits the rows of a script into sections, one row at a time, so that the
+ * streaming parser can use it too. Reports rows outside of any section and
+ * the errors of the headers as it goes.
+ */
+class SectionScanner {
+    constructor(report, keepRows = true) {
+        this.report = report;
+        this.keepRows = keepRows;
+        this.sections = [];
+        this.open = null;
+        this.skipping = null;
+        this.started = new Set();
+        this.lastRow = null;
+    }
+    /**
+     * Reads a row(not the Task header).
+     * Returns null for rows outside of sections and rows of ignored sections.
+     */
+    push(row) {
+        this.lastRow = row;
+        const header = parseHeader(row.text);
+        const open = this.open;
+        if (this.skipping !== null) {
+            if (row.text == `[End${this.skipping.keyword}]`) {
+                this.skipping = null;
+            }
+            return null;
+        }
+        else if (open !== null && row.text == `[End${open.keyword}]`) {
+            open.end = row;
+            this.sections.push(open);
+            this.open = null;
+            return { type: "end", section: open };
+        }
+        else if (header !== null) {
+            if (open !== null) {
+                this.report("section-nested", row, header.keyword, open.keyword, String(open.header.line));
+            }
+            this.open = null;
+            return this.start(row, header.keyword, header.attributes);
+        }
+        else if (/^\[End[A-Za-z0-9]+\]$/.test(row.text)) {
+            const keyword = row.text.slice("[End".length, -1);
+            if (isSectionKeyword(keyword)) {
+                this.report("section-end-without-start", row, keyword);
+                return null;
+            }
+        }
+        if (open === null) {
+            this.report("row-outside-section", row, row.text);
+            return null;
+        }
+        if (this.keepRows) {
+            open.rows.push(row);
+        }
+        return { type: "row", section: open };
+    }
+    start(row, keyword, attributes) {
+        this.started.add(keyword);
+        let name = null;
+        for (const attribute of attributes) {
+            const [option, value] = attribute.split("=");
+            if (option !== "name" || !isSequenceKeyword(keyword)) {
+                this.report("section-invalid-attribute", row, attribute, keyword);
+            }
+            else if (!value || !SECTION_NAME.test(value)) {
+                this.report("section-invalid-name", row, value || "");
+            }
+            else {
+                name = value;
+            }
+        }
+        const key = isSequenceKeyword(keyword) ? sectionKey(keyword, name) : null;
+        const section = {
+            keyword,
+            name,
+            key,
+            header: row,
+            end: null,
+            rows: [],
+        };
+        const duplicate = this.sections.some((other) => key === null ? other.keyword === keyword : other.key === key);
+        if (duplicate) {
+            if (key === null) {
+                this.report("section-duplicate", row, keyword);
+            }
+            else {
+                this.report("section-key-duplicate", row, keyword, key);
+            }
+            this.skipping = section;
+            return null;
+        }
+        this.open = section;
+        return { type: "start", section };
+    }
+    /**
+     * Reports the section that is still open and the missing required
+     * sections, returns the closed sections.
+     */
+    finish() {
+        const unclosed = this.open || this.skipping;
+        if (unclosed !== null) {
+            this.report("section-unclosed", unclosed.header, unclosed.keyword);
+            this.open = null;
+            this.skipping = null;
+        }
+        // 닫히지 않은 섹션은 section-unclosed만
+        const { lastRow } = this;
+        const end = lastRow
+            ? { line: lastRow.line, column: lastRow.column + lastRow.text.length }
+            : { line: 1, column: 1 };
+        for (const keyword of ["Descriptions", "MainSeq"]) {
+            if (!this.started.has(keyword)) {
+                this.report("section-missing", end, keyword);
+            }
+        }
+        return this.sections;
+    }
+}
+exports.SectionScanner = SectionScanner;
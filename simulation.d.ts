@@ -0,0 +1,49 @@
+import { Diagnostic, SourcePosition } from "./diagnostics";
+import { Sequence, Sequences } from "./types";
+export declare type ReactionTimeDistribution = "normal" | "lognormal" | "exgaussian";
+export declare const REACTION_TIME_DISTRIBUTIONS: ReactionTimeDistribution[];
+export interface ParticipantProfile {
+    accuracy: number;
+    rtMean: number;
+    rtSd: number;
+    rtDistribution: ReactionTimeDistribution;
+    timeoutRate: number;
+    minReactionTime: number;
+}
+export declare const DEFAULT_PROFILE: ParticipantProfile;
+export interface SimulationOptions extends Partial<ParticipantProfile> {
+    seed?: string | number;
+    participantId?: string | number;
+}
+export declare type SimulationEventType = "session_start" | "section_start" | "trial_start" | "stimulus_on" | "stimulus_off" | "choices_on" | "choices_off" | "response" | "timeout" | "feedback_on" | "feedback_off" | "trial_end" | "section_end" | "session_end";
+export interface SimulationEvent {
+    time: number;
+    section: string | null;
+    trial: number | null;
+    type: SimulationEventType;
+    stimuli: string[];
+    response: number | null;
+    rt: number | null;
+}
+export interface SimulatedResponse {
+    section: string;
+    trial: number;
+    response: number | null;
+    rt: number | null;
+}
+export interface SimulatedSession {
+    participantId: string;
+    events: SimulationEvent[];
+    responses: SimulatedResponse[];
+    duration: number | null;
+    diagnostics: Diagnostic[];
+}
+/**
+ * Runs the sequences with a simulated participant.
+ * @param sequences parsed sequences(Parser.sequences), expanded for the same
+ * participant id
+ * @param positionOf source position of a sequence, used for the diagnostics
+ */
+export declare function simulateSession(sequences: Sequences, positionOf: (sequence: Sequence) => SourcePosition, options?: SimulationOptions): SimulatedSession;
+export declare function formatResponses(session: SimulatedSession): string;
+export declare function formatEvents(session: SimulatedSession): string;
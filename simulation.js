@@ -0,0 +1,261 @@
+"use strict";
+var __rest = (this && this.__rest) || function (s, e) {
+    var t = {};
+    for (var p in s) if (Object.prototype.hasOwnProperty.call(s, p) && e.indexOf(p) < 0)
+        t[p] = s[p];
+    if (s != null && typeof Object.getOwnPropertySymbols === "function")
+        for (var i = 0, p = Object.getOwnPropertySymbols(s); i < p.length; i++) {
+            if (e.indexOf(p[i]) < 0 && Object.prototype.propertyIsEnumerable.call(s, p[i]))
+                t[p[i]] = s[p[i]];
+        }
+    return t;
+};
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.formatEvents = exports.formatResponses = exports.simulateSession = exports.DEFAULT_PROFILE = exports.REACTION_TIME_DISTRIBUTIONS = void 0;
+const diagnostics_1 = require("./diagnostics");
+const randomization_1 = require("./randomization");
+const registry_1 = require("./registry");
+const types_1 = require("./types");
+exports.REACTION_TIME_DISTRIBUTIONS = [
+    "normal",
+    "lognormal",
+    "exgaussian",
+];
+exports.DEFAULT_PROFILE = {
+    accuracy: 0.8,
+    rtMean: 600,
+    rtSd: 150,
+    rtDistribution: "exgaussian",
+    timeoutRate: 0.02,
+    minReactionTime: 150,
+};
+// optional 필드(undefined)와 n/inf(null)를 모두 null로
+function known(value) {
+    return typeof value === "number" ? value : null;
+}
+function identifiers(stimuli) {
+    return stimuli
+        .filter((stimulus) => !!stimulus)
+        .map((stimulus) => stimulus.identifier);
+}
+class SimulatedParticipant {
+    constructor(profile, random) {
+        this.profile = profile;
+        this.random = random;
+    }
+    // Box-Muller
+    normal() {
+        const u = 1 - this.random();
+        const v = this.random();
+        return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+    }
+    reactionTime() {
+        const { rtMean, rtSd, rtDistribution, minReactionTime } = this.profile;
+        let rt;
+        if (rtDistribution === "lognormal") {
+            const variance = Math.log(1 + (rtSd * rtSd) / (rtMean * rtMean));
+            const mu = Math.log(rtMean) - variance / 2;
+            rt = Math.exp(mu + Math.sqrt(variance) * this.normal());
+        }
+        else if (rtDistribution === "exgaussian") {
+            // 분산은 sigma^2 + tau^2 = rtSd^2
+            const tau = 0.8 * rtSd;
+            const exponential = -tau * Math.log(1 - this.random());
+            rt = rtMean - tau + 0.6 * rtSd * this.normal() + exponential;
+        }
+        else {
+            rt = rtMean + rtSd * this.normal();
+        }
+        return Math.max(minReactionTime, Math.round(rt));
+    }
+    choose(choiceCount, answer) {
+        if (answer === null || answer >= choiceCount) {
+            return Math.floor(this.random() * choiceCount);
+        }
+        else if (choiceCount === 1 || this.random() < this.profile.accuracy) {
+            return answer;
+        }
+        // answer를 제외한 선택지 중 하나
+        const other = Math.floor(this.random() * (choiceCount - 1));
+        return other >= answer ? other + 1 : other;
+    }
+}
+class SessionSimulator {
+    constructor(participant, participantId, positionOf) {
+        this.participant = participant;
+        this.positionOf = positionOf;
+        this.session = {
+            participantId,
+            events: [],
+            responses: [],
+            duration: null,
+            diagnostics: [],
+        };
+    }
+    // 시행 밖의 이벤트(session_start, section_start, ...)
+    event(time, type, section = null) {
+        this.session.events.push({
+            time,
+            section,
+            trial: null,
+            type,
+            stimuli: [],
+            response: null,
+            rt: null,
+        });
+    }
+    report(sequence, code, ...args) {
+        this.session.diagnostics.push(diagnostics_1.createDiagnostic(code, this.positionOf(sequence), ...args));
+    }
+    /**
+     * Runs one trial from start(ms from the session start).
+     * Returns the end of the trial, null if it never ends.
+     */
+    trial(sequence, section, index, start) {
+        const label = `${section}[${index}]`;
+        const stimulusDuration = known(sequence.stimulusDuration);
+        const choiceDuration = known(sequence.choiceDuration);
+        const reactionTime = known(sequence.reactionTime);
+        const feedbackDuration = known(sequence.feedbackDuration);
+        const answer = known(sequence.answer);
+        const choiceStart = known(sequence.choiceOnsetRelativeToSim) || 0;
+        const choices = sequence.choices || [];
+        const { minReactionTime, timeoutRate } = this.participant.profile;
+        // 같은 시각의 이벤트는 만든 순서대로
+        const events = [];
+        const event = (time, type, stimuli = [], response = null, rt = null) => events.push({
+            time: start + time,
+            section,
+            trial: index,
+            type,
+            stimuli,
+            response,
+            rt,
+        });
+        const stimulus = identifiers([sequence.stimulus]);
+        event(0, "trial_start", stimulus);
+        event(0, "stimulus_on", stimulus);
+        if (choices.length === 0 && stimulusDuration === null) {
+            this.report(sequence, "timeline-blocked", label);
+            this.session.events.push(...events);
+            return null;
+        }
+        // 반응 구간이 끝나는 시점(시행 시작 기준). 선택지가 없으면 자극이 끝날 때
+        let windowEnd = stimulusDuration;
+        let response = null;
+        let rt = null;
+        if (choices.length > 0) {
+            event(choiceStart, "choices_on", identifiers(choices));
+            if (reactionTime !== null &&
+                reactionTime - choiceStart < minReactionTime) {
+                this.report(sequence, "simulation-unanswerable", label, String(reactionTime - choiceStart), String(minReactionTime));
+            }
+            const respondAt = reactionTime !== null && this.participant.random() < timeoutRate
+                ? null
+                : choiceStart + this.participant.reactionTime();
+            if (respondAt === null ||
+                (reactionTime !== null && respondAt > reactionTime)) {
+                windowEnd = Math.max(reactionTime, choiceStart);
+                event(windowEnd, "timeout");
+            }
+            else {
+                windowEnd = respondAt;
+                response = this.participant.choose(choices.length, answer);
+                rt = respondAt;
+                event(respondAt, "response", [], response, rt);
+            }
+            this.session.responses.push({ section, trial: index, response, rt });
+        }
+        // inf인 자극/선택지는 반응 구간이 끝날 때까지
+        const stimulusEnd = stimulusDuration === null ? windowEnd : stimulusDuration;
+        const choiceEnd = choiceDuration === null ? windowEnd : choiceStart + choiceDuration;
+        event(stimulusEnd, "stimulus_off", stimulus);
+        let end = Math.max(windowEnd, stimulusEnd);
+        if (choices.length > 0) {
+            event(choiceEnd, "choices_off", identifiers(choices));
+            end = Math.max(end, choiceEnd);
+        }
+        const definition = sequence.feedbackType && registry_1.getFeedbackType(sequence.feedbackType);
+        if (definition &&
+            sequence.feedbackType !== types_1.FeedbackType.NONE &&
+            feedbackDuration !== null) {
+            const feedback = identifiers(definition.select({
+                sequence,
+                correct: answer === null ? null : response === answer,
+                response,
+            }));
+            if (feedback.length > 0) {
+                event(end, "feedback_on", feedback);
+                event(end + feedbackDuration, "feedback_off", feedback);
+            }
+            end += feedbackDuration;
+        }
+        event(end, "trial_end");
+        events.sort((a, b) => a.time - b.time);
+        this.session.events.push(...events);
+        return start + end;
+    }
+    run(sequences) {
+        let time = 0;
+        this.event(time, "session_start");
+        for (const section of Object.keys(sequences)) {
+            const sectionStart = time;
+            this.event(time, "section_start", section);
+            for (let index = 0; index < sequences[section].length; index++) {
+                const sequence = sequences[section][index];
+                const onset = known(sequence.onSetTime) || 0;
+                const end = this.trial(sequence, section, index, Math.max(sectionStart + onset, time));
+                if (end === null) {
+                    return this.session;
+                }
+                time = end;
+            }
+            this.event(time, "section_end", section);
+        }
+        this.event(time, "session_end");
+        this.session.duration = time;
+        return this.session;
+    }
+}
+/**
+ * Runs the sequences with a simulated participant.
+ * @param sequences parsed sequences(Parser.sequences), expanded for the same
+ * participant id
+ * @param positionOf source position of a sequence, used for the diagnostics
+ */
+function simulateSession(sequences, positionOf, options = {}) {
+    const { seed = 0, participantId = 1 } = options, profile = __rest(options, ["seed", "participantId"]);
+    const random = randomization_1.createRandom(`simulation:${seed}:${participantId}`);
+    const participant = new SimulatedParticipant(Object.assign(Object.assign({}, exports.DEFAULT_PROFILE), profile), random);
+    return new SessionSimulator(participant, String(participantId), positionOf).run(sequences);
+}
+exports.simulateSession = simulateSession;
+function csvOf(header, rows) {
+    return ([header, ...rows]
+        .map((values) => values
+        .map((value) => (value === null || value === undefined ? "" : value))
+        .join(","))
+        .join("\n") + "\n");
+}
+// score로 채점할 수 있는 response log
+function formatResponses(session) {
+    return csvOf(["section", "trial", "response", "rt"], session.responses.map(({ section, trial, response, rt }) => [
+        section,
+        trial,
+        response,
+        rt,
+    ]));
+}
+exports.formatResponses = formatResponses;
+function formatEvents(session) {
+    return csvOf(["time", "section", "trial", "event", "stimuli", "response", "rt"], session.events.map((event) => [
+        event.time,
+        event.section,
+        event.trial,
+        event.type,
+        event.stimuli.join(" "),
+        event.response,
+        event.rt,
+    ]));
+}
+exports.formatEvents = formatEvents;
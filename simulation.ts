@@ -0,0 +1,445 @@
+import { createDiagnostic, Diagnostic, SourcePosition } from "./diagnostics";
+import { createRandom } from "./randomization";
+import { getFeedbackType } from "./registry";
+import { FeedbackType, Sequence, Sequences, Stimulus } from "./types";
+
+/*
+SESSION SIMULATION
+
+runs the parsed sequences without a screen, with a simulated participant,
+so that a script and the analysis of its data can be tried before anyone runs it
+
+- sections and trials run in the order of sequences, with the timing rules of
+  the timeline(timeline.ts) : a trial starts at its <onSetTime>(from the section
+  start) or when the previous trial ends if that is later
+- the participant
+  - does not respond with probability timeoutRate
+  - otherwise responds after a reaction time drawn from the distribution,
+    counted from the choice onset(<choiceOnsetRelativeToSim>), at least minReactionTime
+    - normal : mean rtMean, standard deviation rtSd
+    - lognormal : skewed, same mean and standard deviation
+    - exgaussian : normal + exponential(tau = 0.8 * rtSd), same mean and standard deviation
+  - chooses <answer> with probability accuracy, otherwise one of the other
+    choices. without <answer> any choice
+- a response after <reactionTime> is not recorded(timeout). with <reactionTime>
+  inf the participant always responds
+- a response ends the response window. the stimulus and the choices with inf
+  duration end with it, the others run for their duration
+- feedback : the stimuli of the feedback type(tf, a, c, ... registry.ts) for
+  <feed_back_duration> after the trial
+- a trial without choices and with inf <stimDur> never ends, the session stops there
+- the same seed and participant id give the same session
+- diagnostics
+  - simulation-unanswerable : the response window(<choiceOnsetRelativeToSim> ~
+    <reactionTime>) is shorter than minReactionTime, the participant can never answer
+  - timeline-blocked : the trial that stops the session
+
+RESPONSE FILE : the response log of score(scoring.ts), one row per trial with choices
+  section,trial,response,rt
+  main_sequence,0,1,532
+  main_sequence,1,,          <- timeout
+- rt : ms from the stimulus onset
+
+EVENT LOG : one row per event, in the order of time
+  time,section,trial,event,stimuli,response,rt
+  0,,,session_start,,,
+  0,main_sequence,0,trial_start,T1,,
+  0,main_sequence,0,stimulus_on,T1,,
+  500,main_sequence,0,choices_on,I1 I2,,
+  1032,main_sequence,0,response,,1,532
+- time : ms from the session start
+- event : session_start, section_start, trial_start, stimulus_on, stimulus_off,
+  choices_on, choices_off, response, timeout, feedback_on, feedback_off,
+  trial_end, section_end, session_end
+- stimuli : identifiers, separated by a space
+*/
+
+export type ReactionTimeDistribution = "normal" | "lognormal" | "exgaussian";
+
+export const REACTION_TIME_DISTRIBUTIONS: ReactionTimeDistribution[] = [
+  "normal",
+  "lognormal",
+  "exgaussian",
+];
+
+export interface ParticipantProfile {
+  accuracy: number; // 0 ~ 1
+  rtMean: number; // ms
+  rtSd: number; // ms
+  rtDistribution: ReactionTimeDistribution;
+  timeoutRate: number; // 0 ~ 1
+  minReactionTime: number; // 이보다 빠른 반응은 없음(ms)
+}
+
+export const DEFAULT_PROFILE: ParticipantProfile = {
+  accuracy: 0.8,
+  rtMean: 600,
+  rtSd: 150,
+  rtDistribution: "exgaussian",
+  timeoutRate: 0.02,
+  minReactionTime: 150,
+};
+
+export interface SimulationOptions extends Partial<ParticipantProfile> {
+  seed?: string | number;
+  participantId?: string | number;
+}
+
+export type SimulationEventType =
+  | "session_start"
+  | "section_start"
+  | "trial_start"
+  | "stimulus_on"
+  | "stimulus_off"
+  | "choices_on"
+  | "choices_off"
+  | "response"
+  | "timeout"
+  | "feedback_on"
+  | "feedback_off"
+  | "trial_end"
+  | "section_end"
+  | "session_end";
+
+export interface SimulationEvent {
+  time: number; // ms from the session start
+  section: string | null;
+  trial: number | null;
+  type: SimulationEventType;
+  stimuli: string[]; // identifier
+  response: number | null;
+  rt: number | null;
+}
+
+export interface SimulatedResponse {
+  section: string;
+  trial: number;
+  response: number | null; // null이면 timeout
+  rt: number | null; // 자극 시작 기준
+}
+
+export interface SimulatedSession {
+  participantId: string;
+  events: SimulationEvent[];
+  responses: SimulatedResponse[];
+  duration: number | null; // 끝나지 않는 시행에서 멈추면 null
+  diagnostics: Diagnostic[];
+}
+
+// optional 필드(undefined)와 n/inf(null)를 모두 null로
+function known(value: number | null | undefined): number | null {
+  return typeof value === "number" ? value : null;
+}
+
+function identifiers(stimuli: (Stimulus | null | undefined)[]): string[] {
+  return stimuli
+    .filter((stimulus) => !!stimulus)
+    .map((stimulus) => (stimulus as Stimulus).identifier);
+}
+
+class SimulatedParticipant {
+  profile: ParticipantProfile;
+  random: () => number;
+
+  constructor(profile: ParticipantProfile, random: () => number) {
+    this.profile = profile;
+    this.random = random;
+  }
+
+  // Box-Muller
+  normal(): number {
+    const u = 1 - this.random();
+    const v = this.random();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+  }
+
+  reactionTime(): number {
+    const { rtMean, rtSd, rtDistribution, minReactionTime } = this.profile;
+    let rt: number;
+    if (rtDistribution === "lognormal") {
+      const variance = Math.log(1 + (rtSd * rtSd) / (rtMean * rtMean));
+      const mu = Math.log(rtMean) - variance / 2;
+      rt = Math.exp(mu + Math.sqrt(variance) * this.normal());
+    } else if (rtDistribution === "exgaussian") {
+      // 분산은 sigma^2 + tau^2 = rtSd^2
+      const tau = 0.8 * rtSd;
+      const exponential = -tau * Math.log(1 - this.random());
+      rt = rtMean - tau + 0.6 * rtSd * this.normal() + exponential;
+    } else {
+      rt = rtMean + rtSd * this.normal();
+    }
+    return Math.max(minReactionTime, Math.round(rt));
+  }
+
+  choose(choiceCount: number, answer: number | null): number {
+    if (answer === null || answer >= choiceCount) {
+      return Math.floor(this.random() * choiceCount);
+    } else if (choiceCount === 1 || this.random() < this.profile.accuracy) {
+      return answer;
+    }
+    // answer를 제외한 선택지 중 하나
+    const other = Math.floor(this.random() * (choiceCount - 1));
+    return other >= answer ? other + 1 : other;
+  }
+}
+
+class SessionSimulator {
+  participant: SimulatedParticipant;
+  positionOf: (sequence: Sequence) => SourcePosition;
+  session: SimulatedSession;
+
+  constructor(
+    participant: SimulatedParticipant,
+    participantId: string,
+    positionOf: (sequence: Sequence) => SourcePosition
+  ) {
+    this.participant = participant;
+    this.positionOf = positionOf;
+    this.session = {
+      participantId,
+      events: [],
+      responses: [],
+      duration: null,
+      diagnostics: [],
+    };
+  }
+
+  // 시행 밖의 이벤트(session_start, section_start, ...)
+  event(
+    time: number,
+    type: SimulationEventType,
+    section: string | null = null
+  ) {
+    this.session.events.push({
+      time,
+      section,
+      trial: null,
+      type,
+      stimuli: [],
+      response: null,
+      rt: null,
+    });
+  }
+
+  report(sequence: Sequence, code: string, ...args: string[]) {
+    this.session.diagnostics.push(
+      createDiagnostic(code, this.positionOf(sequence), ...args)
+    );
+  }
+
+  /**
+   * Runs one trial from start(ms from the session start).
+   * Returns the end of the trial, null if it never ends.
+   */
+  trial(
+    sequence: Sequence,
+    section: string,
+    index: number,
+    start: number
+  ): number | null {
+    const label = `${section}[${index}]`;
+    const stimulusDuration = known(sequence.stimulusDuration);
+    const choiceDuration = known(sequence.choiceDuration);
+    const reactionTime = known(sequence.reactionTime);
+    const feedbackDuration = known(sequence.feedbackDuration);
+    const answer = known(sequence.answer);
+    const choiceStart = known(sequence.choiceOnsetRelativeToSim) || 0;
+    const choices = sequence.choices || [];
+    const { minReactionTime, timeoutRate } = this.participant.profile;
+
+    // 같은 시각의 이벤트는 만든 순서대로
+    const events: SimulationEvent[] = [];
+    const event = (
+      time: number,
+      type: SimulationEventType,
+      stimuli: string[] = [],
+      response: number | null = null,
+      rt: number | null = null
+    ) =>
+      events.push({
+        time: start + time,
+        section,
+        trial: index,
+        type,
+        stimuli,
+        response,
+        rt,
+      });
+    const stimulus = identifiers([sequence.stimulus]);
+    event(0, "trial_start", stimulus);
+    event(0, "stimulus_on", stimulus);
+
+    if (choices.length === 0 && stimulusDuration === null) {
+      this.report(sequence, "timeline-blocked", label);
+      this.session.events.push(...events);
+      return null;
+    }
+
+    // 반응 구간이 끝나는 시점(시행 시작 기준). 선택지가 없으면 자극이 끝날 때
+    let windowEnd = stimulusDuration as number;
+    let response: number | null = null;
+    let rt: number | null = null;
+    if (choices.length > 0) {
+      event(choiceStart, "choices_on", identifiers(choices));
+      if (
+        reactionTime !== null &&
+        reactionTime - choiceStart < minReactionTime
+      ) {
+        this.report(
+          sequence,
+          "simulation-unanswerable",
+          label,
+          String(reactionTime - choiceStart),
+          String(minReactionTime)
+        );
+      }
+
+      const respondAt =
+        reactionTime !== null && this.participant.random() < timeoutRate
+          ? null
+          : choiceStart + this.participant.reactionTime();
+      if (
+        respondAt === null ||
+        (reactionTime !== null && respondAt > reactionTime)
+      ) {
+        windowEnd = Math.max(reactionTime as number, choiceStart);
+        event(windowEnd, "timeout");
+      } else {
+        windowEnd = respondAt;
+        response = this.participant.choose(choices.length, answer);
+        rt = respondAt;
+        event(respondAt, "response", [], response, rt);
+      }
+      this.session.responses.push({ section, trial: index, response, rt });
+    }
+
+    // inf인 자극/선택지는 반응 구간이 끝날 때까지
+    const stimulusEnd =
+      stimulusDuration === null ? windowEnd : stimulusDuration;
+    const choiceEnd =
+      choiceDuration === null ? windowEnd : choiceStart + choiceDuration;
+    event(stimulusEnd, "stimulus_off", stimulus);
+    let end = Math.max(windowEnd, stimulusEnd);
+    if (choices.length > 0) {
+      event(choiceEnd, "choices_off", identifiers(choices));
+      end = Math.max(end, choiceEnd);
+    }
+
+    const definition =
+      sequence.feedbackType && getFeedbackType(sequence.feedbackType);
+    if (
+      definition &&
+      sequence.feedbackType !== FeedbackType.NONE &&
+      feedbackDuration !== null
+    ) {
+      const feedback = identifiers(
+        definition.select({
+          sequence,
+          correct: answer === null ? null : response === answer,
+          response,
+        })
+      );
+      if (feedback.length > 0) {
+        event(end, "feedback_on", feedback);
+        event(end + feedbackDuration, "feedback_off", feedback);
+      }
+      end += feedbackDuration;
+    }
+    event(end, "trial_end");
+
+    events.sort((a, b) => a.time - b.time);
+    this.session.events.push(...events);
+    return start + end;
+  }
+
+  run(sequences: Sequences): SimulatedSession {
+    let time = 0;
+    this.event(time, "session_start");
+    for (const section of Object.keys(sequences)) {
+      const sectionStart = time;
+      this.event(time, "section_start", section);
+      for (let index = 0; index < sequences[section].length; index++) {
+        const sequence = sequences[section][index];
+        const onset = known(sequence.onSetTime) || 0;
+        const end = this.trial(
+          sequence,
+          section,
+          index,
+          Math.max(sectionStart + onset, time)
+        );
+        if (end === null) {
+          return this.session;
+        }
+        time = end;
+      }
+      this.event(time, "section_end", section);
+    }
+    this.event(time, "session_end");
+    this.session.duration = time;
+    return this.session;
+  }
+}
+
+/**
+ * Runs the sequences with a simulated participant.
+ * @param sequences parsed sequences(Parser.sequences), expanded for the same
+ * participant id
+ * @param positionOf source position of a sequence, used for the diagnostics
+ */
+export function simulateSession(
+  sequences: Sequences,
+  positionOf: (sequence: Sequence) => SourcePosition,
+  options: SimulationOptions = {}
+): SimulatedSession {
+  const { seed = 0, participantId = 1, ...profile } = options;
+  const random = createRandom(`simulation:${seed}:${participantId}`);
+  const participant = new SimulatedParticipant(
+    { ...DEFAULT_PROFILE, ...profile },
+    random
+  );
+  return new SessionSimulator(
+    participant,
+    String(participantId),
+    positionOf
+  ).run(sequences);
+}
+
+function csvOf(header: string[], rows: unknown[][]): string {
+  return (
+    [header, ...rows]
+      .map((values) =>
+        values
+          .map((value) => (value === null || value === undefined ? "" : value))
+          .join(",")
+      )
+      .join("\n") + "\n"
+  );
+}
+
+// score로 채점할 수 있는 response log
+export function formatResponses(session: SimulatedSession): string {
+  return csvOf(
+    ["section", "trial", "response", "rt"],
+    session.responses.map(({ section, trial, response, rt }) => [
+      section,
+      trial,
+      response,
+      rt,
+    ])
+  );
+}
+
+export function formatEvents(session: SimulatedSession): string {
+  return csvOf(
+    ["time", "section", "trial", "event", "stimuli", "response", "rt"],
+    session.events.map((event) => [
+      event.time,
+      event.section,
+      event.trial,
+      event.type,
+      event.stimuli.join(" "),
+      event.response,
+      event.rt,
+    ])
+  );
+}
@@ -0,0 +1,27 @@
+import { Reporter, SourceRow } from "./diagnostics";
+import { Sequences } from "./types";
+export interface TrialTableOptions {
+    file?: string;
+    delimiter?: string;
+    section?: string | null;
+    columnOf: (name: string) => string | null;
+    report: Reporter;
+}
+interface Cell {
+    value: string;
+    offset: number;
+}
+export declare function splitDelimitedRow(text: string, delimiter?: string): Cell[];
+/**
+ * Reads a trial table into sequence rows. The rows carry their cells
+ * (SourceRow.cells) and are parsed like the other rows of the section.
+ * @param text contents of the CSV/TSV file
+ */
+export declare function readTrialTable(text: string, options: TrialTableOptions): SourceRow[];
+/**
+ * Writes the sequences as a trial table with a section column, one row per
+ * trial, values as in the script(n, inf).
+ * @param delimiter "," for CSV, "\t" for TSV
+ */
+export declare function exportTrials(sequences: Sequences, delimiter?: string): string;
+export {};
@@ -0,0 +1,189 @@
+"use strict";
+var __importDefault = (this && this.__importDefault) || function (mod) {
+    return (mod && mod.__esModule) ? mod : { "default": mod };
+};
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.exportTrials = exports.readTrialTable = exports.splitDelimitedRow = void 0;
+const path_1 = __importDefault(require("path"));
+const lexer_1 = require("./lexer");
+const stringify_1 = require("./stringify");
+// exportTrials()의 헤더. 시퀀스 row의 컬럼 순서
+const EXPORT_COLUMNS = [
+    "onSetTime",
+    "stimulus",
+    "stimulusDuration",
+    "choices",
+    "choiceDuration",
+    "answer",
+    "choiceOnsetRelativeToSim",
+    "reactionTime",
+    "feedbackType",
+    "feedbackDuration",
+    "feedback1",
+    "feedback2",
+    "test",
+];
+// 따옴표로 감싼 셀("a,b", "" 이스케이프) 지원. 값의 앞뒤 공백은 제거
+function splitDelimitedRow(text, delimiter = ",") {
+    const cells = [];
+    let value = "";
+    let offset = 0;
+    let quoted = false;
+    const push = (end) => {
+        const leading = text.slice(offset, end).search(/\S|$/);
+        cells.push({ value: value.trim(), offset: offset + leading });
+    };
+    for (let index = 0; index < text.length; index++) {
+        const char = text[index];
+        if (quoted && char === '"' && text[index + 1] === '"') {
+            value += '"';
+            index++;
+        }
+        else if (char === '"') {
+            quoted = !quoted;
+        }
+        else if (char === delimiter && !quoted) {
+            push(index);
+            value = "";
+            offset = index + 1;
+        }
+        else {
+            value += char;
+        }
+    }
+    push(text.length);
+    return cells;
+}
+exports.splitDelimitedRow = splitDelimitedRow;
+// 따옴표 안의 줄바꿈은 셀의 일부이므로 따옴표가 닫힐 때까지 줄을 이어 붙임
+function tableRecords(text) {
+    const records = [];
+    let open = null;
+    const lines = lexer_1.splitLines(text);
+    for (let index = 0; index < lines.length; index++) {
+        const lineText = lines[index];
+        const record = open
+            ? Object.assign(Object.assign({}, open), { text: `${open.text}\n${lineText}` }) : { text: lineText, line: index + 1, unclosedQuote: -1 };
+        for (let offset = record.text.length - lineText.length; offset < record.text.length; offset++) {
+            if (record.text[offset] === '"') {
+                record.unclosedQuote = record.unclosedQuote === -1 ? offset : -1;
+            }
+        }
+        if (record.unclosedQuote === -1) {
+            records.push(record);
+            open = null;
+        }
+        else {
+            open = record;
+        }
+    }
+    if (open) {
+        records.push(open);
+    }
+    return records;
+}
+// 레코드 안의 위치 => 줄과 컬럼
+function recordPosition(record, offset, file) {
+    const lines = record.text.slice(0, offset).split("\n");
+    const position = {
+        line: record.line + lines.length - 1,
+        column: lines[lines.length - 1].length + 1,
+    };
+    if (file !== undefined) {
+        position.file = file;
+    }
+    return position;
+}
+function delimitedField(value, delimiter) {
+    return value.includes(delimiter) || /["\r\n]/.test(value)
+        ? `"${value.replace(/"/g, '""')}"`
+        : value;
+}
+/**
+ * Reads a trial table into sequence rows. The rows carry their cells
+ * (SourceRow.cells) and are parsed like the other rows of the section.
+ * @param text contents of the CSV/TSV file
+ */
+function readTrialTable(text, options) {
+    const { file, report } = options;
+    const records = tableRecords(text).filter((record) => !!record.text.trim());
+    if (records.length === 0) {
+        return [];
+    }
+    const [header, ...body] = records;
+    const tsv = (file !== undefined && path_1.default.extname(file).toLowerCase() === ".tsv") ||
+        header.text.includes("\t");
+    const delimiter = options.delimiter || (tsv ? "\t" : ",");
+    const positionOf = (record, cell) => recordPosition(record, cell ? cell.offset : 0, file);
+    const last = records[records.length - 1];
+    if (last.unclosedQuote !== -1) {
+        report("trial-table-unclosed-quote", recordPosition(last, last.unclosedQuote, file));
+    }
+    // 헤더의 각 셀 => 시퀀스 컬럼(무시하는 셀은 null)
+    let sectionIndex = -1;
+    const columns = [];
+    splitDelimitedRow(header.text, delimiter).forEach((cell, index) => {
+        const column = options.columnOf(cell.value);
+        const position = positionOf(header, cell);
+        if (cell.value.toLowerCase() === "section") {
+            sectionIndex = index;
+        }
+        else if (column === null) {
+            report("trial-table-unknown-column", position, cell.value);
+        }
+        else if (columns.includes(column)) {
+            report("trial-table-duplicate-column", position, cell.value, column);
+        }
+        else {
+            columns[index] = column;
+            return;
+        }
+        columns[index] = null;
+    });
+    if (!columns.includes("stimulus")) {
+        report("trial-table-missing-column", positionOf(header), "stim");
+        return [];
+    }
+    const rows = [];
+    for (const record of body) {
+        const cells = splitDelimitedRow(record.text, delimiter);
+        const section = cells[sectionIndex];
+        if (options.section && section && section.value !== options.section) {
+            continue;
+        }
+        const rowCells = {};
+        columns.forEach((column, index) => {
+            const cell = cells[index];
+            if (column === null || !cell || !cell.value) {
+                return;
+            }
+            const value = column === "choices"
+                ? cell.value
+                    .split(/[\s,;]+/)
+                    .filter((choice) => !!choice)
+                    .join(",")
+                : cell.value;
+            rowCells[column] = { value, offset: cell.offset };
+        });
+        rows.push(Object.assign(Object.assign({}, positionOf(record)), { text: record.text, cells: rowCells }));
+    }
+    return rows;
+}
+exports.readTrialTable = readTrialTable;
+/**
+ * Writes the sequences as a trial table with a section column, one row per
+ * trial, values as in the script(n, inf).
+ * @param delimiter "," for CSV, "\t" for TSV
+ */
+function exportTrials(sequences, delimiter = ",") {
+    const lines = [["section", ...EXPORT_COLUMNS]];
+    for (const section of Object.keys(sequences)) {
+        for (const sequence of sequences[section]) {
+            lines.push([section, ...stringify_1.sequenceValues(sequence)]);
+        }
+    }
+    return (lines
+        .map((values) => values.map((value) => delimitedField(value, delimiter)).join(delimiter))
+        .join("\n") + "\n");
+}
+exports.exportTrials = exportTrials;
@@ -0,0 +1,261 @@
+import path from "path";
+import { Reporter, SourcePosition, SourceRow } from "./diagnostics";
+import { splitLines } from "./lexer";
+import { sequenceValues } from "./stringify";
+import { Sequences } from "./types";
+
+/*
+TRIAL TABLES
+
+trial lists written in a spreadsheet, saved as CSV or TSV
+
+# @import <path> : inside a sequence section, the trials of the table
+  - <path> is relative to the script(like @include)
+  - can be inside @block, the imported trials belong to the block
+  ex) [MainSeq]
+      @import trials/main.csv
+      [EndMainSeq]
+
+- comma separated, or tab separated for .tsv files(or a header with tabs).
+  "..." quotes a cell, "" in it is a quote. a quoted cell can span lines
+- the header row names the columns, in any order and case : the keywords or
+  column names of the keyword sequence syntax(onset, stim, choices, answer,
+  rt, feedback, test, ... onSetTime, stimulus, ...)
+  - stim(stimulus) is required
+  - a left out column or an empty cell takes the default of the keyword syntax
+  - other columns(notes, ...) are ignored with a warning
+  - section : only the rows of the importing section(its key) are used,
+    so a table written by exportTrials() can be imported section by section
+- choices : I1,I2 (quoted in CSV), I1;I2 or I1 I2
+- the cells are parsed and checked like a sequence row, the diagnostics point
+  to the cell(file:line:column)
+
+ex) onset,stim,choices,answer,rt,test,notes
+    500,T1,"I1,I2",0,10000,y,first block
+*/
+
+export interface TrialTableOptions {
+  file?: string; // 진단 위치에 표시할 파일 이름
+  delimiter?: string; // 기본값은 파일 확장자와 헤더로 판단
+  section?: string | null; // section 컬럼이 이 값인 행만 사용. null이면 모두
+  // 헤더 이름의 시퀀스 컬럼(Sequence의 필드 이름). 시퀀스 컬럼이 아니면 null
+  columnOf: (name: string) => string | null;
+  report: Reporter;
+}
+
+interface Cell {
+  value: string;
+  offset: number; // 레코드 안의 위치(0부터)
+}
+
+// 표의 한 행. 따옴표 안에서 줄이 바뀌면 여러 줄("\n"으로 연결)
+interface TableRecord {
+  text: string;
+  line: number; // 첫 줄
+  unclosedQuote: number; // 닫히지 않은 따옴표의 위치, 없으면 -1
+}
+
+// exportTrials()의 헤더. 시퀀스 row의 컬럼 순서
+const EXPORT_COLUMNS = [
+  "onSetTime",
+  "stimulus",
+  "stimulusDuration",
+  "choices",
+  "choiceDuration",
+  "answer",
+  "choiceOnsetRelativeToSim",
+  "reactionTime",
+  "feedbackType",
+  "feedbackDuration",
+  "feedback1",
+  "feedback2",
+  "test",
+];
+
+// 따옴표로 감싼 셀("a,b", "" 이스케이프) 지원. 값의 앞뒤 공백은 제거
+export function splitDelimitedRow(text: string, delimiter = ","): Cell[] {
+  const cells: Cell[] = [];
+  let value = "";
+  let offset = 0;
+  let quoted = false;
+  const push = (end: number) => {
+    const leading = text.slice(offset, end).search(/\S|$/);
+    cells.push({ value: value.trim(), offset: offset + leading });
+  };
+
+  for (let index = 0; index < text.length; index++) {
+    const char = text[index];
+    if (quoted && char === '"' && text[index + 1] === '"') {
+      value += '"';
+      index++;
+    } else if (char === '"') {
+      quoted = !quoted;
+    } else if (char === delimiter && !quoted) {
+      push(index);
+      value = "";
+      offset = index + 1;
+    } else {
+      value += char;
+    }
+  }
+  push(text.length);
+  return cells;
+}
+
+// 따옴표 안의 줄바꿈은 셀의 일부이므로 따옴표가 닫힐 때까지 줄을 이어 붙임
+function tableRecords(text: string): TableRecord[] {
+  const records: TableRecord[] = [];
+  let open: TableRecord | null = null;
+  const lines = splitLines(text);
+  for (let index = 0; index < lines.length; index++) {
+    const lineText = lines[index];
+    const record: TableRecord = open
+      ? { ...open, text: `${open.text}\n${lineText}` }
+      : { text: lineText, line: index + 1, unclosedQuote: -1 };
+    for (
+      let offset = record.text.length - lineText.length;
+      offset < record.text.length;
+      offset++
+    ) {
+      if (record.text[offset] === '"') {
+        record.unclosedQuote = record.unclosedQuote === -1 ? offset : -1;
+      }
+    }
+    if (record.unclosedQuote === -1) {
+      records.push(record);
+      open = null;
+    } else {
+      open = record;
+    }
+  }
+  if (open) {
+    records.push(open);
+  }
+  return records;
+}
+
+// 레코드 안의 위치 => 줄과 컬럼
+function recordPosition(
+  record: TableRecord,
+  offset: number,
+  file: string | undefined
+): SourcePosition {
+  const lines = record.text.slice(0, offset).split("\n");
+  const position: SourcePosition = {
+    line: record.line + lines.length - 1,
+    column: lines[lines.length - 1].length + 1,
+  };
+  if (file !== undefined) {
+    position.file = file;
+  }
+  return position;
+}
+
+function delimitedField(value: string, delimiter: string): string {
+  return value.includes(delimiter) || /["\r\n]/.test(value)
+    ? `"${value.replace(/"/g, '""')}"`
+    : value;
+}
+
+/**
+ * Reads a trial table into sequence rows. The rows carry their cells
+ * (SourceRow.cells) and are parsed like the other rows of the section.
+ * @param text contents of the CSV/TSV file
+ */
+export function readTrialTable(
+  text: string,
+  options: TrialTableOptions
+): SourceRow[] {
+  const { file, report } = options;
+  const records = tableRecords(text).filter((record) => !!record.text.trim());
+  if (records.length === 0) {
+    return [];
+  }
+
+  const [header, ...body] = records;
+  const tsv =
+    (file !== undefined && path.extname(file).toLowerCase() === ".tsv") ||
+    header.text.includes("\t");
+  const delimiter = options.delimiter || (tsv ? "\t" : ",");
+  const positionOf = (record: TableRecord, cell?: Cell): SourcePosition =>
+    recordPosition(record, cell ? cell.offset : 0, file);
+
+  const last = records[records.length - 1];
+  if (last.unclosedQuote !== -1) {
+    report(
+      "trial-table-unclosed-quote",
+      recordPosition(last, last.unclosedQuote, file)
+    );
+  }
+
+  // 헤더의 각 셀 => 시퀀스 컬럼(무시하는 셀은 null)
+  let sectionIndex = -1;
+  const columns: (string | null)[] = [];
+  splitDelimitedRow(header.text, delimiter).forEach((cell, index) => {
+    const column = options.columnOf(cell.value);
+    const position = positionOf(header, cell);
+    if (cell.value.toLowerCase() === "section") {
+      sectionIndex = index;
+    } else if (column === null) {
+      report("trial-table-unknown-column", position, cell.value);
+    } else if (columns.includes(column)) {
+      report("trial-table-duplicate-column", position, cell.value, column);
+    } else {
+      columns[index] = column;
+      return;
+    }
+    columns[index] = null;
+  });
+  if (!columns.includes("stimulus")) {
+    report("trial-table-missing-column", positionOf(header), "stim");
+    return [];
+  }
+
+  const rows: SourceRow[] = [];
+  for (const record of body) {
+    const cells = splitDelimitedRow(record.text, delimiter);
+    const section = cells[sectionIndex];
+    if (options.section && section && section.value !== options.section) {
+      continue;
+    }
+
+    const rowCells: { [column: string]: Cell } = {};
+    columns.forEach((column, index) => {
+      const cell = cells[index];
+      if (column === null || !cell || !cell.value) {
+        return;
+      }
+      const value =
+        column === "choices"
+          ? cell.value
+              .split(/[\s,;]+/)
+              .filter((choice) => !!choice)
+              .join(",")
+          : cell.value;
+      rowCells[column] = { value, offset: cell.offset };
+    });
+    rows.push({ ...positionOf(record), text: record.text, cells: rowCells });
+  }
+  return rows;
+}
+
+/**
+ * Writes the sequences as a trial table with a section column, one row per
+ * trial, values as in the script(n, inf).
+ * @param delimiter "," for CSV, "\t" for TSV
+ */
+export function exportTrials(sequences: Sequences, delimiter = ","): string {
+  const lines = [["section", ...EXPORT_COLUMNS]];
+  for (const section of Object.keys(sequences)) {
+    for (const sequence of sequences[section]) {
+      lines.push([section, ...sequenceValues(sequence)]);
+    }
+  }
+  return (
+    lines
+      .map((values) =>
+        values.map((value) => delimitedField(value, delimiter)).join(delimiter)
+      )
+      .join("\n") + "\n"
+  );
+}
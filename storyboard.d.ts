@@ -0,0 +1,18 @@
+import Parser = require("./parser.v2");
+export interface StoryboardOptions {
+    baseDir?: string;
+    title?: string;
+}
+export interface UnresolvedIdentifier {
+    identifier: string;
+    column: string;
+    line: number;
+    file?: string;
+}
+export declare function unresolvedIdentifiers(parser: Parser): UnresolvedIdentifier[];
+/**
+ * Renders the parsed experiment as a self-contained HTML storyboard.
+ * Works on scripts with errors, trials without a stimulus are marked.
+ * @param parser executed parser
+ */
+export declare function renderStoryboard(parser: Parser, options?: StoryboardOptions): string;
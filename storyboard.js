@@ -0,0 +1,241 @@
+"use strict";
+var __rest = (this && this.__rest) || function (s, e) {
+    var t = {};
+    for (var p in s) if (Object.prototype.hasOwnProperty.call(s, p) && e.indexOf(p) < 0)
+        t[p] = s[p];
+    if (s != null && typeof Object.getOwnPropertySymbols === "function")
+        for (var i = 0, p = Object.getOwnPropertySymbols(s); i < p.length; i++) {
+            if (e.indexOf(p[i]) < 0 && Object.prototype.propertyIsEnumerable.call(s, p[i]))
+                t[p[i]] = s[p[i]];
+        }
+    return t;
+};
+var __importDefault = (this && this.__importDefault) || function (mod) {
+    return (mod && mod.__esModule) ? mod : { "default": mod };
+};
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.renderStoryboard = exports.unresolvedIdentifiers = void 0;
+const fs_1 = __importDefault(require("fs"));
+const path_1 = __importDefault(require("path"));
+const jspsych_1 = require("./jspsych");
+const lint_1 = require("./lint");
+const registry_1 = require("./registry");
+const types_1 = require("./types");
+const EMBED_LIMIT = 5 * 1024 * 1024;
+const MIME_TYPES = {
+    ".png": "image/png",
+    ".jpg": "image/jpeg",
+    ".jpeg": "image/jpeg",
+    ".gif": "image/gif",
+    ".bmp": "image/bmp",
+    ".svg": "image/svg+xml",
+    ".webp": "image/webp",
+    ".mp3": "audio/mpeg",
+    ".wav": "audio/wav",
+    ".ogg": "audio/ogg",
+    ".m4a": "audio/mp4",
+    ".mp4": "video/mp4",
+    ".webm": "video/webm",
+};
+const IDENTIFIER_COLUMNS = ["stimulus", "choices", "feedback1", "feedback2"];
+const STYLE = `
+body { font-family: sans-serif; margin: 2em; color: #222; }
+h2 { margin-top: 2em; }
+.card { border: 1px solid #ccc; border-radius: 6px; padding: 1em; margin: 1em 0; }
+.card.test { border-left: 6px solid #2a7ae2; }
+.label { color: #666; font-size: 0.85em; }
+.stimulus, .choices, .feedback { display: flex; gap: 1em; flex-wrap: wrap; align-items: center; }
+.choice { border: 1px solid #ddd; border-radius: 4px; padding: 0.5em; }
+.choice.answer { border: 3px solid #2e9d4a; background: #eefaf1; }
+img { max-width: 240px; max-height: 180px; }
+table.timing td { padding: 0 1em 0 0; }
+.missing { color: #c0392b; }
+`;
+// baseDir 아래에 있는 파일은 data: URI, 아니면 경로 그대로
+function sourceOf(filePath, baseDir) {
+    const mimeType = MIME_TYPES[path_1.default.extname(filePath).toLowerCase()];
+    if (baseDir === undefined || !mimeType) {
+        return filePath;
+    }
+    const file = path_1.default.resolve(baseDir, filePath);
+    if (!fs_1.default.existsSync(file) ||
+        !fs_1.default.statSync(file).isFile() ||
+        fs_1.default.statSync(file).size > EMBED_LIMIT) {
+        return filePath;
+    }
+    return `data:${mimeType};base64,${fs_1.default.readFileSync(file).toString("base64")}`;
+}
+function stimulusHtml(stimulus, baseDir, className = "choice") {
+    const source = (filePath) => jspsych_1.escapeHtml(sourceOf(filePath, baseDir));
+    const label = `<div class="label">${jspsych_1.escapeHtml(`${stimulus.stimulusType} ${stimulus.identifier}`)}</div>`;
+    let body;
+    switch (stimulus.stimulusType) {
+        case types_1.StimulusType.IMAGE:
+            body = `<img src="${source(stimulus.filePath)}" alt="${jspsych_1.escapeHtml(stimulus.filePath)}">`;
+            break;
+        case types_1.StimulusType.TEXT:
+            body = jspsych_1.textHtml(stimulus.content, stimulus.fontSize, stimulus.fontColor);
+            break;
+        case types_1.StimulusType.RESULT:
+            body = jspsych_1.textHtml(stimulus.content === null ? "(result)" : stimulus.content, stimulus.fontSize, stimulus.fontColor);
+            break;
+        case types_1.StimulusType.TEXT_FILE:
+            body = jspsych_1.textHtml(stimulus.filePath, stimulus.fontSize, stimulus.fontColor);
+            break;
+        case types_1.StimulusType.AUDIO:
+            body = `<audio controls src="${source(stimulus.filePath)}"></audio>`;
+            break;
+        case types_1.StimulusType.VIDEO:
+            body = `<video controls width="240" src="${source(stimulus.filePath)}"></video>`;
+            break;
+        case types_1.StimulusType.INSTRUCTION:
+            body = stimulus.pages
+                .map((page) => jspsych_1.textHtml(page, stimulus.fontSize, stimulus.fontColor))
+                .join("");
+            break;
+        default: {
+            // registerStimulusType()로 추가한 유형은 필드 값만 표시
+            const _a = stimulus, { stimulusType, identifier } = _a, fields = __rest(_a, ["stimulusType", "identifier"]);
+            const filePath = registry_1.filePathOf(stimulus);
+            body =
+                filePath === null
+                    ? `<code>${jspsych_1.escapeHtml(JSON.stringify(fields))}</code>`
+                    : `<a href="${source(filePath)}">${jspsych_1.escapeHtml(filePath)}</a>`;
+        }
+    }
+    return `<div class="${className}">${label}${body}</div>`;
+}
+function time(value) {
+    return value === null ? "?" : String(value);
+}
+function phaseRow(name, phase) {
+    if (!phase) {
+        return "";
+    }
+    return `<tr><td>${name}</td><td>${time(phase.start)} ~ ${time(phase.end)}</td></tr>`;
+}
+function timingHtml(trial) {
+    if (!trial) {
+        return "";
+    }
+    return `<table class="timing">${[
+        phaseRow("trial", trial),
+        phaseRow("stimulus", trial.stimulus),
+        phaseRow("choice", trial.choice),
+        phaseRow("response", trial.response),
+        phaseRow("feedback", trial.feedback),
+    ].join("")}</table>`;
+}
+function trialHtml(sequence, label, trial, baseDir) {
+    const parts = [
+        `<h3>${jspsych_1.escapeHtml(label)}${sequence.test ? " (test)" : ""}</h3>`,
+        `<div class="stimulus">${sequence.stimulus
+            ? stimulusHtml(sequence.stimulus, baseDir)
+            : '<span class="missing">no stimulus</span>'}</div>`,
+    ];
+    if (sequence.choices && sequence.choices.length > 0) {
+        const choices = sequence.choices.map((choice, index) => stimulusHtml(choice, baseDir, index === sequence.answer ? "choice answer" : "choice"));
+        parts.push(`<div class="label">choices</div><div class="choices">${choices.join("")}</div>`);
+    }
+    const definition = sequence.feedbackType && registry_1.getFeedbackType(sequence.feedbackType);
+    const feedback = definition ? definition.candidates(sequence) : [];
+    if (feedback.length > 0) {
+        parts.push(`<div class="label">feedback (${jspsych_1.escapeHtml(String(sequence.feedbackType))})</div><div class="feedback">${feedback
+            .map((stimulus) => stimulusHtml(stimulus, baseDir))
+            .join("")}</div>`);
+    }
+    parts.push(`<div class="label">timing (ms)</div>${timingHtml(trial)}`);
+    return `<div class="card${sequence.test ? " test" : ""}">${parts.join("\n")}</div>`;
+}
+// feedback 컬럼은 feedback 유형이 사용하는 경우만 확인
+function unresolvedIdentifiers(parser) {
+    const unresolved = [];
+    for (const row of parser.sequenceSourceRows()) {
+        if (row.text.startsWith("@")) {
+            continue;
+        }
+        const tokens = parser.sequenceColumns(row);
+        const feedbackToken = tokens.find((token) => token.column === "feedbackType");
+        const definition = feedbackToken && registry_1.getFeedbackType(feedbackToken.value);
+        for (const { column, value } of tokens) {
+            if (column === null ||
+                !IDENTIFIER_COLUMNS.includes(column) ||
+                value === "n" ||
+                ((column === "feedback1" || column === "feedback2") &&
+                    !(definition && definition.columns.includes(column)))) {
+                continue;
+            }
+            for (const identifier of value.split(",")) {
+                if (identifier && !parser.stimulus[identifier]) {
+                    unresolved.push({
+                        identifier,
+                        column,
+                        line: row.line,
+                        file: row.file,
+                    });
+                }
+            }
+        }
+    }
+    return unresolved;
+}
+exports.unresolvedIdentifiers = unresolvedIdentifiers;
+/**
+ * Renders the parsed experiment as a self-contained HTML storyboard.
+ * Works on scripts with errors, trials without a stimulus are marked.
+ * @param parser executed parser
+ */
+function renderStoryboard(parser, options = {}) {
+    const { baseDir } = options;
+    const timeline = parser.timeline();
+    const { task, background } = parser;
+    const title = options.title || (task ? `${task.type} ${task.name}`.trim() : "Storyboard");
+    const sectionNames = Object.keys(parser.sequences);
+    const trialCount = sectionNames.reduce((count, section) => count + parser.sequences[section].length, 0);
+    const header = [
+        `<h1>${jspsych_1.escapeHtml(title)}</h1>`,
+        `<p>${trialCount} trials, total duration ${timeline.totalDuration === null
+            ? "depends on the participant"
+            : `${timeline.totalDuration} ms`}</p>`,
+        background
+            ? `<div class="label">background</div><div class="stimulus">${stimulusHtml(background, baseDir)}</div>`
+            : "",
+    ];
+    const sections = sectionNames.map((section) => {
+        const sequences = parser.sequences[section];
+        const timelineSection = timeline.sections.find((timelineSection) => timelineSection.name === section);
+        const cards = sequences.map((sequence, index) => trialHtml(sequence, `${section}[${index}]`, timelineSection && timelineSection.trials[index], baseDir));
+        return `<h2>${jspsych_1.escapeHtml(section)}</h2>\n${cards.length ? cards.join("\n") : "<p>no trials</p>"}`;
+    });
+    const unused = lint_1.unusedStimuli(parser);
+    const unresolved = unresolvedIdentifiers(parser);
+    const footer = [
+        "<h2>Unused stimuli</h2>",
+        unused.length
+            ? `<ul>${unused
+                .map((identifier) => `<li>${jspsych_1.escapeHtml(identifier)}</li>`)
+                .join("")}</ul>`
+            : "<p>none</p>",
+        "<h2>Unresolved identifiers</h2>",
+        unresolved.length
+            ? `<ul>${unresolved
+                .map(({ identifier, column, line, file }) => `<li class="missing">${jspsych_1.escapeHtml(identifier)} (${column}, ${file === undefined ? "" : `${jspsych_1.escapeHtml(file)} `}line ${line})</li>`)
+                .join("")}</ul>`
+            : "<p>none</p>",
+    ];
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${jspsych_1.escapeHtml(title)}</title>
+<style>${STYLE}</style>
+</head>
+<body>
+${header.join("\n")}
+${sections.join("\n")}
+${footer.join("\n")}
+</body>
+</html>
+`;
+}
+exports.renderStoryboard = renderStoryboard;
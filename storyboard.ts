@@ -0,0 +1,352 @@
+import fs from "fs";
+import path from "path";
+import { escapeHtml, textHtml } from "./jspsych";
+import { unusedStimuli } from "./lint";
+import { filePathOf, getFeedbackType } from "./registry";
+import { PhaseTime, TrialTimeline } from "./timeline";
+import { Sequence, Stimulus, StimulusType } from "./types";
+import Parser = require("./parser.v2");
+
+/*
+STORYBOARD
+
+a single HTML file to review a script without reading the text format
+
+- header : task, background, number of trials and the total duration
+- one card per trial in session order(the sequence sections in script order)
+  - the stimulus : image thumbnail, text with its fontSize/fontColor,
+    audio/video player, instruction pages
+  - the choices, the one of <answer> highlighted
+  - the feedback stimuli the feedback type can show
+  - timing of the trial and its phases(timeline.ts) in ms from the session start,
+    ? = depends on the participant
+- at the end
+  - unused stimuli : not used by any trial or the background
+  - unresolved identifiers : sequence columns that name no stimulus
+- files found under baseDir(smaller than EMBED_LIMIT) are embedded as data: URIs,
+  others are linked with their path
+*/
+
+export interface StoryboardOptions {
+  baseDir?: string; // 자극 파일 경로의 기준. 없으면 파일을 포함하지 않음
+  title?: string;
+}
+
+// 시퀀스 row에 적힌, 자극이 없는 식별자
+export interface UnresolvedIdentifier {
+  identifier: string;
+  column: string;
+  line: number;
+  file?: string; // @include, @import한 파일의 행이면 그 파일
+}
+
+const EMBED_LIMIT = 5 * 1024 * 1024;
+
+const MIME_TYPES: { [extension: string]: string } = {
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".gif": "image/gif",
+  ".bmp": "image/bmp",
+  ".svg": "image/svg+xml",
+  ".webp": "image/webp",
+  ".mp3": "audio/mpeg",
+  ".wav": "audio/wav",
+  ".ogg": "audio/ogg",
+  ".m4a": "audio/mp4",
+  ".mp4": "video/mp4",
+  ".webm": "video/webm",
+};
+
+const IDENTIFIER_COLUMNS = ["stimulus", "choices", "feedback1", "feedback2"];
+
+const STYLE = `
+body { font-family: sans-serif; margin: 2em; color: #222; }
+h2 { margin-top: 2em; }
+.card { border: 1px solid #ccc; border-radius: 6px; padding: 1em; margin: 1em 0; }
+.card.test { border-left: 6px solid #2a7ae2; }
+.label { color: #666; font-size: 0.85em; }
+.stimulus, .choices, .feedback { display: flex; gap: 1em; flex-wrap: wrap; align-items: center; }
+.choice { border: 1px solid #ddd; border-radius: 4px; padding: 0.5em; }
+.choice.answer { border: 3px solid #2e9d4a; background: #eefaf1; }
+img { max-width: 240px; max-height: 180px; }
+table.timing td { padding: 0 1em 0 0; }
+.missing { color: #c0392b; }
+`;
+
+// baseDir 아래에 있는 파일은 data: URI, 아니면 경로 그대로
+function sourceOf(filePath: string, baseDir: string | undefined): string {
+  const mimeType = MIME_TYPES[path.extname(filePath).toLowerCase()];
+  if (baseDir === undefined || !mimeType) {
+    return filePath;
+  }
+  const file = path.resolve(baseDir, filePath);
+  if (
+    !fs.existsSync(file) ||
+    !fs.statSync(file).isFile() ||
+    fs.statSync(file).size > EMBED_LIMIT
+  ) {
+    return filePath;
+  }
+  return `data:${mimeType};base64,${fs.readFileSync(file).toString("base64")}`;
+}
+
+function stimulusHtml(
+  stimulus: Stimulus,
+  baseDir: string | undefined,
+  className = "choice"
+): string {
+  const source = (filePath: string) => escapeHtml(sourceOf(filePath, baseDir));
+  const label = `<div class="label">${escapeHtml(
+    `${stimulus.stimulusType} ${stimulus.identifier}`
+  )}</div>`;
+
+  let body: string;
+  switch (stimulus.stimulusType) {
+    case StimulusType.IMAGE:
+      body = `<img src="${source(stimulus.filePath)}" alt="${escapeHtml(
+        stimulus.filePath
+      )}">`;
+      break;
+    case StimulusType.TEXT:
+      body = textHtml(stimulus.content, stimulus.fontSize, stimulus.fontColor);
+      break;
+    case StimulusType.RESULT:
+      body = textHtml(
+        stimulus.content === null ? "(result)" : stimulus.content,
+        stimulus.fontSize,
+        stimulus.fontColor
+      );
+      break;
+    case StimulusType.TEXT_FILE:
+      body = textHtml(stimulus.filePath, stimulus.fontSize, stimulus.fontColor);
+      break;
+    case StimulusType.AUDIO:
+      body = `<audio controls src="${source(stimulus.filePath)}"></audio>`;
+      break;
+    case StimulusType.VIDEO:
+      body = `<video controls width="240" src="${source(
+        stimulus.filePath
+      )}"></video>`;
+      break;
+    case StimulusType.INSTRUCTION:
+      body = stimulus.pages
+        .map((page) => textHtml(page, stimulus.fontSize, stimulus.fontColor))
+        .join("");
+      break;
+    default: {
+      // registerStimulusType()로 추가한 유형은 필드 값만 표시
+      const { stimulusType, identifier, ...fields } = stimulus as any;
+      const filePath = filePathOf(stimulus);
+      body =
+        filePath === null
+          ? `<code>${escapeHtml(JSON.stringify(fields))}</code>`
+          : `<a href="${source(filePath)}">${escapeHtml(filePath)}</a>`;
+    }
+  }
+  return `<div class="${className}">${label}${body}</div>`;
+}
+
+function time(value: number | null): string {
+  return value === null ? "?" : String(value);
+}
+
+function phaseRow(name: string, phase: PhaseTime | null): string {
+  if (!phase) {
+    return "";
+  }
+  return `<tr><td>${name}</td><td>${time(phase.start)} ~ ${time(
+    phase.end
+  )}</td></tr>`;
+}
+
+function timingHtml(trial: TrialTimeline | undefined): string {
+  if (!trial) {
+    return "";
+  }
+  return `<table class="timing">${[
+    phaseRow("trial", trial),
+    phaseRow("stimulus", trial.stimulus),
+    phaseRow("choice", trial.choice),
+    phaseRow("response", trial.response),
+    phaseRow("feedback", trial.feedback),
+  ].join("")}</table>`;
+}
+
+function trialHtml(
+  sequence: Sequence,
+  label: string,
+  trial: TrialTimeline | undefined,
+  baseDir: string | undefined
+): string {
+  const parts = [
+    `<h3>${escapeHtml(label)}${sequence.test ? " (test)" : ""}</h3>`,
+    `<div class="stimulus">${
+      sequence.stimulus
+        ? stimulusHtml(sequence.stimulus, baseDir)
+        : '<span class="missing">no stimulus</span>'
+    }</div>`,
+  ];
+
+  if (sequence.choices && sequence.choices.length > 0) {
+    const choices = sequence.choices.map((choice, index) =>
+      stimulusHtml(
+        choice,
+        baseDir,
+        index === sequence.answer ? "choice answer" : "choice"
+      )
+    );
+    parts.push(
+      `<div class="label">choices</div><div class="choices">${choices.join(
+        ""
+      )}</div>`
+    );
+  }
+
+  const definition =
+    sequence.feedbackType && getFeedbackType(sequence.feedbackType);
+  const feedback = definition ? definition.candidates(sequence) : [];
+  if (feedback.length > 0) {
+    parts.push(
+      `<div class="label">feedback (${escapeHtml(
+        String(sequence.feedbackType)
+      )})</div><div class="feedback">${feedback
+        .map((stimulus) => stimulusHtml(stimulus, baseDir))
+        .join("")}</div>`
+    );
+  }
+
+  parts.push(`<div class="label">timing (ms)</div>${timingHtml(trial)}`);
+  return `<div class="card${sequence.test ? " test" : ""}">${parts.join(
+    "\n"
+  )}</div>`;
+}
+
+// feedback 컬럼은 feedback 유형이 사용하는 경우만 확인
+export function unresolvedIdentifiers(parser: Parser): UnresolvedIdentifier[] {
+  const unresolved: UnresolvedIdentifier[] = [];
+  for (const row of parser.sequenceSourceRows()) {
+    if (row.text.startsWith("@")) {
+      continue;
+    }
+    const tokens = parser.sequenceColumns(row);
+    const feedbackToken = tokens.find(
+      (token) => token.column === "feedbackType"
+    );
+    const definition = feedbackToken && getFeedbackType(feedbackToken.value);
+
+    for (const { column, value } of tokens) {
+      if (
+        column === null ||
+        !IDENTIFIER_COLUMNS.includes(column) ||
+        value === "n" ||
+        ((column === "feedback1" || column === "feedback2") &&
+          !(definition && definition.columns.includes(column)))
+      ) {
+        continue;
+      }
+      for (const identifier of value.split(",")) {
+        if (identifier && !parser.stimulus[identifier]) {
+          unresolved.push({
+            identifier,
+            column,
+            line: row.line,
+            file: row.file,
+          });
+        }
+      }
+    }
+  }
+  return unresolved;
+}
+
+/**
+ * Renders the parsed experiment as a self-contained HTML storyboard.
+ * Works on scripts with errors, trials without a stimulus are marked.
+ * @param parser executed parser
+ */
+export function renderStoryboard(
+  parser: Parser,
+  options: StoryboardOptions = {}
+): string {
+  const { baseDir } = options;
+  const timeline = parser.timeline();
+  const { task, background } = parser;
+  const title =
+    options.title || (task ? `${task.type} ${task.name}`.trim() : "Storyboard");
+
+  const sectionNames = Object.keys(parser.sequences);
+  const trialCount = sectionNames.reduce(
+    (count, section) => count + parser.sequences[section].length,
+    0
+  );
+  const header = [
+    `<h1>${escapeHtml(title)}</h1>`,
+    `<p>${trialCount} trials, total duration ${
+      timeline.totalDuration === null
+        ? "depends on the participant"
+        : `${timeline.totalDuration} ms`
+    }</p>`,
+    background
+      ? `<div class="label">background</div><div class="stimulus">${stimulusHtml(
+          background,
+          baseDir
+        )}</div>`
+      : "",
+  ];
+
+  const sections = sectionNames.map((section) => {
+    const sequences: Sequence[] = parser.sequences[section];
+    const timelineSection = timeline.sections.find(
+      (timelineSection) => timelineSection.name === section
+    );
+    const cards = sequences.map((sequence, index) =>
+      trialHtml(
+        sequence,
+        `${section}[${index}]`,
+        timelineSection && timelineSection.trials[index],
+        baseDir
+      )
+    );
+    return `<h2>${escapeHtml(section)}</h2>\n${
+      cards.length ? cards.join("\n") : "<p>no trials</p>"
+    }`;
+  });
+
+  const unused = unusedStimuli(parser);
+  const unresolved = unresolvedIdentifiers(parser);
+  const footer = [
+    "<h2>Unused stimuli</h2>",
+    unused.length
+      ? `<ul>${unused
+          .map((identifier) => `<li>${escapeHtml(identifier)}</li>`)
+          .join("")}</ul>`
+      : "<p>none</p>",
+    "<h2>Unresolved identifiers</h2>",
+    unresolved.length
+      ? `<ul>${unresolved
+          .map(
+            ({ identifier, column, line, file }) =>
+              `<li class="missing">${escapeHtml(identifier)} (${column}, ${
+                file === undefined ? "" : `${escapeHtml(file)} `
+              }line ${line})</li>`
+          )
+          .join("")}</ul>`
+      : "<p>none</p>",
+  ];
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>${STYLE}</style>
+</head>
+<body>
+${header.join("\n")}
+${sections.join("\n")}
+${footer.join("\n")}
+</body>
+</html>
+`;
+}
@@ -0,0 +1,75 @@
+/// <reference types="node" />
+import { EventEmitter } from "events";
+import { Readable, Writable } from "stream";
+import { StringDecoder } from "string_decoder";
+import { Diagnostic, SourceRow } from "./diagnostics";
+import { IncludeContext } from "./include";
+import { AssetEntry } from "./assets";
+import { Section, SectionScanner } from "./sections";
+import Parser = require("./parser.v2");
+declare type ParserOptions = Parser["options"];
+interface SequenceSectionState {
+    rows: SourceRow[];
+    directives: boolean;
+    closed: boolean;
+    index: number;
+}
+export interface StreamResult {
+    diagnostics: Diagnostic[];
+    assets: AssetEntry[] | null;
+}
+export declare class StreamingParser extends EventEmitter {
+    options: ParserOptions;
+    parser: Parser;
+    includeContext: IncludeContext;
+    decoder: StringDecoder;
+    pending: string;
+    line: number;
+    started: boolean;
+    failed: boolean;
+    emittedDiagnostics: number;
+    scanner: SectionScanner;
+    backgroundRows: SourceRow[];
+    descriptionsClosed: boolean;
+    sequenceSections: {
+        [key: string]: SequenceSectionState;
+    };
+    constructor(options?: ParserOptions);
+    /**
+     * Parses the complete lines of the chunk, the rest waits for the next chunk.
+     * @param chunk part of the script, a Buffer is decoded as UTF-8
+     */
+    write(chunk: string | Buffer): void;
+    /**
+     * Parses the last line, reports what execute() reports for the whole script
+     * and emits end.
+     */
+    end(chunk?: string | Buffer): void;
+    flushDiagnostics(): boolean;
+    parseLine(line: string): void;
+    parseRow(row: SourceRow): void;
+    closeSection(section: Section): void;
+    sectionRow(section: Section, row: SourceRow): void;
+    dropUnclosedSections(): void;
+    sequenceSection(key: string): SequenceSectionState;
+    closeDescriptions(): void;
+    parseSequenceRows(section: string, state: SequenceSectionState): void;
+}
+/**
+ * Feeds a readable stream(file, stdin, ...) into a StreamingParser.
+ * Errors of the stream are emitted as error of the parser.
+ */
+export declare function parseStream(input: Readable, options?: ParserOptions): StreamingParser;
+/**
+ * Parses input and writes one JSON object per line to output:
+ *   {"type":"task","task":{...}}
+ *   {"type":"stimulus","stimulus":{...}}
+ *   {"type":"section","section":"main_sequence"}
+ *   {"type":"sequence","section":"main_sequence","index":0,"sequence":{...}}
+ *   {"type":"diagnostic","diagnostic":{...}}
+ *   {"type":"end","formatVersion":3}
+ * input is paused while output is full.
+ * Resolves with the sorted diagnostics, rejects with the error of the parser.
+ */
+export declare function writeNdjson(input: Readable, output: Writable, options?: ParserOptions): Promise<Diagnostic[]>;
+export {};
@@ -0,0 +1,270 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.writeNdjson = exports.parseStream = exports.StreamingParser = void 0;
+const events_1 = require("events");
+const string_decoder_1 = require("string_decoder");
+const diagnostics_1 = require("./diagnostics");
+const include_1 = require("./include");
+const validation_1 = require("./validation");
+const sections_1 = require("./sections");
+const types_1 = require("./types");
+const Parser = require("./parser.v2");
+class StreamingParser extends events_1.EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.options = options;
+        this.parser = new Parser("", Object.assign(Object.assign({}, options), { collectDiagnostics: true }));
+        this.includeContext = this.parser.includeContext();
+        this.decoder = new string_decoder_1.StringDecoder("utf8");
+        this.pending = "";
+        this.line = 0;
+        this.started = false;
+        this.failed = false;
+        this.emittedDiagnostics = 0;
+        // 행은 섹션별로 바로 처리하므로 scanner에 모으지 않음
+        this.scanner = new sections_1.SectionScanner((code, position, ...args) => this.parser.report(code, position, ...args), false);
+        this.backgroundRows = [];
+        this.descriptionsClosed = false;
+        this.sequenceSections = {};
+    }
+    /**
+     * Parses the complete lines of the chunk, the rest waits for the next chunk.
+     * @param chunk part of the script, a Buffer is decoded as UTF-8
+     */
+    write(chunk) {
+        if (this.failed) {
+            return;
+        }
+        const text = this.pending + this.decoder.write(chunk);
+        // \r\n이 chunk 사이에서 나뉠 수 있으므로 끝의 \r은 다음 chunk와 함께 처리
+        const carry = text.endsWith("\r") ? "\r" : "";
+        const lines = text.slice(0, text.length - carry.length).split(/\r\n|\r|\n/);
+        this.pending = lines.pop() + carry;
+        for (const line of lines) {
+            this.parseLine(line);
+        }
+        this.flushDiagnostics();
+    }
+    /**
+     * Parses the last line, reports what execute() reports for the whole script
+     * and emits end.
+     */
+    end(chunk) {
+        if (chunk !== undefined) {
+            this.write(chunk);
+        }
+        if (this.failed) {
+            return;
+        }
+        this.parseLine(this.pending + this.decoder.end());
+        this.pending = "";
+        if (!this.started) {
+            this.parser.parseTask();
+        }
+        this.scanner.finish();
+        this.dropUnclosedSections();
+        if (!this.descriptionsClosed) {
+            this.closeDescriptions();
+        }
+        if (this.options.assetBaseDir !== undefined) {
+            this.parser.checkAssets(this.options.assetBaseDir);
+        }
+        if (!this.flushDiagnostics()) {
+            return;
+        }
+        this.parser.sortDiagnostics();
+        const result = {
+            diagnostics: this.parser.diagnostics,
+            assets: this.parser.assets,
+        };
+        this.emit("end", result);
+    }
+    // 새 진단을 emit. collectDiagnostics가 아닌데 에러가 있으면 error를 emit하고 false
+    flushDiagnostics() {
+        const { diagnostics } = this.parser;
+        for (; this.emittedDiagnostics < diagnostics.length;) {
+            const diagnostic = diagnostics[this.emittedDiagnostics++];
+            if (diagnostic.severity === diagnostics_1.Severity.ERROR &&
+                !this.options.collectDiagnostics) {
+                this.failed = true;
+                this.emit("error", new diagnostics_1.ParseError(diagnostic));
+                return false;
+            }
+            this.emit("diagnostic", diagnostic);
+        }
+        return true;
+    }
+    parseLine(line) {
+        this.line++;
+        const rows = include_1.sourceRowsOf(line).map((row) => (Object.assign(Object.assign({}, row), { line: this.line })));
+        for (const row of this.parser.templates.expand(rows)) {
+            this.parseRow(row);
+        }
+    }
+    parseRow(row) {
+        if (!this.started) {
+            this.started = true;
+            // execute()와 같이 첫 행이 "Task <type> <name>"이면 task header
+            if (/^Task(\s|$)/.test(row.text)) {
+                this.parser.taskRow = row;
+                this.parser.parseTask();
+                if (this.parser.task) {
+                    this.emit("task", this.parser.task);
+                }
+                return;
+            }
+            this.parser.parseTask();
+        }
+        const event = this.scanner.push(row);
+        if (event === null) {
+            return;
+        }
+        else if (event.type === "start") {
+            this.dropUnclosedSections();
+        }
+        else if (event.type === "end") {
+            this.closeSection(event.section);
+        }
+        else {
+            this.sectionRow(event.section, row);
+        }
+    }
+    closeSection(section) {
+        if (section.keyword === "Background") {
+            this.parser.backgroundRows = this.backgroundRows;
+            this.parser.parseBackground();
+            if (this.parser.background) {
+                this.emit("background", this.parser.background);
+            }
+        }
+        else if (section.keyword === "Descriptions") {
+            this.closeDescriptions();
+        }
+        else if (section.key !== null) {
+            const state = this.sequenceSection(section.key);
+            state.closed = true;
+            this.emit("section", section.key);
+            if (this.descriptionsClosed) {
+                this.parseSequenceRows(section.key, state);
+            }
+        }
+    }
+    sectionRow(section, row) {
+        if (section.keyword === "Background") {
+            this.backgroundRows.push(row);
+        }
+        else if (section.keyword === "Descriptions") {
+            for (const stimulusRow of include_1.expandIncludes([row], this.includeContext)) {
+                const stimulus = this.parser.addStimulusRow(stimulusRow);
+                if (stimulus) {
+                    this.emit("stimulus", stimulus);
+                }
+            }
+        }
+        else if (section.key !== null) {
+            const state = this.sequenceSection(section.key);
+            state.directives = state.directives || row.text.startsWith("@");
+            state.rows.push(row);
+            if (this.descriptionsClosed && !state.directives) {
+                this.parseSequenceRows(section.key, state);
+            }
+        }
+    }
+    // 다른 섹션이 시작되거나 스크립트가 끝났는데 닫히지 않은 섹션은
+    // execute()와 같이 버림(이미 emit한 시퀀스는 그대로)
+    dropUnclosedSections() {
+        for (const key of Object.keys(this.sequenceSections)) {
+            if (!this.sequenceSections[key].closed) {
+                delete this.sequenceSections[key];
+            }
+        }
+    }
+    sequenceSection(key) {
+        if (!this.sequenceSections[key]) {
+            this.sequenceSections[key] = {
+                rows: [],
+                directives: false,
+                closed: false,
+                index: 0,
+            };
+        }
+        return this.sequenceSections[key];
+    }
+    // 자극이 모두 파싱되었으니 기다리던 시퀀스 행을 파싱
+    closeDescriptions() {
+        this.descriptionsClosed = true;
+        for (const key of Object.keys(this.sequenceSections)) {
+            const state = this.sequenceSections[key];
+            if (state.closed || !state.directives) {
+                this.parseSequenceRows(key, state);
+            }
+        }
+    }
+    // 모아 둔 행을 parseSequenceRows()로 펼치고 검증한 뒤 emit
+    parseSequenceRows(section, state) {
+        const { sequenceLocations } = this.parser;
+        const sequences = this.parser.parseSequenceRows(state.rows, section);
+        state.rows = [];
+        for (const sequence of sequences) {
+            const index = state.index++;
+            const location = sequenceLocations.get(sequence);
+            if (location) {
+                validation_1.validateSequence(sequence, `${section}[${index}]`, location, (code, position, ...args) => this.parser.report(code, position, ...args));
+                sequenceLocations.delete(sequence);
+            }
+            this.emit("sequence", sequence, section, index);
+        }
+    }
+}
+exports.StreamingParser = StreamingParser;
+/**
+ * Feeds a readable stream(file, stdin, ...) into a StreamingParser.
+ * Errors of the stream are emitted as error of the parser.
+ */
+function parseStream(input, options = {}) {
+    const parser = new StreamingParser(options);
+    input.on("data", (chunk) => parser.write(chunk));
+    input.on("end", () => parser.end());
+    input.on("error", (error) => parser.emit("error", error));
+    return parser;
+}
+exports.parseStream = parseStream;
+/**
+ * Parses input and writes one JSON object per line to output:
+ *   {"type":"task","task":{...}}
+ *   {"type":"stimulus","stimulus":{...}}
+ *   {"type":"section","section":"main_sequence"}
+ *   {"type":"sequence","section":"main_sequence","index":0,"sequence":{...}}
+ *   {"type":"diagnostic","diagnostic":{...}}
+ *   {"type":"end","formatVersion":3}
+ * input is paused while output is full.
+ * Resolves with the sorted diagnostics, rejects with the error of the parser.
+ */
+function writeNdjson(input, output, options = {}) {
+    return new Promise((resolve, reject) => {
+        const parser = parseStream(input, options);
+        let paused = false;
+        const write = (record) => {
+            if (!output.write(JSON.stringify(record) + "\n") && !paused) {
+                paused = true;
+                input.pause();
+                output.once("drain", () => {
+                    paused = false;
+                    input.resume();
+                });
+            }
+        };
+        parser.on("task", (task) => write({ type: "task", task }));
+        parser.on("background", (background) => write({ type: "background", background }));
+        parser.on("stimulus", (stimulus) => write({ type: "stimulus", stimulus }));
+        parser.on("section", (section) => write({ type: "section", section }));
+        parser.on("sequence", (sequence, section, index) => write({ type: "sequence", section, index, sequence }));
+        parser.on("diagnostic", (diagnostic) => write({ type: "diagnostic", diagnostic }));
+        parser.on("end", (result) => {
+            write({ type: "end", formatVersion: types_1.FORMAT_VERSION });
+            resolve(result.diagnostics);
+        });
+        parser.on("error", reject);
+    });
+}
+exports.writeNdjson = writeNdjson;
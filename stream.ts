@@ -0,0 +1,369 @@
+import { EventEmitter } from "events";
+import { Readable, Writable } from "stream";
+import { StringDecoder } from "string_decoder";
+import { Diagnostic, ParseError, Severity, SourceRow } from "./diagnostics";
+import { expandIncludes, IncludeContext, sourceRowsOf } from "./include";
+import { AssetEntry } from "./assets";
+import { validateSequence } from "./validation";
+import { Section, SectionScanner } from "./sections";
+import { FORMAT_VERSION } from "./types";
+import Parser = require("./parser.v2");
+
+/*
+STREAMING PARSER
+
+parses a script chunk by chunk and emits what it finds as soon as it is parsed,
+so the whole script and its sequences never have to be in memory
+
+- events
+  - task (task) : the Task header
+  - background (stimulus)
+  - stimulus (stimulus) : one per stimulus description
+  - section (section) : a sequence section is closed, section is its key
+    (pre_sequence, main_sequence:test, ...). once for every key of sequences of
+    execute(), also for a section without trials, in the order of the script.
+    its sequences can come before it or after it(rows waiting for [Descriptions])
+  - sequence (sequence, section, index) : section is the key of the sequence
+    section, index counts from 0 in it
+  - diagnostic (diagnostic)
+  - end ({ diagnostics, assets }) : diagnostics sorted like execute()
+  - error (error) : a ParseError without collectDiagnostics, stops the parsing
+- the parsed values are the same as execute() with the same options
+- sequence rows are buffered(not emitted) when they have to wait for
+  - [Descriptions], if a sequence section comes before it
+  - the end of the section, from the first @ directive of the section
+    (@block shuffle and @counterbalance need the whole section)
+- stimuli are kept, sequences are not
+- without collectDiagnostics the first error is the first one in the file,
+  execute() stops at the first one of its phases(sections, stimuli, sequences, ...)
+- a section that is not closed or is dropped by a nested header is reported
+  as execute() does, but what was emitted before stays emitted
+
+ex) const parser = parseStream(fs.createReadStream("big.txt"), { collectDiagnostics: true });
+    parser.on("sequence", (sequence, section, index) => ...);
+*/
+
+type ParserOptions = Parser["options"];
+
+interface SequenceSectionState {
+  rows: SourceRow[]; // 아직 파싱하지 않은 행
+  directives: boolean; // @ 지시어가 나온 뒤로는 섹션 끝까지 모아서 파싱
+  closed: boolean;
+  index: number;
+}
+
+export interface StreamResult {
+  diagnostics: Diagnostic[];
+  assets: AssetEntry[] | null;
+}
+
+export class StreamingParser extends EventEmitter {
+  options: ParserOptions;
+  // 행 파싱, 자극 목록, 진단 수집에 사용. 시퀀스는 저장하지 않음
+  parser: Parser;
+  includeContext: IncludeContext;
+
+  decoder: StringDecoder;
+  pending: string; // 아직 줄바꿈이 오지 않은 마지막 줄
+  line: number;
+  started: boolean; // 첫 행(Task header)을 처리했는지
+  failed: boolean;
+  emittedDiagnostics: number;
+
+  scanner: SectionScanner;
+  backgroundRows: SourceRow[];
+  descriptionsClosed: boolean;
+  sequenceSections: { [key: string]: SequenceSectionState };
+
+  constructor(options: ParserOptions = {}) {
+    super();
+    this.options = options;
+    this.parser = new Parser("", { ...options, collectDiagnostics: true });
+    this.includeContext = this.parser.includeContext();
+
+    this.decoder = new StringDecoder("utf8");
+    this.pending = "";
+    this.line = 0;
+    this.started = false;
+    this.failed = false;
+    this.emittedDiagnostics = 0;
+
+    // 행은 섹션별로 바로 처리하므로 scanner에 모으지 않음
+    this.scanner = new SectionScanner(
+      (code, position, ...args) => this.parser.report(code, position, ...args),
+      false
+    );
+    this.backgroundRows = [];
+    this.descriptionsClosed = false;
+    this.sequenceSections = {};
+  }
+
+  /**
+   * Parses the complete lines of the chunk, the rest waits for the next chunk.
+   * @param chunk part of the script, a Buffer is decoded as UTF-8
+   */
+  write(chunk: string | Buffer) {
+    if (this.failed) {
+      return;
+    }
+    const text = this.pending + this.decoder.write(chunk as Buffer);
+    // \r\n이 chunk 사이에서 나뉠 수 있으므로 끝의 \r은 다음 chunk와 함께 처리
+    const carry = text.endsWith("\r") ? "\r" : "";
+    const lines = text.slice(0, text.length - carry.length).split(/\r\n|\r|\n/);
+    this.pending = lines.pop() + carry;
+    for (const line of lines) {
+      this.parseLine(line);
+    }
+    this.flushDiagnostics();
+  }
+
+  /**
+   * Parses the last line, reports what execute() reports for the whole script
+   * and emits end.
+   */
+  end(chunk?: string | Buffer) {
+    if (chunk !== undefined) {
+      this.write(chunk);
+    }
+    if (this.failed) {
+      return;
+    }
+    this.parseLine(this.pending + this.decoder.end());
+    this.pending = "";
+
+    if (!this.started) {
+      this.parser.parseTask();
+    }
+    this.scanner.finish();
+    this.dropUnclosedSections();
+    if (!this.descriptionsClosed) {
+      this.closeDescriptions();
+    }
+    if (this.options.assetBaseDir !== undefined) {
+      this.parser.checkAssets(this.options.assetBaseDir);
+    }
+    if (!this.flushDiagnostics()) {
+      return;
+    }
+
+    this.parser.sortDiagnostics();
+    const result: StreamResult = {
+      diagnostics: this.parser.diagnostics,
+      assets: this.parser.assets,
+    };
+    this.emit("end", result);
+  }
+
+  // 새 진단을 emit. collectDiagnostics가 아닌데 에러가 있으면 error를 emit하고 false
+  flushDiagnostics(): boolean {
+    const { diagnostics } = this.parser;
+    for (; this.emittedDiagnostics < diagnostics.length; ) {
+      const diagnostic = diagnostics[this.emittedDiagnostics++];
+      if (
+        diagnostic.severity === Severity.ERROR &&
+        !this.options.collectDiagnostics
+      ) {
+        this.failed = true;
+        this.emit("error", new ParseError(diagnostic));
+        return false;
+      }
+      this.emit("diagnostic", diagnostic);
+    }
+    return true;
+  }
+
+  parseLine(line: string) {
+    this.line++;
+    const rows = sourceRowsOf(line).map((row) => ({ ...row, line: this.line }));
+    for (const row of this.parser.templates.expand(rows)) {
+      this.parseRow(row);
+    }
+  }
+
+  parseRow(row: SourceRow) {
+    if (!this.started) {
+      this.started = true;
+      // execute()와 같이 첫 행이 "Task <type> <name>"이면 task header
+      if (/^Task(\s|$)/.test(row.text)) {
+        this.parser.taskRow = row;
+        this.parser.parseTask();
+        if (this.parser.task) {
+          this.emit("task", this.parser.task);
+        }
+        return;
+      }
+      this.parser.parseTask();
+    }
+
+    const event = this.scanner.push(row);
+    if (event === null) {
+      return;
+    } else if (event.type === "start") {
+      this.dropUnclosedSections();
+    } else if (event.type === "end") {
+      this.closeSection(event.section);
+    } else {
+      this.sectionRow(event.section, row);
+    }
+  }
+
+  closeSection(section: Section) {
+    if (section.keyword === "Background") {
+      this.parser.backgroundRows = this.backgroundRows;
+      this.parser.parseBackground();
+      if (this.parser.background) {
+        this.emit("background", this.parser.background);
+      }
+    } else if (section.keyword === "Descriptions") {
+      this.closeDescriptions();
+    } else if (section.key !== null) {
+      const state = this.sequenceSection(section.key);
+      state.closed = true;
+      this.emit("section", section.key);
+      if (this.descriptionsClosed) {
+        this.parseSequenceRows(section.key, state);
+      }
+    }
+  }
+
+  sectionRow(section: Section, row: SourceRow) {
+    if (section.keyword === "Background") {
+      this.backgroundRows.push(row);
+    } else if (section.keyword === "Descriptions") {
+      for (const stimulusRow of expandIncludes([row], this.includeContext)) {
+        const stimulus = this.parser.addStimulusRow(stimulusRow);
+        if (stimulus) {
+          this.emit("stimulus", stimulus);
+        }
+      }
+    } else if (section.key !== null) {
+      const state = this.sequenceSection(section.key);
+      state.directives = state.directives || row.text.startsWith("@");
+      state.rows.push(row);
+      if (this.descriptionsClosed && !state.directives) {
+        this.parseSequenceRows(section.key, state);
+      }
+    }
+  }
+
+  // 다른 섹션이 시작되거나 스크립트가 끝났는데 닫히지 않은 섹션은
+  // execute()와 같이 버림(이미 emit한 시퀀스는 그대로)
+  dropUnclosedSections() {
+    for (const key of Object.keys(this.sequenceSections)) {
+      if (!this.sequenceSections[key].closed) {
+        delete this.sequenceSections[key];
+      }
+    }
+  }
+
+  sequenceSection(key: string): SequenceSectionState {
+    if (!this.sequenceSections[key]) {
+      this.sequenceSections[key] = {
+        rows: [],
+        directives: false,
+        closed: false,
+        index: 0,
+      };
+    }
+    return this.sequenceSections[key];
+  }
+
+  // 자극이 모두 파싱되었으니 기다리던 시퀀스 행을 파싱
+  closeDescriptions() {
+    this.descriptionsClosed = true;
+    for (const key of Object.keys(this.sequenceSections)) {
+      const state = this.sequenceSections[key];
+      if (state.closed || !state.directives) {
+        this.parseSequenceRows(key, state);
+      }
+    }
+  }
+
+  // 모아 둔 행을 parseSequenceRows()로 펼치고 검증한 뒤 emit
+  parseSequenceRows(section: string, state: SequenceSectionState) {
+    const { sequenceLocations } = this.parser;
+    const sequences = this.parser.parseSequenceRows(state.rows, section);
+    state.rows = [];
+
+    for (const sequence of sequences) {
+      const index = state.index++;
+      const location = sequenceLocations.get(sequence);
+      if (location) {
+        validateSequence(
+          sequence,
+          `${section}[${index}]`,
+          location,
+          (code, position, ...args) =>
+            this.parser.report(code, position, ...args)
+        );
+        sequenceLocations.delete(sequence);
+      }
+      this.emit("sequence", sequence, section, index);
+    }
+  }
+}
+
+/**
+ * Feeds a readable stream(file, stdin, ...) into a StreamingParser.
+ * Errors of the stream are emitted as error of the parser.
+ */
+export function parseStream(
+  input: Readable,
+  options: ParserOptions = {}
+): StreamingParser {
+  const parser = new StreamingParser(options);
+  input.on("data", (chunk) => parser.write(chunk));
+  input.on("end", () => parser.end());
+  input.on("error", (error) => parser.emit("error", error));
+  return parser;
+}
+
+/**
+ * Parses input and writes one JSON object per line to output:
+ *   {"type":"task","task":{...}}
+ *   {"type":"stimulus","stimulus":{...}}
+ *   {"type":"section","section":"main_sequence"}
+ *   {"type":"sequence","section":"main_sequence","index":0,"sequence":{...}}
+ *   {"type":"diagnostic","diagnostic":{...}}
+ *   {"type":"end","formatVersion":3}
+ * input is paused while output is full.
+ * Resolves with the sorted diagnostics, rejects with the error of the parser.
+ */
+export function writeNdjson(
+  input: Readable,
+  output: Writable,
+  options: ParserOptions = {}
+): Promise<Diagnostic[]> {
+  return new Promise((resolve, reject) => {
+    const parser = parseStream(input, options);
+    let paused = false;
+    const write = (record: any) => {
+      if (!output.write(JSON.stringify(record) + "\n") && !paused) {
+        paused = true;
+        input.pause();
+        output.once("drain", () => {
+          paused = false;
+          input.resume();
+        });
+      }
+    };
+
+    parser.on("task", (task) => write({ type: "task", task }));
+    parser.on("background", (background) =>
+      write({ type: "background", background })
+    );
+    parser.on("stimulus", (stimulus) => write({ type: "stimulus", stimulus }));
+    parser.on("section", (section) => write({ type: "section", section }));
+    parser.on("sequence", (sequence, section, index) =>
+      write({ type: "sequence", section, index, sequence })
+    );
+    parser.on("diagnostic", (diagnostic) =>
+      write({ type: "diagnostic", diagnostic })
+    );
+    parser.on("end", (result: StreamResult) => {
+      write({ type: "end", formatVersion: FORMAT_VERSION });
+      resolve(result.diagnostics);
+    });
+    parser.on("error", reject);
+  });
+}
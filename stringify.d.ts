@@ -0,0 +1,10 @@
+import { Experiment, Sequence, Stimulus } from "./types";
+export declare function stringifyStimulus(stimulus: Stimulus): string;
+export declare function stringifySequence(sequence: Sequence): string;
+export declare function sequenceValues(sequence: Sequence): string[];
+/**
+ * Emits a canonical script from a parsed experiment model.
+ * new Parser(stringify(model)).execute().model() reproduces the same model.
+ * @param model output of Parser.model() (or the parsed json())
+ */
+export declare function stringify(model: Experiment): string;
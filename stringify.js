@@ -0,0 +1,123 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.stringify = exports.sequenceValues = exports.stringifySequence = exports.stringifyStimulus = void 0;
+const lexer_1 = require("./lexer");
+const registry_1 = require("./registry");
+const sections_1 = require("./sections");
+const types_1 = require("./types");
+// 한 row 안의 값이라서 줄바꿈은 표현할 수 없음
+function quote(text) {
+    if (/[\r\n]/.test(text)) {
+        throw new Error(`${JSON.stringify(text)}는 스크립트로 표현할 수 없습니다`);
+    }
+    return lexer_1.quoteToken(text);
+}
+// 그대로 쓰면 다른 토큰으로 읽히는 값(공백, 따옴표, # 등)만 따옴표로 감쌈
+function atom(text) {
+    const tokens = lexer_1.tokenize(text);
+    const plain = tokens.length === 1 && tokens[0].value === text && !text.includes("#");
+    return plain ? text : quote(text);
+}
+function orN(value) {
+    return value === null || value === undefined ? "n" : String(value);
+}
+function orInf(value) {
+    return value === null || value === undefined ? "inf" : String(value);
+}
+function identifierOf(stimulus) {
+    return stimulus ? stimulus.identifier : "n";
+}
+// 유형이 선언한 컬럼 순서대로 값을 토큰으로 변환
+function stringifyStimulus(stimulus) {
+    const { stimulusType, identifier } = stimulus;
+    const definition = registry_1.getStimulusType(stimulusType);
+    if (!definition) {
+        throw new Error(`${stimulusType}은 유효한 자극 유형이 아닙니다`);
+    }
+    const tokens = [stimulusType, identifier];
+    for (const column of definition.columns) {
+        const value = stimulus[column.name];
+        switch (column.kind) {
+            case "flag":
+                if (value) {
+                    tokens.push("true");
+                }
+                break;
+            case "strings":
+                tokens.push(...value.map(quote));
+                break;
+            default:
+                if (value === null || value === undefined) {
+                    tokens.push("n");
+                }
+                else if (column.kind === "number") {
+                    tokens.push(String(value));
+                }
+                else {
+                    tokens.push(column.quoted ? quote(value) : atom(value));
+                }
+        }
+    }
+    return tokens.join(" ");
+}
+exports.stringifyStimulus = stringifyStimulus;
+// <onSetTime> <identifier> <stimDur> <choices> <choiceDur> <answer> <choiceOnsetRelativeToSim> <reactionTime> <feed_back_type> <feed_back_duration> <feed_back_1> <feed_back_2> <test>
+function stringifySequence(sequence) {
+    return sequenceValues(sequence).join(" ");
+}
+exports.stringifySequence = stringifySequence;
+// 시퀀스 row의 컬럼 순서대로 스크립트 표기의 값(n, inf, identifier)
+function sequenceValues(sequence) {
+    if (!sequence.stimulus) {
+        throw new Error("stimulus가 없는 시퀀스는 스크립트로 표현할 수 없습니다");
+    }
+    return [
+        // <onSetTime>은 n을 쓸 수 없으므로 파서의 기본값 0
+        typeof sequence.onSetTime === "number" ? String(sequence.onSetTime) : "0",
+        sequence.stimulus.identifier,
+        orInf(sequence.stimulusDuration),
+        sequence.choices ? sequence.choices.map(identifierOf).join(",") : "n",
+        orInf(sequence.choiceDuration),
+        orN(sequence.answer),
+        orN(sequence.choiceOnsetRelativeToSim),
+        orInf(sequence.reactionTime),
+        sequence.feedbackType || types_1.FeedbackType.NONE,
+        orN(sequence.feedbackDuration),
+        identifierOf(sequence.feedback1),
+        identifierOf(sequence.feedback2),
+        sequence.test ? "y" : "n",
+    ];
+}
+exports.sequenceValues = sequenceValues;
+function section(keyword, rows, name) {
+    const header = name ? `${keyword} name=${name}` : keyword;
+    return [`[${header}]`, ...rows, `[End${keyword}]`];
+}
+function sequenceSection(key, sequences) {
+    const parsed = sections_1.parseSectionKey(key);
+    if (!parsed) {
+        throw new Error(`${key}는 시퀀스 섹션의 key가 아닙니다`);
+    }
+    const rows = sequences.map(stringifySequence);
+    return section(parsed.keyword, rows, parsed.name || undefined);
+}
+/**
+ * Emits a canonical script from a parsed experiment model.
+ * new Parser(stringify(model)).execute().model() reproduces the same model.
+ * @param model output of Parser.model() (or the parsed json())
+ */
+function stringify(model) {
+    const lines = [];
+    if (model.task) {
+        lines.push(`Task ${model.task.type} ${model.task.name}`.trim(), "");
+    }
+    if (model.background) {
+        lines.push(...section("Background", [stringifyStimulus(model.background)]), "");
+    }
+    lines.push(...section("Descriptions", Object.keys(model.stimulus).map((identifier) => stringifyStimulus(model.stimulus[identifier]))));
+    for (const key of Object.keys(model.sequences)) {
+        lines.push("", ...sequenceSection(key, model.sequences[key]));
+    }
+    return lines.join("\n") + "\n";
+}
+exports.stringify = stringify;
@@ -0,0 +1,21 @@
+import { Reporter, SourceRow } from "./diagnostics";
+export declare const MAX_GENERATED_ROWS = 100000;
+declare type Variables = {
+    [name: string]: number;
+};
+export declare function evaluate(expression: string, variables: Variables): number | null;
+export declare class TemplateExpander {
+    report: Reporter;
+    variables: Variables;
+    expanded: boolean;
+    constructor(report: Reporter);
+    define(row: SourceRow): void;
+    substitute(row: SourceRow): string;
+    /**
+     * Removes @set rows and expands $name, $(expression) and {from..to} of the
+     * other rows, in order, so a constant is usable after its @set row.
+     * @param rows rows of the script or of an included file
+     */
+    expand(rows: SourceRow[]): SourceRow[];
+}
+export {};
@@ -0,0 +1,291 @@
+import { Reporter, SourceRow } from "./diagnostics";
+import { tokenize } from "./lexer";
+
+/*
+VARIABLES AND TEMPLATES
+
+expanded before the rows are split into sections, so they work in every section
+
+# @set <name> <expression>
+  - defines a constant, usable in the rows after it
+  - <name> := letters, digits and _, not starting with a digit
+# $<name> : replaced with the value of the constant
+# $(<expression>) : replaced with the value of the expression
+  - <expression> := numbers, constant names(without $), + - * / % and ( )
+  ex) @set ISI 500
+      @set SOA ISI + 200
+      $(SOA * 2) F1 $ISI n inf n 0 inf n n n n n
+# {<from>..<to>} or {<from>..<to>..<step>} : the row is repeated for every number of the range
+  - every range in a row advances together, so they must have the same length
+  - <from> with leading zeros pads the numbers to its width
+  ex) image F{1..120} img/F{001..120}.png
+      => image F1 img/F001.png ... image F120 img/F120.png
+- rows made from a template keep the line of the template
+- a range(and @block repeat=) makes at most MAX_GENERATED_ROWS(100000) rows,
+  more is an error
+- quoted tokens("..." or '...', see LEXER in lexer.ts) are kept as they are,
+  $ and {..} in the content of a text stimulus are not expanded
+  ex) text T1 "Cost is $price {1..3}" n n => one row, the content as written
+*/
+
+export const MAX_GENERATED_ROWS = 100000;
+
+const NAME = /^[A-Za-z_]\w*$/;
+const VARIABLE = /\$([A-Za-z_]\w*)/g;
+const RANGE = /\{(-?\d+)\.\.(-?\d+)(?:\.\.([1-9]\d*))?\}/g;
+
+type Variables = { [name: string]: number };
+
+// $toString 같은 Object.prototype의 멤버는 변수가 아님
+function isDefined(variables: Variables, name: string): boolean {
+  return Object.prototype.hasOwnProperty.call(variables, name);
+}
+
+// 따옴표로 감싼 토큰은 그대로 두고 그 사이의 텍스트에만 map을 적용
+function mapUnquoted(text: string, map: (part: string) => string): string {
+  let result = "";
+  let index = 0;
+  for (const token of tokenize(text)) {
+    if (token.quoted) {
+      const end = token.offset + token.length;
+      result +=
+        map(text.slice(index, token.offset)) + text.slice(token.offset, end);
+      index = end;
+    }
+  }
+  return result + map(text.slice(index));
+}
+
+// 토큰 단위 재귀 하강 파서. 잘못된 식이면 null
+export function evaluate(
+  expression: string,
+  variables: Variables
+): number | null {
+  const tokens = expression.match(/\d+(\.\d+)?|[A-Za-z_]\w*|\S/g) || [];
+  let index = 0;
+
+  const primary = (): number => {
+    const token = tokens[index++];
+    if (token === "(") {
+      const value = sum();
+      if (tokens[index++] !== ")") {
+        throw new Error(expression);
+      }
+      return value;
+    } else if (token === "-") {
+      return -primary();
+    } else if (token !== undefined && /^\d/.test(token)) {
+      return Number(token);
+    } else if (token !== undefined && isDefined(variables, token)) {
+      return variables[token];
+    }
+    throw new Error(expression);
+  };
+  const product = (): number => {
+    let value = primary();
+    while (["*", "/", "%"].includes(tokens[index])) {
+      const operator = tokens[index++];
+      const right = primary();
+      value =
+        operator === "*"
+          ? value * right
+          : operator === "/"
+          ? value / right
+          : value % right;
+    }
+    return value;
+  };
+  const sum = (): number => {
+    let value = product();
+    while (tokens[index] === "+" || tokens[index] === "-") {
+      value = tokens[index++] === "+" ? value + product() : value - product();
+    }
+    return value;
+  };
+
+  try {
+    const value = sum();
+    return index === tokens.length && Number.isFinite(value) ? value : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// $(...) 안의 괄호 짝을 맞춰서 치환
+function substituteExpressions(
+  text: string,
+  row: SourceRow,
+  variables: Variables,
+  report: Reporter
+): string {
+  let result = "";
+  let index = 0;
+  while (index < text.length) {
+    const start = text.indexOf("$(", index);
+    if (start === -1) {
+      break;
+    }
+
+    let depth = 0;
+    let end = start + 1;
+    for (; end < text.length; end++) {
+      depth += text[end] === "(" ? 1 : text[end] === ")" ? -1 : 0;
+      if (depth === 0) {
+        break;
+      }
+    }
+
+    const expression = text.slice(start + 2, end);
+    const value = evaluate(expression, variables);
+    if (value === null) {
+      report("invalid-expression", row, expression);
+    }
+    result += text.slice(index, start) + (value === null ? "" : String(value));
+    index = end + 1;
+  }
+  return result + text.slice(index);
+}
+
+function rangeValues(from: string, to: string, step: string | undefined) {
+  const start = parseInt(from);
+  const end = parseInt(to);
+  const size = step === undefined ? 1 : parseInt(step);
+  // {001..120} => 3자리
+  const width = /^-?0\d/.test(from) ? from.replace("-", "").length : 0;
+  const values: string[] = [];
+  for (
+    let value = start;
+    start <= end ? value <= end : value >= end;
+    value += start <= end ? size : -size
+  ) {
+    let digits = String(Math.abs(value));
+    while (digits.length < width) {
+      digits = "0" + digits;
+    }
+    values.push(value < 0 ? `-${digits}` : digits);
+  }
+  return values;
+}
+
+// 값을 만들지 않고 범위의 길이만 계산
+function rangeLength(from: string, to: string, step: string | undefined) {
+  const size = step === undefined ? 1 : parseInt(step);
+  return Math.floor(Math.abs(parseInt(to) - parseInt(from)) / size) + 1;
+}
+
+function expandRanges(row: SourceRow, report: Reporter): SourceRow[] {
+  const ranges: string[][] = [];
+  let tooLarge = 0;
+  mapUnquoted(row.text, (part) =>
+    part.replace(RANGE, (match, from, to, step) => {
+      const length = rangeLength(from, to, step);
+      if (length > MAX_GENERATED_ROWS) {
+        tooLarge = Math.max(tooLarge, length);
+      } else {
+        ranges.push(rangeValues(from, to, step));
+      }
+      return match;
+    })
+  );
+  if (tooLarge > 0) {
+    report(
+      "generated-rows-limit",
+      row,
+      String(tooLarge),
+      String(MAX_GENERATED_ROWS)
+    );
+    return [];
+  }
+  if (ranges.length === 0) {
+    return [row];
+  } else if (ranges.some((values) => values.length !== ranges[0].length)) {
+    report(
+      "range-length-mismatch",
+      row,
+      ranges.map((values) => String(values.length)).join(", ")
+    );
+    return [];
+  }
+
+  return ranges[0].map((_, index) => {
+    let rangeIndex = 0;
+    const text = mapUnquoted(row.text, (part) =>
+      part.replace(RANGE, () => ranges[rangeIndex++][index])
+    );
+    return { ...row, text };
+  });
+}
+
+export class TemplateExpander {
+  report: Reporter;
+  variables: Variables;
+  expanded: boolean; // 하나라도 치환/생성된 행이 있으면 true
+
+  constructor(report: Reporter) {
+    this.report = report;
+    this.variables = Object.create(null);
+    this.expanded = false;
+  }
+
+  define(row: SourceRow) {
+    const [, name, ...expression] = tokenize(row.text).map(
+      (token) => token.value
+    );
+    if (!name || !NAME.test(name)) {
+      this.report("missing-value", row, "variable name");
+      return;
+    } else if (expression.length === 0) {
+      this.report("missing-value", row, "variable value");
+      return;
+    }
+
+    const value = evaluate(expression.join(" "), this.variables);
+    if (value === null) {
+      this.report("invalid-expression", row, expression.join(" "));
+    } else {
+      this.variables[name] = value;
+    }
+  }
+
+  substitute(row: SourceRow): string {
+    return mapUnquoted(row.text, (part) => {
+      const text = part.replace(VARIABLE, (variable, name) => {
+        if (!isDefined(this.variables, name)) {
+          this.report("unknown-variable", row, name);
+          return variable;
+        }
+        return String(this.variables[name]);
+      });
+      return substituteExpressions(text, row, this.variables, this.report);
+    });
+  }
+
+  /**
+   * Removes @set rows and expands $name, $(expression) and {from..to} of the
+   * other rows, in order, so a constant is usable after its @set row.
+   * @param rows rows of the script or of an included file
+   */
+  expand(rows: SourceRow[]): SourceRow[] {
+    const expanded: SourceRow[] = [];
+    for (const row of rows) {
+      if (/^@set(\s|$)/.test(row.text)) {
+        this.expanded = true;
+        this.define(row);
+        continue;
+      }
+
+      const text = this.substitute(row);
+      const generated = expandRanges({ ...row, text }, this.report);
+      if (text !== row.text || generated.length !== 1) {
+        this.expanded = true;
+        // 범위는 MAX_GENERATED_ROWS까지 늘어나므로 spread 대신 하나씩
+        for (const generatedRow of generated) {
+          expanded.push(generatedRow);
+        }
+      } else {
+        expanded.push(row);
+      }
+    }
+    return expanded;
+  }
+}
@@ -0,0 +1,92 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const Parser = require("../parser.v2");
+const { diffExperiments, formatDiff } = require("../diff");
+
+const script = fs.readFileSync(path.join(__dirname, "../in/test2.txt"), "utf8");
+
+function model(text) {
+  const parser = new Parser(text, { collectDiagnostics: true }).execute();
+  assert.deepEqual(parser.diagnostics, []);
+  return parser.model();
+}
+
+// change => "<type> <path>[.<field>]: <before> → <after>"
+function lines(diff) {
+  return diff.changes.map(
+    ({ type, path, field, before, after, category }) =>
+      `${type} ${path}${
+        field && type !== "changed" ? `.${field}` : ""
+      }: ${before} → ${after} (${category})`
+  );
+}
+
+test("the same script has no differences", () => {
+  const diff = diffExperiments(model(script), model(script));
+  assert.deepEqual(diff.changes, []);
+  assert.equal(formatDiff(diff), "No differences\n");
+});
+
+test("changed fields are reported with their category", () => {
+  const after = script
+    .replace(
+      "2000 T4 inf I1,I2 inf 0 0 10000",
+      "2000 T4 inf I1,I2 inf 1 0 8000"
+    )
+    .replace('text T5 "Thank you!" 40 n', 'text T5 "Thanks!" 40 n');
+  const diff = diffExperiments(model(script), model(after));
+  assert.deepEqual(lines(diff), [
+    'changed stimulus.T5.content: "Thank you!" → "Thanks!" (content)',
+    "changed main_sequence[3].answer: 0 (I1) → 1 (I2) (answer)",
+    "changed main_sequence[3].reactionTime: 10000 → 8000 (timing)",
+  ]);
+  assert.deepEqual(diff.summary, {
+    stimuli: { added: 0, removed: 0, changed: 1 },
+    trials: { added: 0, removed: 0, changed: 1 },
+    timing: 1,
+    answerKey: 1,
+  });
+});
+
+test("mismatched sections are added, removed and reordered", () => {
+  const after = script
+    .replace(/\[PreSeq\][\s\S]*?\[EndPreSeq\]\n/, "")
+    .replace(
+      /(\[MainSeq\][\s\S]*?\[EndMainSeq\])\n\n(\[PostSeq\][\s\S]*?\[EndPostSeq\])/,
+      "$2\n$1"
+    )
+    .replace(
+      "[EndDescriptions]\n",
+      "[EndDescriptions]\n[BreakSeq]\n0 T5 100 n inf n 0 inf n n n n n\n[EndBreakSeq]\n"
+    );
+  const diff = diffExperiments(model(script), model(after));
+  assert.deepEqual(lines(diff), [
+    "changed sections: main_sequence, post_sequence → post_sequence, main_sequence (timing)",
+    "removed pre_sequence: 1 trial → null (content)",
+    "added break_sequence: null → 1 trial (content)",
+  ]);
+  assert.match(formatDiff(diff), /^- section pre_sequence: 1 trial$/m);
+});
+
+test("onset matching keeps the trials after an inserted one", () => {
+  const after = script.replace(
+    "1000 F 2000",
+    "700 F 100 n inf n 0 inf n n n n n\n1000 F 2000"
+  );
+  const byOnset = diffExperiments(model(script), model(after), {
+    match: "onset",
+  });
+  assert.deepEqual(lines(byOnset), [
+    "added main_sequence[1]: null → 700 F 100 n inf n 0 inf n n n n n (content)",
+  ]);
+
+  // 위치로 맞추면 뒤의 시행이 모두 바뀐 것으로 보임
+  const byPosition = diffExperiments(model(script), model(after));
+  assert.deepEqual(byPosition.summary.trials, {
+    added: 1,
+    removed: 0,
+    changed: 3,
+  });
+});
@@ -0,0 +1,44 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { walk } = require("../files");
+
+test("walk skips hidden entries, node_modules and broken links", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "walk-test-"));
+  try {
+    for (const file of [
+      "a.txt",
+      "img/b.png",
+      "img/sub/c.png",
+      "z.txt",
+      ".hidden/d.txt",
+      "node_modules/e.js",
+    ]) {
+      fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+      fs.writeFileSync(path.join(dir, file), "");
+    }
+    fs.symlinkSync(path.join(dir, "a.txt"), path.join(dir, "link.txt"));
+    fs.symlinkSync(path.join(dir, "missing.txt"), path.join(dir, "broken.txt"));
+    // 자기 자신을 가리키는 디렉터리 링크는 따라가지 않음
+    fs.symlinkSync(dir, path.join(dir, "img", "loop"));
+
+    const files = walk(dir).map((file) =>
+      path.relative(dir, file).split(path.sep).join("/")
+    );
+    assert.deepEqual(files.sort(), [
+      "a.txt",
+      "img/b.png",
+      "img/sub/c.png",
+      "link.txt",
+      "z.txt",
+    ]);
+  } finally {
+    fs.rmSync(dir, { recursive: true });
+  }
+});
+
+test("walk of a missing directory is empty", () => {
+  assert.deepEqual(walk(path.join(os.tmpdir(), "walk-test-missing")), []);
+});
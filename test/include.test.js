@@ -0,0 +1,130 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const Parser = require("../parser.v2");
+
+// files : @include 경로 => 내용
+function parse(text, files = {}) {
+  return new Parser(text, {
+    collectDiagnostics: true,
+    resolveInclude: (includePath) =>
+      includePath in files
+        ? { file: includePath, text: files[includePath] }
+        : null,
+  }).execute();
+}
+
+function problems(parser) {
+  return parser.diagnostics.map(
+    ({ code, file, line, message }) =>
+      `${code} ${file || "-"}:${line} ${message}`
+  );
+}
+
+function script(
+  descriptions,
+  sequences = ["0 I1 100 n inf n 0 inf n n n n n"]
+) {
+  return [
+    "Task WM Include",
+    "[Descriptions]",
+    ...descriptions,
+    "[EndDescriptions]",
+    "[MainSeq]",
+    ...sequences,
+    "[EndMainSeq]",
+  ].join("\n");
+}
+
+test("a quoted include path keeps its spaces", () => {
+  const parser = parse(script(['@include "shared stimuli.txt" prefix=s.']), {
+    "shared stimuli.txt": "image I1 img/a.png",
+  });
+  assert.deepEqual(
+    parser.diagnostics.map((diagnostic) => diagnostic.code),
+    ["unknown-stimulus"]
+  );
+  assert.equal(parser.stimulus["s.I1"].filePath, "img/a.png");
+});
+
+test("a missing include file is reported at the @include row", () => {
+  const parser = parse(script(["image I1 img/a.png", "@include missing.txt"]));
+  assert.deepEqual(problems(parser), [
+    "include-not-found -:4 Included file missing.txt does not exist",
+  ]);
+  assert.equal(parser.stimulus["I1"].filePath, "img/a.png");
+});
+
+test("an include cycle is reported with the chain of files", () => {
+  const parser = parse(script(["@include a.txt"]), {
+    "a.txt": "image I1 img/a.png\n@include b.txt",
+    "b.txt": "@include a.txt",
+  });
+  assert.deepEqual(problems(parser), [
+    "include-cycle b.txt:1 Include cycle: a.txt -> b.txt -> a.txt",
+  ]);
+  assert.equal(parser.stimulus["I1"].filePath, "img/a.png");
+});
+
+test("nested prefixes are combined outer first", () => {
+  const parser = parse(
+    script(
+      ["@include outer.txt prefix=o."],
+      ["0 o.i.I1 100 n inf n 0 inf n n n n n"]
+    ),
+    {
+      "outer.txt": "image O1 img/o.png\n@include inner.txt prefix=i.",
+      // 스크립트 전체를 include하면 [Descriptions]만 사용
+      "inner.txt": script(
+        ["image I1 img/i.png"],
+        ["0 X 100 n inf n 0 inf n n n n n"]
+      ),
+    }
+  );
+  assert.deepEqual(parser.diagnostics, []);
+  assert.deepEqual(Object.keys(parser.stimulus).sort(), ["o.O1", "o.i.I1"]);
+  assert.equal(
+    parser.sequences["main_sequence"][0].stimulus.identifier,
+    "o.i.I1"
+  );
+});
+
+test("unknown directives, options and a missing path are errors", () => {
+  const parser = parse(
+    script([
+      "image I1 img/a.png",
+      "@import x.txt",
+      "@include",
+      "@include a.txt order=1",
+    ]),
+    { "a.txt": "image A1 img/a.png" }
+  );
+  assert.deepEqual(problems(parser), [
+    "unknown-directive -:4 @import is not a valid directive",
+    "missing-value -:5 Column <include path> is missing",
+    "invalid-directive-option -:6 order=1 is not a valid option of @include",
+  ]);
+  assert.equal(parser.stimulus["A1"].filePath, "img/a.png");
+});
+
+test("include paths are relative to the including file", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "include-test-"));
+  try {
+    fs.mkdirSync(path.join(dir, "stim"));
+    fs.writeFileSync(
+      path.join(dir, "stim", "faces.txt"),
+      "@include more.txt\nimage F1 img/f1.png"
+    );
+    fs.writeFileSync(path.join(dir, "stim", "more.txt"), "image F2 img/f2.png");
+    const parser = new Parser(
+      script(["@include stim/faces.txt"], ["0 F2 100 n inf n 0 inf n n n n n"]),
+      { collectDiagnostics: true, fileName: path.join(dir, "main.txt") }
+    ).execute();
+    assert.deepEqual(parser.diagnostics, []);
+    assert.deepEqual(Object.keys(parser.stimulus).sort(), ["F1", "F2"]);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
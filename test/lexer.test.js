@@ -0,0 +1,77 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { quoteToken, splitComment, splitLines, tokenize } = require("../lexer");
+const Parser = require("../parser.v2");
+
+const values = (text) => tokenize(text).map((token) => token.value);
+
+test("tokens are separated by any whitespace", () => {
+  assert.deepEqual(values("  a\tb   c \t d "), ["a", "b", "c", "d"]);
+});
+
+test("quotes keep whitespace, # and the other quote", () => {
+  assert.deepEqual(values(`text T3 'say "hi" # now' n n`), [
+    "text",
+    "T3",
+    'say "hi" # now',
+    "n",
+    "n",
+  ]);
+  assert.deepEqual(values(`a"b c"`), ['a"b', 'c"']);
+
+  const [token] = tokenize(`"open quote`);
+  assert.equal(token.unclosed, true);
+  assert.equal(token.value, "open quote");
+});
+
+test("escapes and backslashes of paths", () => {
+  assert.deepEqual(values(String.raw`"a \"quoted\" word" a\ b img\F1.png`), [
+    'a "quoted" word',
+    "a b",
+    String.raw`img\F1.png`,
+  ]);
+  const value = String.raw`it's "x" \ y`;
+  assert.deepEqual(values(quoteToken(value)), [value]);
+});
+
+test("offsets and lengths point into the row", () => {
+  const [, token] = tokenize(`x  "a b"`);
+  assert.deepEqual(
+    { offset: token.offset, length: token.length, quoted: token.quoted },
+    { offset: 3, length: 5, quoted: true }
+  );
+});
+
+test("comments start at # outside quotes", () => {
+  assert.deepEqual(splitComment(`a "b # c" # d`), {
+    text: `a "b # c" `,
+    comment: " d",
+  });
+  assert.deepEqual(splitComment(String.raw`a \# b`), {
+    text: String.raw`a \# b`,
+    comment: null,
+  });
+});
+
+test("lines end with LF, CRLF or CR and a BOM is ignored", () => {
+  assert.deepEqual(splitLines("\uFEFFa\r\nb\rc\nd"), ["a", "b", "c", "d"]);
+});
+
+test("CRLF scripts with a BOM parse like LF scripts", () => {
+  const lines = [
+    "Task WM Lexer",
+    "[Descriptions]",
+    "text T1\t'Which   one?'  20 n",
+    "[EndDescriptions]",
+    "[MainSeq]",
+    "0 T1 inf n inf n 0 inf n n n n n  # trailing comment",
+    "[EndMainSeq]",
+  ];
+  const parse = (text) =>
+    new Parser(text, { collectDiagnostics: true }).execute();
+  const lf = parse(lines.join("\n"));
+  const crlf = parse("\uFEFF" + lines.join("\r\n"));
+  assert.deepEqual(crlf.diagnostics, []);
+  assert.equal(crlf.json(), lf.json());
+  assert.equal(crlf.stimulus.T1.content, "Which   one?");
+});
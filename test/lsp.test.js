@@ -0,0 +1,191 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { pathToFileURL } = require("url");
+const { PassThrough } = require("stream");
+const { LanguageServer } = require("../lsp");
+
+const URI = "file:///tmp/lsp-test.txt";
+const SCRIPT = [
+  "Task WM Test",
+  "[Descriptions]",
+  'text T1 "Which one?" 20 red',
+  "image I1 img/a.png",
+  "image I2 img/b.png",
+  "[EndDescriptions]",
+  "[MainSeq]",
+  "2000 T1 inf I1,I2 inf 0 0 10000 n n n n y",
+  "2000 T1 inf I1,I9 inf 0 0 10000 n n n n y",
+  "[EndMainSeq]",
+].join("\n");
+
+// LanguageServer를 PassThrough로 연결한 client
+function startClient(uri = URI, text = SCRIPT) {
+  const input = new PassThrough();
+  const output = new PassThrough();
+  const server = new LanguageServer(input, output, () => {});
+  server.listen();
+
+  const messages = [];
+  let buffer = Buffer.alloc(0);
+  output.on("data", (chunk) => {
+    buffer = Buffer.concat([buffer, chunk]);
+    for (;;) {
+      const headerEnd = buffer.indexOf("\r\n\r\n");
+      if (headerEnd === -1) {
+        return;
+      }
+      const length = Number(/Content-Length: (\d+)/.exec(buffer)[1]);
+      const end = headerEnd + 4 + length;
+      if (buffer.length < end) {
+        return;
+      }
+      messages.push(JSON.parse(buffer.slice(headerEnd + 4, end)));
+      buffer = buffer.slice(end);
+    }
+  });
+
+  let id = 0;
+  const send = (method, params) => {
+    const message = { jsonrpc: "2.0", method, params };
+    if (method !== "textDocument/didOpen") {
+      message.id = ++id;
+    }
+    const body = JSON.stringify(message);
+    input.write(`Content-Length: ${Buffer.byteLength(body)}\r\n\r\n${body}`);
+    return message.id;
+  };
+  // 요청을 보내고 응답을 기다림
+  const request = async (method, params) => {
+    const requestId = send(method, params);
+    for (;;) {
+      const response = messages.find((message) => message.id === requestId);
+      if (response) {
+        return response;
+      }
+      await new Promise((resolve) => setImmediate(resolve));
+    }
+  };
+  const at = (line, character) => ({
+    textDocument: { uri },
+    position: { line, character },
+  });
+
+  send("textDocument/didOpen", {
+    textDocument: {
+      uri,
+      version: 1,
+      languageId: "jsparser",
+      text,
+    },
+  });
+  return { messages, request, at };
+}
+
+test("initialize declares the features", async () => {
+  const { request } = startClient();
+  const { result } = await request("initialize", { capabilities: {} });
+  assert.deepEqual(result.capabilities.completionProvider.triggerCharacters, [
+    " ",
+    ",",
+    "=",
+  ]);
+  assert.equal(result.capabilities.renameProvider, true);
+});
+
+test("publishes the diagnostics of an opened script", async () => {
+  const { messages, request } = startClient();
+  await request("initialize", { capabilities: {} });
+  const published = messages.find(
+    (message) => message.method === "textDocument/publishDiagnostics"
+  );
+  assert.equal(published.params.uri, URI);
+  const [diagnostic] = published.params.diagnostics;
+  assert.equal(diagnostic.code, "unknown-stimulus");
+  assert.deepEqual(diagnostic.range.start, { line: 8, character: 12 });
+});
+
+test("hover shows the column and the stimulus", async () => {
+  const { request, at } = startClient();
+  const { result } = await request("textDocument/hover", at(7, 6));
+  assert.equal(result.contents.value, "**stimulus**\n\ntext T1");
+});
+
+test("definition goes to the description row", async () => {
+  const { request, at } = startClient();
+  const { result } = await request("textDocument/definition", at(7, 13));
+  assert.equal(result.uri, URI);
+  assert.deepEqual(result.range, {
+    start: { line: 3, character: 6 },
+    end: { line: 3, character: 8 },
+  });
+});
+
+test("rename changes the description and every use", async () => {
+  const { request, at } = startClient();
+  const { result } = await request("textDocument/rename", {
+    ...at(7, 13),
+    newName: "Apple",
+  });
+  const edits = result.changes[URI].map((edit) => edit.range.start);
+  assert.deepEqual(edits, [
+    { line: 3, character: 6 },
+    { line: 7, character: 12 },
+    { line: 8, character: 12 },
+  ]);
+
+  const taken = await request("textDocument/rename", {
+    ...at(7, 13),
+    newName: "I2",
+  });
+  assert.match(taken.error.message, /already exists/);
+});
+
+test("rename refuses identifiers used in an imported table", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "lsp-test-"));
+  try {
+    fs.writeFileSync(path.join(dir, "trials.csv"), "stim,choices\nT1,I1\n");
+    const text = SCRIPT.replace(/^2000 T1 inf I1,I9.*$/m, "@import trials.csv");
+    const uri = pathToFileURL(path.join(dir, "script.txt")).href;
+    const { request, at } = startClient(uri, text);
+    const used = await request("textDocument/rename", {
+      ...at(7, 13),
+      newName: "Apple",
+    });
+    assert.match(used.error.message, /I1 is also used in .*trials\.csv/);
+
+    // 표에 없는 식별자는 바꿀 수 있음
+    const { result } = await request("textDocument/rename", {
+      ...at(4, 7),
+      newName: "Picture",
+    });
+    assert.equal(result.changes[uri].length, 2);
+  } finally {
+    fs.rmSync(dir, { recursive: true });
+  }
+});
+
+test("completion lists the identifiers of the column", async () => {
+  const { request, at } = startClient();
+  const labels = async (line, character) =>
+    (await request("textDocument/completion", at(line, character))).result.map(
+      (item) => item.label
+    );
+
+  assert.deepEqual(await labels(7, 6), ["T1", "I1", "I2"]);
+  // 공백 바로 뒤는 다음 컬럼(stimulus)
+  assert.deepEqual(await labels(7, 5), ["T1", "I1", "I2"]);
+  assert.deepEqual(await labels(7, 15), ["T1", "I1", "I2"]);
+  // onset, stimulus duration
+  assert.deepEqual(await labels(7, 2), []);
+  assert.deepEqual(await labels(7, 9), []);
+  assert.deepEqual(await labels(3, 2), []);
+});
+
+test("unknown requests are answered with an error", async () => {
+  const { request } = startClient();
+  const response = await request("foo/bar", {});
+  assert.equal(response.error.code, -32601);
+});
@@ -0,0 +1,131 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const Parser = require("../parser.v2");
+
+const SCRIPT = [
+  "Task WM Blocks",
+  "[Descriptions]",
+  "text A 'a' n n",
+  "text B 'b' n n",
+  "text C 'c' n n",
+  "text D 'd' n n",
+  "[EndDescriptions]",
+  "[MainSeq]",
+  "@block first repeat=3 shuffle maxAnswerRun=2",
+  "stim=A choices=C,D answer=0",
+  "stim=B choices=C,D answer=1",
+  "@endblock",
+  "@block second",
+  "stim=C",
+  "@endblock",
+  "@block third",
+  "stim=D",
+  "@endblock",
+  "@counterbalance first second third",
+  "[EndMainSeq]",
+].join("\n");
+
+// main_sequence의 자극 순서
+function order(options) {
+  const parser = new Parser(SCRIPT, {
+    collectDiagnostics: true,
+    ...options,
+  }).execute();
+  assert.deepEqual(parser.diagnostics, []);
+  return parser.sequences.main_sequence
+    .map((sequence) => sequence.stimulus.identifier)
+    .join("");
+}
+
+test("the same seed and participant give the same order", () => {
+  const options = { seed: "study-1", participantId: 4 };
+  assert.equal(order(options), order(options));
+  assert.equal(order({ seed: 42 }), order({ seed: "42" }));
+});
+
+test("the participant id seeds the shuffle without a seed", () => {
+  assert.equal(order({ participantId: 5 }), order({ participantId: "5" }));
+  assert.equal(
+    order({ participantId: 5 }),
+    order({ seed: "", participantId: 5 })
+  );
+});
+
+test("other seeds shuffle differently", () => {
+  const orders = new Set(
+    ["a", "b", "c", "d", "e", "f"].map((seed) => order({ seed }))
+  );
+  assert.ok(orders.size > 1);
+});
+
+test("repeat and shuffle keep the trials of the block", () => {
+  const first = order({ seed: 1 }).slice(0, 6);
+  assert.equal(first.split("").sort().join(""), "AAABBB");
+  // maxAnswerRun=2 : A(answer 0)나 B(answer 1)가 세 번 연속되지 않음
+  assert.doesNotMatch(first, /AAA|BBB/);
+});
+
+test("counterbalance rotates the blocks by participant", () => {
+  const blocks = (participantId) =>
+    order({ seed: 1, participantId }).replace(/[AB]+/, "*");
+  assert.equal(blocks(0), "*CD");
+  assert.equal(blocks(1), "CD*");
+  assert.equal(blocks(2), "D*C");
+  assert.equal(blocks(3), "*CD");
+});
+
+test("equal blocks of two sections are shuffled independently", () => {
+  const block = [
+    "@block trials shuffle",
+    ...["A", "B", "C", "D"].map((stim) => `stim=${stim}`),
+    "@endblock",
+  ];
+  const script = [
+    "Task WM Sections",
+    "[Descriptions]",
+    "text A 'a' n n",
+    "text B 'b' n n",
+    "text C 'c' n n",
+    "text D 'd' n n",
+    "[EndDescriptions]",
+    "[MainSeq name=practice]",
+    ...block,
+    "[EndMainSeq]",
+    "[MainSeq name=test]",
+    ...block,
+    "[EndMainSeq]",
+  ].join("\n");
+  const orders = ["a", "b", "c", "d", "e", "f"].map((seed) => {
+    const { sequences } = new Parser(script, {
+      seed,
+      participantId: 1,
+    }).execute();
+    const [practice, test] = ["practice", "test"].map((name) =>
+      sequences[`main_sequence:${name}`]
+        .map((sequence) => sequence.stimulus.identifier)
+        .join("")
+    );
+    return { practice, test };
+  });
+  assert.ok(orders.some(({ practice, test }) => practice !== test));
+});
+
+test("quoted block names are one token", () => {
+  const script = SCRIPT.replace(
+    "@block second",
+    '@block "second block"'
+  ).replace(
+    "@counterbalance first second third",
+    '@counterbalance first "second block" third'
+  );
+  const parser = new Parser(script, {
+    collectDiagnostics: true,
+    seed: 1,
+    participantId: 1,
+  }).execute();
+  assert.deepEqual(parser.diagnostics, []);
+  const identifiers = parser.sequences.main_sequence.map(
+    (sequence) => sequence.stimulus.identifier
+  );
+  assert.deepEqual(identifiers.slice(0, 2), ["C", "D"]);
+});
@@ -0,0 +1,124 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const Parser = require("../parser.v2");
+const { readResponseLog, scoreResponses } = require("../scoring");
+const { main } = require("../cli");
+
+const SCRIPT_PATH = path.join(__dirname, "../in/test2.txt");
+const { sequences } = new Parser(fs.readFileSync(SCRIPT_PATH, "utf8"), {
+  collectDiagnostics: true,
+}).execute();
+
+function codes(diagnostics) {
+  return diagnostics.map((diagnostic) => diagnostic.code);
+}
+
+test("a CSV log is scored by section and trial", () => {
+  const diagnostics = [];
+  const entries = readResponseLog(
+    [
+      "rt,response,trial,section",
+      "400,0,3,main_sequence",
+      "600,1,0,main_sequence",
+      ",,2,main_sequence",
+    ].join("\n"),
+    "csv",
+    diagnostics
+  );
+  const { trials, summary } = scoreResponses(sequences, entries, diagnostics);
+  assert.deepEqual(diagnostics, []);
+
+  const last = trials.find(
+    (trial) => trial.section === "main_sequence" && trial.index === 3
+  );
+  assert.equal(last.correct, true);
+  assert.deepEqual(last.feedback, ["correct"]);
+  assert.equal(trials[3].timeout, true);
+  assert.equal(trials[0].missing, true);
+
+  assert.deepEqual(summary.overall, {
+    trials: 3,
+    correct: 1,
+    timeouts: 1,
+    accuracy: 1,
+    meanReactionTime: 500,
+    medianReactionTime: 500,
+  });
+  assert.deepEqual(Object.keys(summary.bySection), ["main_sequence"]);
+  assert.equal(summary.byStimulus.T4.correct, 1);
+});
+
+test("a late response counts as a timeout and gets the wrong feedback", () => {
+  // 전체 순서의 시행 번호. pre_sequence가 0
+  const entries = readResponseLog(
+    JSON.stringify([{ trial: 4, response: 0, rt: 12000 }]),
+    "json"
+  );
+  const { trials } = scoreResponses(sequences, entries);
+  const late = trials[4];
+  assert.equal(late.response, null);
+  assert.equal(late.timeout, true);
+  assert.equal(late.correct, false);
+  assert.deepEqual(late.feedback, ["wrong"]);
+});
+
+test("invalid entries are reported and skipped", () => {
+  const diagnostics = [];
+  const entries = readResponseLog(
+    [
+      "trial,response,rt",
+      "1,0,300",
+      "1,1,350",
+      "2,0,400",
+      "99,0,100",
+      "x,0,100",
+      "4,5,100",
+    ].join("\n"),
+    "csv",
+    diagnostics
+  );
+  const { trials } = scoreResponses(sequences, entries, diagnostics);
+  assert.deepEqual(codes(diagnostics), [
+    "response-invalid-value",
+    "response-duplicate",
+    "response-out-of-range",
+    "response-unknown-trial",
+    "response-out-of-range",
+  ]);
+  assert.deepEqual(
+    diagnostics.map((diagnostic) => diagnostic.line),
+    [6, 3, 4, 5, 7]
+  );
+  assert.equal(trials[1].response, 0);
+});
+
+test("a log without the required columns or not an array is invalid", () => {
+  const diagnostics = [];
+  assert.deepEqual(
+    readResponseLog("trial,answer\n0,1", "csv", diagnostics),
+    []
+  );
+  assert.deepEqual(readResponseLog("{", "json", diagnostics), []);
+  assert.deepEqual(readResponseLog('{"trial":0}', "json", diagnostics), []);
+  assert.deepEqual(codes(diagnostics), [
+    "response-missing-column",
+    "response-missing-column",
+    "response-log-invalid",
+    "response-log-invalid",
+  ]);
+});
+
+test("the score command reports an unreadable responses file", () => {
+  const errors = [];
+  const error = console.error;
+  console.error = (message) => errors.push(message);
+  try {
+    const missing = path.join(__dirname, "missing-responses.csv");
+    assert.equal(main(["score", SCRIPT_PATH, "--responses", missing]), 1);
+    assert.deepEqual(errors, [`${missing}: cannot read (ENOENT)`]);
+  } finally {
+    console.error = error;
+  }
+});
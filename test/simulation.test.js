@@ -0,0 +1,116 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const Parser = require("../parser.v2");
+const { formatEvents, formatResponses } = require("../simulation");
+
+function parse(rows, options = {}) {
+  const script = [
+    "Task WM Simulation",
+    "[Descriptions]",
+    'text T1 "Which one?" n n',
+    "image I1 img/a.png",
+    "image I2 img/b.png",
+    "[EndDescriptions]",
+    "[MainSeq]",
+    ...rows,
+    "[EndMainSeq]",
+  ].join("\n");
+  return new Parser(script, { collectDiagnostics: true, ...options }).execute();
+}
+
+// 항상 400ms에 정답을 고르는 참가자
+const EXACT = {
+  accuracy: 1,
+  rtMean: 400,
+  rtSd: 0,
+  rtDistribution: "normal",
+  timeoutRate: 0,
+};
+
+const TRIALS = Array.from(
+  { length: 20 },
+  (_, index) => `${index * 3000} T1 inf I1,I2 inf 1 0 2500 n n n n y`
+);
+
+test("the same seed and participant give the same session", () => {
+  const session = (participantId) =>
+    parse(TRIALS, { seed: 7, participantId }).simulate();
+  assert.deepEqual(session(1), session(1));
+  assert.notDeepEqual(session(1).responses, session(2).responses);
+  assert.equal(session(2).participantId, "2");
+});
+
+test("events follow the trial phases, responses and timeouts", () => {
+  const session = parse([
+    "0 T1 inf I1,I2 inf 1 200 1500 tf 300 I1 I2 y",
+    "1000 T1 100 I1,I2 inf 0 0 300 n n n n y",
+  ]).simulate(EXACT);
+  assert.equal(session.duration, 1300);
+  assert.deepEqual(session.diagnostics, []);
+  assert.equal(
+    formatEvents(session),
+    [
+      "time,section,trial,event,stimuli,response,rt",
+      "0,,,session_start,,,",
+      "0,main_sequence,,section_start,,,",
+      "0,main_sequence,0,trial_start,T1,,",
+      "0,main_sequence,0,stimulus_on,T1,,",
+      "200,main_sequence,0,choices_on,I1 I2,,",
+      "600,main_sequence,0,response,,1,600",
+      "600,main_sequence,0,stimulus_off,T1,,",
+      "600,main_sequence,0,choices_off,I1 I2,,",
+      "600,main_sequence,0,feedback_on,I1,,",
+      "900,main_sequence,0,feedback_off,I1,,",
+      "900,main_sequence,0,trial_end,,,",
+      "1000,main_sequence,1,trial_start,T1,,",
+      "1000,main_sequence,1,stimulus_on,T1,,",
+      "1000,main_sequence,1,choices_on,I1 I2,,",
+      "1100,main_sequence,1,stimulus_off,T1,,",
+      "1300,main_sequence,1,timeout,,,",
+      "1300,main_sequence,1,choices_off,I1 I2,,",
+      "1300,main_sequence,1,trial_end,,,",
+      "1300,main_sequence,,section_end,,,",
+      "1300,,,session_end,,,",
+      "",
+    ].join("\n")
+  );
+  assert.equal(
+    formatResponses(session),
+    "section,trial,response,rt\nmain_sequence,0,1,600\nmain_sequence,1,,\n"
+  );
+});
+
+test("a response window shorter than the fastest reaction is reported", () => {
+  const session = parse(["0 T1 inf I1,I2 inf 0 0 100 n n n n y"]).simulate(
+    EXACT
+  );
+  assert.deepEqual(
+    session.diagnostics.map(({ code, line, message }) => [code, line, message]),
+    [
+      [
+        "simulation-unanswerable",
+        8,
+        "main_sequence[0]: the response window is 100ms, shorter than the fastest reaction time 150ms; the participant can never answer",
+      ],
+    ]
+  );
+  assert.deepEqual(session.responses, [
+    { section: "main_sequence", trial: 0, response: null, rt: null },
+  ]);
+});
+
+test("a trial that never ends stops the session", () => {
+  const session = parse([
+    "0 T1 inf n n n 0 inf n n n n n",
+    "0 T1 100 n n n 0 inf n n n n n",
+  ]).simulate(EXACT);
+  assert.equal(session.duration, null);
+  assert.deepEqual(
+    session.diagnostics.map(({ code }) => code),
+    ["timeline-blocked"]
+  );
+  assert.deepEqual(
+    session.events.map(({ type }) => type),
+    ["session_start", "section_start", "trial_start", "stimulus_on"]
+  );
+});
@@ -0,0 +1,114 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const Parser = require("../parser.v2");
+const { exportTrials, splitDelimitedRow } = require("../spreadsheet");
+
+const script = fs.readFileSync(path.join(__dirname, "../in/test2.txt"), "utf8");
+
+// 시퀀스 섹션의 내용을 @import 한 줄로 바꿈
+function importing(text, file) {
+  return text.replace(
+    /^\[(\w+Seq)\]\n[\s\S]*?\n\[End\1\]/gm,
+    (match, keyword) => `[${keyword}]\n@import ${file}\n[End${keyword}]`
+  );
+}
+
+// files : @import 경로 => 내용
+function parse(text, files = {}) {
+  return new Parser(text, {
+    collectDiagnostics: true,
+    resolveInclude: (includePath) =>
+      includePath in files
+        ? { file: includePath, text: files[includePath] }
+        : null,
+  }).execute();
+}
+
+test("exported trials import back section by section", () => {
+  const parser = parse(script);
+  for (const [file, delimiter] of [
+    ["trials.csv", ","],
+    ["trials.tsv", "\t"],
+  ]) {
+    const table = exportTrials(parser.sequences, delimiter);
+    const imported = parse(importing(script, file), { [file]: table });
+    assert.deepEqual(imported.diagnostics, []);
+    assert.equal(imported.json(), parser.json());
+  }
+});
+
+test("headers are keywords in any order and case", () => {
+  const table = [
+    "STIM,Choices,answer,rt,test,notes",
+    'T1,"I1,I2",0,10000,y,first',
+    "T4,I1;I2,1,10000,n,",
+    "T4,I1 I2,,,,",
+  ].join("\n");
+  const parser = parse(importing(script, "t.csv"), { "t.csv": table });
+  // 세 시퀀스 섹션이 모두 같은 표를 import
+  assert.deepEqual(
+    parser.diagnostics.map((diagnostic) => diagnostic.code),
+    Array(3).fill("trial-table-unknown-column")
+  );
+  const [first, second, third] = parser.sequences.main_sequence;
+  assert.deepEqual(
+    first.choices.map((choice) => choice.identifier),
+    ["I1", "I2"]
+  );
+  assert.equal(first.answer, 0);
+  assert.equal(second.test, false);
+  assert.equal(third.choices.length, 2);
+  assert.equal(third.reactionTime, null);
+});
+
+test("diagnostics point to the cell", () => {
+  const table = "onset,stim\n0,T1\n 10 , T9 \n";
+  const parser = parse(importing(script, "t.csv"), { "t.csv": table });
+  const errors = parser.diagnostics.filter(
+    (diagnostic) => diagnostic.code === "unknown-stimulus"
+  );
+  assert.equal(errors.length, 3);
+  assert.deepEqual(
+    { file: errors[0].file, line: errors[0].line, column: errors[0].column },
+    { file: "t.csv", line: 3, column: 7 }
+  );
+});
+
+test("cells are split with quotes and their offsets", () => {
+  assert.deepEqual(splitDelimitedRow('a, "b,""c""" ,d'), [
+    { value: "a", offset: 0 },
+    { value: 'b,"c"', offset: 3 },
+    { value: "d", offset: 14 },
+  ]);
+});
+
+test("a quoted cell can span lines", () => {
+  const table = [
+    "notes,stim,choices",
+    '"first line',
+    'second line",T1,"I1,',
+    ' I9"',
+    "one line,T4,I1",
+  ].join("\r\n");
+  const parser = parse(importing(script, "t.csv"), { "t.csv": table });
+  const [first, second] = parser.sequences.main_sequence;
+  assert.equal(first.stimulus.identifier, "T1");
+  assert.equal(second.stimulus.identifier, "T4");
+  // choices 셀은 둘째 줄에서 시작
+  const error = parser.diagnostics.find(
+    (diagnostic) => diagnostic.code === "unknown-stimulus"
+  );
+  assert.deepEqual([error.file, error.line, error.column], ["t.csv", 3, 17]);
+});
+
+test("an unclosed quote is reported", () => {
+  const table = 'stim,choices\nT1,"I1,I2\nT4,I1\n';
+  const parser = parse(importing(script, "t.csv"), { "t.csv": table });
+  const errors = parser.diagnostics.filter(
+    (diagnostic) => diagnostic.code === "trial-table-unclosed-quote"
+  );
+  assert.equal(errors.length, 3);
+  assert.deepEqual([errors[0].line, errors[0].column], [2, 4]);
+});
@@ -0,0 +1,31 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const Parser = require("../parser.v2");
+const { unresolvedIdentifiers } = require("../storyboard");
+
+const SCRIPT = [
+  "Task WM Storyboard",
+  "[Descriptions]",
+  "text T1 'Which one?' n n",
+  "image I1 img/a.png",
+  "[EndDescriptions]",
+  "[MainSeq]",
+  "2000 T1 inf I1,I9 inf 0 0 10000 n n n n y",
+  "@import trials.csv",
+  "[EndMainSeq]",
+].join("\n");
+
+test("unresolved identifiers of script rows and imported rows", () => {
+  const parser = new Parser(SCRIPT, {
+    collectDiagnostics: true,
+    resolveInclude: (includePath) => ({
+      file: includePath,
+      text: 'stim,choices\nT1,"I1,I8"\nT7,I1\n',
+    }),
+  }).execute();
+  assert.deepEqual(unresolvedIdentifiers(parser), [
+    { identifier: "I9", column: "choices", line: 7, file: undefined },
+    { identifier: "I8", column: "choices", line: 2, file: "trials.csv" },
+    { identifier: "T7", column: "stimulus", line: 3, file: "trials.csv" },
+  ]);
+});
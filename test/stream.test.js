@@ -0,0 +1,119 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { PassThrough, Readable } = require("stream");
+const Parser = require("../parser.v2");
+const { StreamingParser, writeNdjson } = require("../stream");
+
+const OPTIONS = { collectDiagnostics: true, seed: 7, participantId: 3 };
+
+const SECTIONS = [
+  "Task WM Sections",
+  "[MainSeq name=early]",
+  "@block b repeat=2 shuffle",
+  "stim=T1 choices=I1,I2 answer=0",
+  "@endblock",
+  "[EndMainSeq]",
+  "[Descriptions]",
+  "text T1 '어느 쪽입니까?' 20 n",
+  "image I1 a.png",
+  "image I2 b.png",
+  "[EndDescriptions]",
+  "[BreakSeq]",
+  "[EndBreakSeq]",
+  "[MainSeq]",
+  "0 T1 inf I1,I2 inf 1 0 inf n n n n y",
+  "0 T9 inf I1,I2 inf 1 0 inf n n n n y",
+  "[EndMainSeq]",
+].join("\r\n");
+
+// 스트림의 이벤트로 execute()의 모델을 다시 만듦
+function streamModel(text, chunkSize) {
+  const parser = new StreamingParser(OPTIONS);
+  const model = {
+    formatVersion: 3,
+    task: null,
+    background: null,
+    stimulus: {},
+    sequences: {},
+  };
+  let result = null;
+  parser.on("task", (task) => (model.task = task));
+  parser.on("background", (background) => (model.background = background));
+  parser.on("stimulus", (stimulus) => {
+    model.stimulus[stimulus.identifier] = stimulus;
+  });
+  parser.on("section", (section) => {
+    model.sequences[section] = model.sequences[section] || [];
+  });
+  parser.on("sequence", (sequence, section, index) => {
+    const sequences = (model.sequences[section] =
+      model.sequences[section] || []);
+    assert.equal(index, sequences.length);
+    sequences.push(sequence);
+  });
+  parser.on("end", (end) => (result = end));
+
+  const buffer = Buffer.from(text);
+  for (let start = 0; start < buffer.length; start += chunkSize) {
+    parser.write(buffer.slice(start, start + chunkSize));
+  }
+  parser.end();
+  return { model, diagnostics: result.diagnostics };
+}
+
+const scripts = {
+  "test1.txt": fs.readFileSync(path.join(__dirname, "../in/test1.txt"), "utf8"),
+  "test2.txt": fs.readFileSync(path.join(__dirname, "../in/test2.txt"), "utf8"),
+  sections: SECTIONS,
+};
+
+for (const name of Object.keys(scripts)) {
+  test(`${name} streams the same model and diagnostics as execute()`, () => {
+    const parser = new Parser(scripts[name], OPTIONS).execute();
+    // 한 글자씩(CRLF, 멀티바이트 문자가 chunk 사이에서 나뉨)부터 한 번에까지
+    for (const chunkSize of [1, 7, 64, 1 << 20]) {
+      const { model, diagnostics } = streamModel(scripts[name], chunkSize);
+      assert.deepEqual(model, JSON.parse(parser.json()));
+      assert.deepEqual(diagnostics, parser.diagnostics);
+    }
+  });
+}
+
+test("empty sections are emitted", () => {
+  const { model } = streamModel(scripts["test1.txt"], 64);
+  assert.deepEqual(model.sequences.post_sequence, []);
+  assert.deepEqual(
+    streamModel(SECTIONS, 64).model.sequences.break_sequence,
+    []
+  );
+});
+
+test("writeNdjson writes one record per line and the format version", async () => {
+  const output = new PassThrough();
+  let text = "";
+  output.on("data", (chunk) => (text += chunk));
+  await writeNdjson(Readable.from([SECTIONS]), output, OPTIONS);
+
+  const records = text
+    .trim()
+    .split("\n")
+    .map((line) => JSON.parse(line));
+  assert.deepEqual(
+    records.filter((record) => record.type === "section"),
+    [
+      "main_sequence:early",
+      "break_sequence",
+      "main_sequence",
+    ].map((section) => ({ type: "section", section }))
+  );
+  assert.equal(
+    records.filter((record) => record.type === "sequence").length,
+    4
+  );
+  assert.deepEqual(records[records.length - 1], {
+    type: "end",
+    formatVersion: 3,
+  });
+});
@@ -0,0 +1,63 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const Parser = require("../parser.v2");
+const { stringify } = require("../stringify");
+
+// 에러 없이 파싱된 모델(JSON 출력과 같은 값)
+function parse(text) {
+  const parser = new Parser(text, { collectDiagnostics: true }).execute();
+  assert.equal(parser.hasErrors(), false, JSON.stringify(parser.diagnostics));
+  return JSON.parse(parser.json());
+}
+
+for (const name of ["test1.txt", "test2.txt"]) {
+  test(`${name} parses to the same model after stringify`, () => {
+    const text = fs.readFileSync(path.join(__dirname, "../in", name), "utf8");
+    const model = parse(text);
+    assert.deepEqual(parse(stringify(model)), model);
+  });
+}
+
+test("a sequence without onSetTime is written with onset 0", () => {
+  const model = parse(
+    fs.readFileSync(path.join(__dirname, "../in/test2.txt"), "utf8")
+  );
+  const [first] = model.sequences.main_sequence;
+  first.onSetTime = null;
+  delete model.sequences.pre_sequence[0].onSetTime;
+
+  const reparsed = parse(stringify(model));
+  assert.equal(reparsed.sequences.main_sequence[0].onSetTime, 0);
+  assert.equal(reparsed.sequences.pre_sequence[0].onSetTime, 0);
+});
+
+test("quotes, named sections and defaults survive the round trip", () => {
+  const text = [
+    "Task WM Quotes",
+    "[Descriptions]",
+    "text T1 'say \"hi\" # not a comment' 20 n",
+    'instruction P n n n "page one" "page two"',
+    "image I1 img\\a.png",
+    "image I2 img\\b.png",
+    "[EndDescriptions]",
+    "[MainSeq name=practice]",
+    "stim=T1 choices=I1,I2 answer=1 rt=3000 test=y",
+    "[EndMainSeq]",
+    "[BreakSeq]",
+    "stim=P",
+    "[EndBreakSeq]",
+    "[MainSeq name=test]",
+    "500 T1 1000 I1,I2 inf 0 100 2000 c 500 n n y",
+    "[EndMainSeq]",
+  ].join("\n");
+  const model = parse(text);
+  assert.deepEqual(Object.keys(model.sequences), [
+    "main_sequence:practice",
+    "break_sequence",
+    "main_sequence:test",
+  ]);
+  assert.equal(model.stimulus.T1.content, 'say "hi" # not a comment');
+  assert.deepEqual(parse(stringify(model)), model);
+});
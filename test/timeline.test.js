@@ -0,0 +1,118 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const Parser = require("../parser.v2");
+
+function timeline(...sections) {
+  const script = [
+    "Task WM Timeline",
+    "[Descriptions]",
+    'text T1 "Which one?" n n',
+    "image I1 img/a.png",
+    "image I2 img/b.png",
+    "[EndDescriptions]",
+    ...sections.flatMap((rows, index) => [
+      `[MainSeq name=s${index}]`,
+      ...rows,
+      "[EndMainSeq]",
+    ]),
+  ].join("\n");
+  return new Parser(script, { collectDiagnostics: true }).execute().timeline();
+}
+
+function codes(result) {
+  return result.diagnostics.map(({ code, message }) => `${code}: ${message}`);
+}
+
+test("phases are placed at absolute times from the session start", () => {
+  const result = timeline([
+    "0 T1 500 I1,I2 1000 1 200 1500 tf 300 I1 I2 y",
+    "2000 T1 400 n n n 0 inf n n n n n",
+  ]);
+  const [first, second] = result.sections[0].trials;
+  assert.equal(first.start, 0);
+  assert.equal(first.end, 1800);
+  assert.deepEqual(first.stimulus, { start: 0, end: 500 });
+  assert.deepEqual(first.choice, { start: 200, end: 1200 });
+  assert.deepEqual(first.response, { start: 200, end: 1500 });
+  assert.deepEqual(first.feedback, { start: 1500, end: 1800 });
+  assert.equal(second.start, 2000);
+  assert.equal(second.end, 2400);
+  assert.equal(second.choice, null);
+  assert.equal(result.totalDuration, 2400);
+  assert.deepEqual(codes(result), [
+    "timeline-gap: main_sequence:s0[1]: 200ms gap after the previous trial",
+  ]);
+});
+
+test("an onset before the previous end is an overlap and waits for it", () => {
+  const result = timeline([
+    "0 T1 1000 n n n 0 inf n n n n n",
+    "500 T1 100 n n n 0 inf n n n n n",
+    "300 T1 100 n n n 0 inf n n n n n",
+  ]);
+  const trials = result.sections[0].trials;
+  assert.deepEqual(
+    trials.map(({ start, end }) => [start, end]),
+    [
+      [0, 1000],
+      [1000, 1100],
+      [1100, 1200],
+    ]
+  );
+  assert.deepEqual(codes(result), [
+    "timeline-overlap: main_sequence:s0[1]: scheduled at 500ms but the previous trial may run until 1000ms",
+    "timeline-out-of-order: main_sequence:s0[2]: onset 300ms is earlier than the previous onset 500ms",
+    "timeline-overlap: main_sequence:s0[2]: scheduled at 300ms but the previous trial may run until 1100ms",
+  ]);
+});
+
+test("feedback with an n duration adds no phase", () => {
+  const result = timeline(["0 T1 inf I1,I2 inf 1 0 1000 tf n I1 I2 y"]);
+  const [trial] = result.sections[0].trials;
+  assert.equal(trial.feedback, null);
+  assert.equal(trial.end, 1000);
+  assert.deepEqual(trial.stimulus, { start: 0, end: 1000 });
+  assert.deepEqual(trial.choice, { start: 0, end: 1000 });
+});
+
+test("sections run one after another", () => {
+  const result = timeline(
+    ["0 T1 300 n n n 0 inf n n n n n"],
+    ["100 T1 200 n n n 0 inf n n n n n"]
+  );
+  assert.deepEqual(
+    result.sections.map(({ name, start, end }) => [name, start, end]),
+    [
+      ["main_sequence:s0", 0, 300],
+      ["main_sequence:s1", 300, 600],
+    ]
+  );
+  assert.equal(result.sections[1].trials[0].start, 400);
+});
+
+test("a participant-paced trial makes the following times unknown", () => {
+  const result = timeline([
+    "0 T1 inf I1,I2 inf 1 0 inf n n n n y",
+    "0 T1 100 n n n 0 inf n n n n n",
+  ]);
+  const [paced, next] = result.sections[0].trials;
+  assert.equal(paced.participantPaced, true);
+  assert.equal(paced.end, null);
+  assert.deepEqual(paced.response, { start: 0, end: null });
+  assert.equal(next.start, null);
+  assert.equal(result.totalDuration, null);
+  assert.deepEqual(result.diagnostics, []);
+});
+
+test("an inf stimulus without choices blocks the timeline", () => {
+  const result = timeline([
+    "0 T1 inf n n n 0 inf n n n n n",
+    "0 T1 100 n n n 0 inf n n n n n",
+  ]);
+  assert.deepEqual(codes(result), [
+    "timeline-blocked: main_sequence:s0[0]: inf stimulus duration without choices never ends and blocks the rest of the timeline",
+  ]);
+  assert.equal(result.diagnostics[0].line, 8);
+  assert.equal(result.sections[0].trials[1].start, null);
+  assert.equal(result.totalDuration, null);
+});
@@ -0,0 +1,35 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const ParserV1 = require("../parser.js");
+const Parser = require("../parser.v2");
+const { upgradeToLatest } = require("../upgrade");
+
+const script = fs.readFileSync(path.join(__dirname, "../in/test2.txt"), "utf8");
+
+test("v1 output upgrades to the parsed model, except tf feedback1", () => {
+  const v1 = JSON.parse(new ParserV1(script).execute().json());
+  const diagnostics = [];
+  const upgraded = upgradeToLatest(v1, diagnostics);
+  const model = JSON.parse(new Parser(script).execute().json());
+
+  assert.deepEqual(
+    diagnostics.map(({ code, message }) => [code, message.split(":")[0]]),
+    [["upgrade-feedback-lost", "main_sequence[3]"]]
+  );
+  assert.equal(upgraded.sequences.main_sequence[3].feedback1, null);
+  model.sequences.main_sequence[3].feedback1 = null;
+  assert.deepEqual(upgraded.sequences, model.sequences);
+  assert.deepEqual(upgraded.stimulus, model.stimulus);
+});
+
+test("current output only gets the format version", () => {
+  const model = JSON.parse(new Parser(script).execute().json());
+  const diagnostics = [];
+  assert.deepEqual(
+    upgradeToLatest({ ...model, formatVersion: 2 }, diagnostics),
+    model
+  );
+  assert.deepEqual(diagnostics, []);
+});
@@ -0,0 +1,61 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const Parser = require("../parser.v2");
+
+function parse(rows) {
+  const script = [
+    "Task WM Validation",
+    "[Descriptions]",
+    'text T1 "Which one?" n n',
+    "image I1 img/a.png",
+    "image I2 img/b.png",
+    "[EndDescriptions]",
+    "[MainSeq]",
+    ...rows,
+    "[EndMainSeq]",
+  ].join("\n");
+  return new Parser(script, { collectDiagnostics: true }).execute();
+}
+
+// code line:column, 시퀀스 row는 8번째 줄부터
+function problems(parser) {
+  return parser.diagnostics.map(
+    ({ code, line, column }) => `${code} ${line}:${column}`
+  );
+}
+
+test("a consistent row has no problems", () => {
+  const parser = parse(["0 T1 inf I1,I2 inf 1 0 1000 tf 500 I1 I2 y"]);
+  assert.deepEqual(parser.diagnostics, []);
+});
+
+test("each cross-field rule points to its column", () => {
+  const parser = parse([
+    "0 T1 inf n inf 0 0 1000 n n n n n",
+    "0 T1 inf I1,I2 inf 2 0 1000 n n n n y",
+    "0 T1 100 n inf n 0 inf n n n n y",
+    "0 T1 inf I1,I2 inf 0 500 400 n n n n y",
+    "0 T1 inf I1,I2 inf n 0 1000 tf 500 I1 I2 y",
+    "0 T1 inf I1,I2 inf n 0 1000 a 500 n n y",
+  ]);
+  assert.deepEqual(problems(parser), [
+    "answer-without-choices 8:16",
+    "answer-out-of-range 9:20",
+    "test-without-choices 10:32",
+    "reaction-time-before-choices 11:26",
+    "feedback-without-answer 12:29",
+    "feedback-stimulus-missing 13:35",
+  ]);
+  assert.match(
+    parser.diagnostics[1].message,
+    /^main_sequence\[1\]: <answer> 2 is not an index of the 2 choices$/
+  );
+});
+
+test("keyword rows are checked the same way", () => {
+  const parser = parse(["stim=T1 answer=0 test=y"]);
+  assert.deepEqual(problems(parser), [
+    "answer-without-choices 8:16",
+    "test-without-choices 8:23",
+  ]);
+});
@@ -0,0 +1,37 @@
+import { Diagnostic, SourcePosition } from "./diagnostics";
+import { Sequence, Sequences } from "./types";
+export interface PhaseTime {
+    start: number | null;
+    end: number | null;
+}
+export interface TrialTimeline {
+    section: string;
+    index: number;
+    onset: number | null;
+    start: number | null;
+    end: number | null;
+    participantPaced: boolean;
+    stimulus: PhaseTime;
+    choice: PhaseTime | null;
+    response: PhaseTime | null;
+    feedback: PhaseTime | null;
+}
+export interface SectionTimeline {
+    name: string;
+    start: number | null;
+    end: number | null;
+    trials: TrialTimeline[];
+}
+export interface Timeline {
+    sections: SectionTimeline[];
+    totalDuration: number | null;
+    diagnostics: Diagnostic[];
+}
+/**
+ * Computes absolute start/end times of every phase of every trial.
+ * Overlapping trials, gaps, out-of-order onsets and trials that can never
+ * end are reported in timeline.diagnostics.
+ * @param sequences parsed sequences(Parser.sequences)
+ * @param positionOf source position of a sequence, used for the diagnostics
+ */
+export declare function computeTimeline(sequences: Sequences, positionOf: (sequence: Sequence) => SourcePosition): Timeline;
@@ -0,0 +1,139 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.computeTimeline = void 0;
+const diagnostics_1 = require("./diagnostics");
+const types_1 = require("./types");
+// optional 필드(undefined)와 n/inf(null)를 모두 null로
+function known(value) {
+    return typeof value === "number" ? value : null;
+}
+function relativeTrial(sequence) {
+    const stimulusDuration = known(sequence.stimulusDuration);
+    const choiceDuration = known(sequence.choiceDuration);
+    const reactionTime = known(sequence.reactionTime);
+    const feedbackDuration = known(sequence.feedbackDuration);
+    const choiceStart = known(sequence.choiceOnsetRelativeToSim) || 0;
+    const hasChoices = !!sequence.choices && sequence.choices.length > 0;
+    const choice = hasChoices
+        ? {
+            start: choiceStart,
+            end: choiceDuration === null ? null : choiceStart + choiceDuration,
+        }
+        : null;
+    const response = hasChoices
+        ? { start: choiceStart, end: reactionTime }
+        : null;
+    // 선택지가 없으면 자극이 끝나야 시행이 끝나고, 있으면 반응 시간이 끝나야 끝남
+    let end = hasChoices ? reactionTime : stimulusDuration;
+    const blocking = !hasChoices && stimulusDuration === null;
+    const participantPaced = hasChoices && reactionTime === null;
+    if (end !== null) {
+        for (const phaseEnd of [stimulusDuration, choice && choice.end]) {
+            if (phaseEnd !== null && phaseEnd > end) {
+                end = phaseEnd;
+            }
+        }
+    }
+    // inf인 자극/선택지는 반응 구간이 끝날 때까지(피드백 전까지) 유지
+    const stimulusEnd = stimulusDuration === null ? end : stimulusDuration;
+    if (choice && choice.end === null) {
+        choice.end = end;
+    }
+    let feedback = null;
+    if (sequence.feedbackType &&
+        sequence.feedbackType !== types_1.FeedbackType.NONE &&
+        feedbackDuration !== null) {
+        feedback = {
+            start: end,
+            end: end === null ? null : end + feedbackDuration,
+        };
+        end = feedback.end;
+    }
+    return {
+        end,
+        blocking,
+        participantPaced,
+        stimulusEnd,
+        choice,
+        response,
+        feedback,
+    };
+}
+function shift(phase, by) {
+    if (!phase) {
+        return null;
+    }
+    const add = (time) => time === null || by === null ? null : time + by;
+    return { start: add(phase.start), end: add(phase.end) };
+}
+/**
+ * Computes absolute start/end times of every phase of every trial.
+ * Overlapping trials, gaps, out-of-order onsets and trials that can never
+ * end are reported in timeline.diagnostics.
+ * @param sequences parsed sequences(Parser.sequences)
+ * @param positionOf source position of a sequence, used for the diagnostics
+ */
+function computeTimeline(sequences, positionOf) {
+    const diagnostics = [];
+    const sections = [];
+    let sectionStart = 0;
+    let blocked = false;
+    for (const name of Object.keys(sequences)) {
+        const trials = [];
+        let previousEnd = 0; // section 시작 기준
+        let previousOnset = null;
+        sequences[name].forEach((sequence, index) => {
+            const label = `${name}[${index}]`;
+            const position = positionOf(sequence);
+            const report = (code, ...args) => diagnostics.push(diagnostics_1.createDiagnostic(code, position, label, ...args));
+            const onset = known(sequence.onSetTime);
+            if (onset !== null && previousOnset !== null && onset < previousOnset) {
+                report("timeline-out-of-order", String(onset), String(previousOnset));
+            }
+            if (onset !== null && previousEnd !== null && !blocked) {
+                if (onset < previousEnd) {
+                    report("timeline-overlap", String(onset), String(previousEnd));
+                }
+                else if (onset > previousEnd && index > 0) {
+                    report("timeline-gap", String(onset - previousEnd));
+                }
+            }
+            // 상대 시작 시점: onset과 이전 시행 종료 중 늦은 쪽
+            const relativeStart = previousEnd === null || onset === null
+                ? null
+                : Math.max(onset, previousEnd);
+            const start = relativeStart === null || sectionStart === null || blocked
+                ? null
+                : sectionStart + relativeStart;
+            const relative = relativeTrial(sequence);
+            if (relative.blocking && !blocked) {
+                report("timeline-blocked");
+                blocked = true;
+            }
+            trials.push({
+                section: name,
+                index,
+                onset,
+                start,
+                end: start === null || relative.end === null ? null : start + relative.end,
+                participantPaced: relative.participantPaced,
+                stimulus: shift({ start: 0, end: relative.stimulusEnd }, start),
+                choice: shift(relative.choice, start),
+                response: shift(relative.response, start),
+                feedback: shift(relative.feedback, start),
+            });
+            previousOnset = onset;
+            previousEnd =
+                relativeStart === null || relative.end === null
+                    ? null
+                    : relativeStart + relative.end;
+        });
+        const sectionEnd = sectionStart === null || previousEnd === null || blocked
+            ? null
+            : sectionStart + previousEnd;
+        sections.push({ name, start: sectionStart, end: sectionEnd, trials });
+        sectionStart = sectionEnd;
+    }
+    return { sections, totalDuration: sectionStart, diagnostics };
+}
+exports.computeTimeline = computeTimeline;
@@ -0,0 +1,223 @@
+import { createDiagnostic, Diagnostic, SourcePosition } from "./diagnostics";
+import { FeedbackType, Sequence, Sequences } from "./types";
+
+/*
+TIMELINE
+
+- sequence sections run in the order of the script,
+  each one starts when the previous one ends
+- <onSetTime> is the time from the section start at which a trial is scheduled.
+  a trial starts at its onset, or when the previous trial ends if that is later
+- phases, relative to the trial start
+  - stimulus : 0 ~ <stimDur>(inf => until the response window ends)
+  - choice : <choiceOnsetRelativeToSim> ~ +<choiceDur>(inf => until the response window ends)
+  - response window : <choiceOnsetRelativeToSim> ~ <reactionTime>(inf => until the participant responds)
+  - feedback : after the response window, for <feed_back_duration>
+- every end is the latest possible end(the participant does not respond early).
+  null means the time depends on the participant; once a trial ends at an
+  unknown time, the absolute times of the following trials are unknown too
+*/
+
+export interface PhaseTime {
+  start: number | null; // ms from the session start
+  end: number | null;
+}
+
+export interface TrialTimeline {
+  section: string;
+  index: number;
+  onset: number | null; // scheduled onset(<onSetTime>) from the section start
+  start: number | null;
+  end: number | null;
+  participantPaced: boolean; // ends only when the participant responds
+  stimulus: PhaseTime;
+  choice: PhaseTime | null;
+  response: PhaseTime | null;
+  feedback: PhaseTime | null;
+}
+
+export interface SectionTimeline {
+  name: string;
+  start: number | null;
+  end: number | null;
+  trials: TrialTimeline[];
+}
+
+export interface Timeline {
+  sections: SectionTimeline[];
+  totalDuration: number | null; // null if any trial is participant-paced or blocks
+  diagnostics: Diagnostic[];
+}
+
+// 시행 시작 시점 기준의 상대 시간. null이면 참가자에 따라 달라짐
+interface RelativeTrial {
+  end: number | null;
+  blocking: boolean; // 끝날 수 있는 방법이 없음
+  participantPaced: boolean;
+  stimulusEnd: number | null;
+  choice: PhaseTime | null;
+  response: PhaseTime | null;
+  feedback: PhaseTime | null;
+}
+
+// optional 필드(undefined)와 n/inf(null)를 모두 null로
+function known(value: number | null | undefined): number | null {
+  return typeof value === "number" ? value : null;
+}
+
+function relativeTrial(sequence: Sequence): RelativeTrial {
+  const stimulusDuration = known(sequence.stimulusDuration);
+  const choiceDuration = known(sequence.choiceDuration);
+  const reactionTime = known(sequence.reactionTime);
+  const feedbackDuration = known(sequence.feedbackDuration);
+  const choiceStart = known(sequence.choiceOnsetRelativeToSim) || 0;
+  const hasChoices = !!sequence.choices && sequence.choices.length > 0;
+
+  const choice: PhaseTime | null = hasChoices
+    ? {
+        start: choiceStart,
+        end: choiceDuration === null ? null : choiceStart + choiceDuration,
+      }
+    : null;
+  const response: PhaseTime | null = hasChoices
+    ? { start: choiceStart, end: reactionTime }
+    : null;
+
+  // 선택지가 없으면 자극이 끝나야 시행이 끝나고, 있으면 반응 시간이 끝나야 끝남
+  let end = hasChoices ? reactionTime : stimulusDuration;
+  const blocking = !hasChoices && stimulusDuration === null;
+  const participantPaced = hasChoices && reactionTime === null;
+
+  if (end !== null) {
+    for (const phaseEnd of [stimulusDuration, choice && choice.end]) {
+      if (phaseEnd !== null && phaseEnd > end) {
+        end = phaseEnd;
+      }
+    }
+  }
+
+  // inf인 자극/선택지는 반응 구간이 끝날 때까지(피드백 전까지) 유지
+  const stimulusEnd = stimulusDuration === null ? end : stimulusDuration;
+  if (choice && choice.end === null) {
+    choice.end = end;
+  }
+
+  let feedback: PhaseTime | null = null;
+  if (
+    sequence.feedbackType &&
+    sequence.feedbackType !== FeedbackType.NONE &&
+    feedbackDuration !== null
+  ) {
+    feedback = {
+      start: end,
+      end: end === null ? null : end + feedbackDuration,
+    };
+    end = feedback.end;
+  }
+
+  return {
+    end,
+    blocking,
+    participantPaced,
+    stimulusEnd,
+    choice,
+    response,
+    feedback,
+  };
+}
+
+function shift(phase: PhaseTime | null, by: number | null): PhaseTime | null {
+  if (!phase) {
+    return null;
+  }
+  const add = (time: number | null) =>
+    time === null || by === null ? null : time + by;
+  return { start: add(phase.start), end: add(phase.end) };
+}
+
+/**
+ * Computes absolute start/end times of every phase of every trial.
+ * Overlapping trials, gaps, out-of-order onsets and trials that can never
+ * end are reported in timeline.diagnostics.
+ * @param sequences parsed sequences(Parser.sequences)
+ * @param positionOf source position of a sequence, used for the diagnostics
+ */
+export function computeTimeline(
+  sequences: Sequences,
+  positionOf: (sequence: Sequence) => SourcePosition
+): Timeline {
+  const diagnostics: Diagnostic[] = [];
+  const sections: SectionTimeline[] = [];
+  let sectionStart: number | null = 0;
+  let blocked = false;
+
+  for (const name of Object.keys(sequences)) {
+    const trials: TrialTimeline[] = [];
+    let previousEnd: number | null = 0; // section 시작 기준
+    let previousOnset: number | null = null;
+
+    sequences[name].forEach((sequence, index) => {
+      const label = `${name}[${index}]`;
+      const position = positionOf(sequence);
+      const report = (code: string, ...args: string[]) =>
+        diagnostics.push(createDiagnostic(code, position, label, ...args));
+      const onset = known(sequence.onSetTime);
+
+      if (onset !== null && previousOnset !== null && onset < previousOnset) {
+        report("timeline-out-of-order", String(onset), String(previousOnset));
+      }
+      if (onset !== null && previousEnd !== null && !blocked) {
+        if (onset < previousEnd) {
+          report("timeline-overlap", String(onset), String(previousEnd));
+        } else if (onset > previousEnd && index > 0) {
+          report("timeline-gap", String(onset - previousEnd));
+        }
+      }
+
+      // 상대 시작 시점: onset과 이전 시행 종료 중 늦은 쪽
+      const relativeStart =
+        previousEnd === null || onset === null
+          ? null
+          : Math.max(onset, previousEnd);
+      const start =
+        relativeStart === null || sectionStart === null || blocked
+          ? null
+          : sectionStart + relativeStart;
+      const relative = relativeTrial(sequence);
+
+      if (relative.blocking && !blocked) {
+        report("timeline-blocked");
+        blocked = true;
+      }
+
+      trials.push({
+        section: name,
+        index,
+        onset,
+        start,
+        end:
+          start === null || relative.end === null ? null : start + relative.end,
+        participantPaced: relative.participantPaced,
+        stimulus: shift({ start: 0, end: relative.stimulusEnd }, start)!,
+        choice: shift(relative.choice, start),
+        response: shift(relative.response, start),
+        feedback: shift(relative.feedback, start),
+      });
+
+      previousOnset = onset;
+      previousEnd =
+        relativeStart === null || relative.end === null
+          ? null
+          : relativeStart + relative.end;
+    });
+
+    const sectionEnd: number | null =
+      sectionStart === null || previousEnd === null || blocked
+        ? null
+        : sectionStart + previousEnd;
+    sections.push({ name, start: sectionStart, end: sectionEnd, trials });
+    sectionStart = sectionEnd;
+  }
+
+  return { sections, totalDuration: sectionStart, diagnostics };
+}
@@ -0,0 +1,92 @@
+export declare type YesOrNo = "y" | "n";
+export interface Task {
+    type: string;
+    name: string;
+}
+export interface BaseStimulus {
+    stimulusType: StimulusType;
+    identifier: string;
+}
+export interface ImageStimulus extends BaseStimulus {
+    stimulusType: StimulusType.IMAGE;
+    filePath: string;
+    button: boolean;
+}
+export interface TextStimulus extends BaseStimulus {
+    stimulusType: StimulusType.TEXT;
+    content: string;
+    fontSize: number | null;
+    fontColor: string | null;
+}
+export interface TextFileStimulus extends BaseStimulus {
+    stimulusType: StimulusType.TEXT_FILE;
+    filePath: string;
+    fontSize: number | null;
+    fontColor: string | null;
+}
+export interface MediaStimulus extends BaseStimulus {
+    stimulusType: StimulusType.AUDIO | StimulusType.VIDEO;
+    filePath: string;
+}
+export interface InstructionStimulus extends BaseStimulus {
+    stimulusType: StimulusType.INSTRUCTION;
+    continueKey: string | null;
+    fontSize: number | null;
+    fontColor: string | null;
+    pages: string[];
+}
+export interface ResultStimulus extends BaseStimulus {
+    stimulusType: StimulusType.RESULT;
+    content: string | null;
+    fontSize: number | null;
+    fontColor: string | null;
+    metrics: ResultMetric[];
+}
+export declare type Stimulus = ImageStimulus | TextStimulus | TextFileStimulus | MediaStimulus | InstructionStimulus | ResultStimulus;
+export interface Sequence {
+    onSetTime?: number | null;
+    stimulus: Stimulus | null;
+    stimulusDuration?: number | null;
+    choices?: Stimulus[] | null;
+    choiceDuration?: number | null;
+    answer?: number | null;
+    choiceOnsetRelativeToSim?: number | null;
+    reactionTime?: number | null;
+    feedbackType?: FeedbackType | string;
+    feedbackDuration?: number | null;
+    test?: boolean;
+    feedback1?: Stimulus | null;
+    feedback2?: Stimulus | null;
+}
+export declare enum StimulusType {
+    IMAGE = "image",
+    TEXT = "text",
+    TEXT_FILE = "text_file",
+    AUDIO = "audio",
+    VIDEO = "video",
+    INSTRUCTION = "instruction",
+    RESULT = "result"
+}
+export declare enum ResultMetric {
+    ACCURACY = "accuracy",
+    MEAN_REACTION_TIME = "meanReactionTime"
+}
+export declare enum FeedbackType {
+    NONE = "n",
+    TRUE_OR_FALSE = "tf",
+    ALWAYS = "a",
+    CHOICE = "c"
+}
+export interface Sequences {
+    [section: string]: Sequence[];
+}
+export declare const FORMAT_VERSION = 3;
+export interface Experiment {
+    formatVersion: typeof FORMAT_VERSION;
+    task: Task | null;
+    background: Stimulus | null;
+    stimulus: {
+        [identifier: string]: Stimulus;
+    };
+    sequences: Sequences;
+}
@@ -0,0 +1,28 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.FORMAT_VERSION = exports.FeedbackType = exports.ResultMetric = exports.StimulusType = void 0;
+var StimulusType;
+(function (StimulusType) {
+    StimulusType["IMAGE"] = "image";
+    StimulusType["TEXT"] = "text";
+    StimulusType["TEXT_FILE"] = "text_file";
+    StimulusType["AUDIO"] = "audio";
+    StimulusType["VIDEO"] = "video";
+    StimulusType["INSTRUCTION"] = "instruction";
+    StimulusType["RESULT"] = "result";
+})(StimulusType = exports.StimulusType || (exports.StimulusType = {}));
+// result 자극의 <content>에서 {accuracy}, {meanReactionTime}으로 사용
+var ResultMetric;
+(function (ResultMetric) {
+    ResultMetric["ACCURACY"] = "accuracy";
+    ResultMetric["MEAN_REACTION_TIME"] = "meanReactionTime";
+})(ResultMetric = exports.ResultMetric || (exports.ResultMetric = {}));
+var FeedbackType;
+(function (FeedbackType) {
+    FeedbackType["NONE"] = "n";
+    FeedbackType["TRUE_OR_FALSE"] = "tf";
+    FeedbackType["ALWAYS"] = "a";
+    FeedbackType["CHOICE"] = "c";
+})(FeedbackType = exports.FeedbackType || (exports.FeedbackType = {}));
+// 출력 형태가 바뀌면 올리고 schema/experiment.v<n>.schema.json을 추가
+exports.FORMAT_VERSION = 3;
@@ -0,0 +1,140 @@
+export type YesOrNo = "y" | "n";
+
+// ex) Task WM SST => { type: "WM", name: "SST" }
+export interface Task {
+  type: string;
+  name: string;
+}
+
+/*
+STIMULUS SYNTAX
+
+# stimulus description : <type> <identifier> ...
+  - <type> := image | text | text_file | audio | video | instruction | result
+# image description : image <identifier> <file_path> <button>
+# text description : text <identifier> <content> <font_size> <font_color>
+  - <content> must be contained in " and "
+# text_file description : text_file <identifier> <file_path> <font_size> <font_color>
+# audio/video description : audio <identifier> <file_path>
+# instruction description : instruction <identifier> <continue_key> <font_size> <font_color> <page> <page> ...
+  - <continue_key> := n | <key>, if n, any key or click moves to the next page
+  - every <page> must be contained in " and ", one page per token
+# result description : result <identifier> <content> <font_size> <font_color>
+  - <content> := n | "...{accuracy}...{meanReactionTime}..."
+  - accuracy(%) and mean reaction time(ms) are computed over the trials with
+    <test> = y that were run before the result screen
+  - if <content> is n, the runner shows both values with its default template
+- if font_size or font_color is n(none), the default setting will be used
+- more types can be added with registerStimulusType() of registry.ts
+*/
+
+export interface BaseStimulus {
+  stimulusType: StimulusType;
+  identifier: string;
+}
+
+export interface ImageStimulus extends BaseStimulus {
+  stimulusType: StimulusType.IMAGE;
+  filePath: string;
+  button: boolean;
+}
+
+export interface TextStimulus extends BaseStimulus {
+  stimulusType: StimulusType.TEXT;
+  content: string;
+  fontSize: number | null;
+  fontColor: string | null;
+}
+
+export interface TextFileStimulus extends BaseStimulus {
+  stimulusType: StimulusType.TEXT_FILE;
+  filePath: string;
+  fontSize: number | null;
+  fontColor: string | null;
+}
+
+export interface MediaStimulus extends BaseStimulus {
+  stimulusType: StimulusType.AUDIO | StimulusType.VIDEO;
+  filePath: string;
+}
+
+export interface InstructionStimulus extends BaseStimulus {
+  stimulusType: StimulusType.INSTRUCTION;
+  continueKey: string | null;
+  fontSize: number | null;
+  fontColor: string | null;
+  pages: string[];
+}
+
+export interface ResultStimulus extends BaseStimulus {
+  stimulusType: StimulusType.RESULT;
+  content: string | null;
+  fontSize: number | null;
+  fontColor: string | null;
+  metrics: ResultMetric[];
+}
+
+export type Stimulus =
+  | ImageStimulus
+  | TextStimulus
+  | TextFileStimulus
+  | MediaStimulus
+  | InstructionStimulus
+  | ResultStimulus;
+
+export interface Sequence {
+  onSetTime?: number | null;
+  stimulus: Stimulus | null;
+  stimulusDuration?: number | null;
+  choices?: Stimulus[] | null;
+  choiceDuration?: number | null;
+  answer?: number | null;
+  choiceOnsetRelativeToSim?: number | null;
+  reactionTime?: number | null;
+  feedbackType?: FeedbackType | string; // registerFeedbackType()으로 추가한 유형 포함
+  feedbackDuration?: number | null;
+  test?: boolean;
+  feedback1?: Stimulus | null;
+  feedback2?: Stimulus | null;
+}
+
+export enum StimulusType {
+  IMAGE = "image",
+  TEXT = "text",
+  TEXT_FILE = "text_file",
+  AUDIO = "audio",
+  VIDEO = "video",
+  INSTRUCTION = "instruction",
+  RESULT = "result",
+}
+
+// result 자극의 <content>에서 {accuracy}, {meanReactionTime}으로 사용
+export enum ResultMetric {
+  ACCURACY = "accuracy",
+  MEAN_REACTION_TIME = "meanReactionTime",
+}
+
+export enum FeedbackType {
+  NONE = "n",
+  TRUE_OR_FALSE = "tf",
+  ALWAYS = "a",
+  CHOICE = "c",
+}
+
+// 섹션 key(pre_sequence, main_sequence, main_sequence:test, ...) => 시퀀스
+// key 순서가 스크립트의 섹션 순서(sections.ts)
+export interface Sequences {
+  [section: string]: Sequence[];
+}
+
+// 출력 형태가 바뀌면 올리고 schema/experiment.v<n>.schema.json을 추가
+export const FORMAT_VERSION = 3;
+
+// Parser.model() / json()의 출력 형태. schema/experiment.v3.schema.json
+export interface Experiment {
+  formatVersion: typeof FORMAT_VERSION;
+  task: Task | null;
+  background: Stimulus | null;
+  stimulus: { [identifier: string]: Stimulus };
+  sequences: Sequences;
+}
@@ -0,0 +1,12 @@
+import { Diagnostic } from "./diagnostics";
+import { Experiment } from "./types";
+/**
+ * Upgrades the output of parser.js(v1) to the current format.
+ * Output that already is v2/v3 is returned with formatVersion set.
+ * Throws if the input is not a v1/v2 output or refers to unknown stimuli.
+ * @param json parsed result*.json
+ * @param diagnostics warnings about what v1 lost are pushed to it
+ */
+export declare function upgradeToLatest(json: any, diagnostics?: Diagnostic[]): Experiment;
+/** @deprecated upgradeToLatest() */
+export declare const upgradeToV2: typeof upgradeToLatest;
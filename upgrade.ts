@@ -0,0 +1,186 @@
+import { createDiagnostic, Diagnostic } from "./diagnostics";
+import {
+  Experiment,
+  FeedbackType,
+  FORMAT_VERSION,
+  Sequence,
+  Sequences,
+  Stimulus,
+  StimulusType,
+} from "./types";
+
+/*
+V1 => V2
+
+v1(parser.js) output differs from v2 in
+- sequence instead of sequences, no task/background/formatVersion
+- "n" and "inf" strings instead of null, numbers of the script kept as strings
+  (fontSize "20", answer "0")
+- the stimulus of a sequence is its raw identifier, feedback1/feedback2 too
+- test is "y" | "n" instead of a boolean
+- image button is missing or the raw token
+
+v1 drops feedback1 of tf trials, so it is null after the upgrade and every
+such trial gets an upgrade-feedback-lost warning(at 1:1, the json has no lines)
+
+V2 => V3
+
+v3 only adds sequence sections(sections.ts), a v2 output is a valid v3 output
+with formatVersion 3
+*/
+
+// v1의 섹션
+const SECTIONS = ["pre_sequence", "main_sequence", "post_sequence"];
+
+// "n", "inf", null, undefined => null
+function numberOrNull(value: any): number | null {
+  if (
+    value === undefined ||
+    value === null ||
+    value === "n" ||
+    value === "inf"
+  ) {
+    return null;
+  }
+  const number = Number(value);
+  if (!Number.isFinite(number)) {
+    throw new Error(`${value}은 숫자가 아닙니다`);
+  }
+  return number;
+}
+
+function stringOrNull(value: any): string | null {
+  return value === undefined || value === null || value === "n"
+    ? null
+    : String(value);
+}
+
+function upgradeStimulus(v1: any): Stimulus {
+  const { stimulusType, identifier } = v1;
+  switch (stimulusType) {
+    case StimulusType.IMAGE:
+      return {
+        stimulusType,
+        identifier,
+        filePath: v1.filePath,
+        // v1은 토큰을 그대로 저장. v2와 같이 값이 있으면 true
+        button: typeof v1.button === "boolean" ? v1.button : !!v1.button,
+      };
+    case StimulusType.TEXT:
+      return {
+        stimulusType,
+        identifier,
+        content: v1.content,
+        fontSize: numberOrNull(v1.fontSize),
+        fontColor: stringOrNull(v1.fontColor),
+      };
+    case StimulusType.TEXT_FILE:
+      return {
+        stimulusType,
+        identifier,
+        filePath: v1.filePath,
+        fontSize: numberOrNull(v1.fontSize),
+        fontColor: stringOrNull(v1.fontColor),
+      };
+    case StimulusType.AUDIO:
+    case StimulusType.VIDEO:
+      return { stimulusType, identifier, filePath: v1.filePath };
+    default:
+      throw new Error(`${stimulusType}은 유효한 자극 유형이 아닙니다`);
+  }
+}
+
+function upgradeSequence(
+  v1: any,
+  stimulusOf: (identifier: any) => Stimulus | null
+): Sequence {
+  const sequence: Sequence = {
+    onSetTime: numberOrNull(v1.onSetTime),
+    stimulus: stimulusOf(v1.identifier),
+    stimulusDuration: numberOrNull(v1.stimulusDuration),
+    choices: Array.isArray(v1.choices)
+      ? v1.choices.map((choice: any) => stimulusOf(choice.identifier))
+      : null,
+    choiceDuration: numberOrNull(v1.choiceDuration),
+    answer: numberOrNull(v1.answer),
+    choiceOnsetRelativeToSim: numberOrNull(v1.choiceOnsetRelativeToSim),
+    reactionTime: numberOrNull(v1.reactionTime),
+    feedbackType: v1.feedbackType,
+    feedbackDuration: numberOrNull(v1.feedbackDuration),
+    test: v1.test === "y",
+  };
+
+  if (
+    v1.feedbackType === FeedbackType.ALWAYS ||
+    v1.feedbackType === FeedbackType.TRUE_OR_FALSE
+  ) {
+    sequence.feedback1 = stimulusOf(v1.feedback1);
+    sequence.feedback2 = stimulusOf(v1.feedback2);
+  }
+  return sequence;
+}
+
+/**
+ * Upgrades the output of parser.js(v1) to the current format.
+ * Output that already is v2/v3 is returned with formatVersion set.
+ * Throws if the input is not a v1/v2 output or refers to unknown stimuli.
+ * @param json parsed result*.json
+ * @param diagnostics warnings about what v1 lost are pushed to it
+ */
+export function upgradeToLatest(
+  json: any,
+  diagnostics: Diagnostic[] = []
+): Experiment {
+  if (json && json.sequences && json.stimulus) {
+    const { formatVersion, ...experiment } = json;
+    return { formatVersion: FORMAT_VERSION, ...experiment };
+  } else if (!json || !json.sequence || !json.stimulus) {
+    throw new Error("parser.js 또는 parser.v2.js의 출력이 아닙니다");
+  }
+
+  const stimulus: { [identifier: string]: Stimulus } = {};
+  for (const identifier of Object.keys(json.stimulus)) {
+    stimulus[identifier] = upgradeStimulus(json.stimulus[identifier]);
+  }
+
+  const stimulusOf = (identifier: any) => {
+    if (identifier === undefined || identifier === null || identifier === "n") {
+      return null;
+    } else if (!stimulus[identifier]) {
+      throw new Error(`Stimulus Identifier ${identifier}은 유효하지 않습니다`);
+    }
+    return stimulus[identifier];
+  };
+
+  const sequences = {} as Sequences;
+  for (const section of SECTIONS) {
+    sequences[section] = (json.sequence[section] || []).map((sequence: any) =>
+      upgradeSequence(sequence, stimulusOf)
+    );
+    sequences[section].forEach((sequence, index) => {
+      if (
+        sequence.feedbackType === FeedbackType.TRUE_OR_FALSE &&
+        !sequence.feedback1
+      ) {
+        diagnostics.push(
+          createDiagnostic(
+            "upgrade-feedback-lost",
+            { line: 1, column: 1 },
+            `${section}[${index}]`
+          )
+        );
+      }
+    });
+  }
+
+  return {
+    formatVersion: FORMAT_VERSION,
+    task: null,
+    background: null,
+    stimulus,
+    sequences,
+  };
+}
+
+/** @deprecated upgradeToLatest() */
+export const upgradeToV2 = upgradeToLatest;
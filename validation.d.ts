@@ -0,0 +1,12 @@
+import { Reporter, SequenceLocation } from "./diagnostics";
+import { Sequence } from "./types";
+/**
+ * Checks the cross-field rules of a parsed sequence row that the column
+ * parsers cannot see one column at a time.
+ * reactionTime and choiceOnsetRelativeToSim are both relative to the stimulus onset.
+ * @param sequence parsed sequence row
+ * @param label where the row is, ex) main_sequence[3]
+ * @param location source positions of the row and its columns
+ * @param report receives the diagnostics
+ */
+export declare function validateSequence(sequence: Sequence, label: string, location: SequenceLocation, report: Reporter): void;
@@ -0,0 +1,51 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.validateSequence = void 0;
+const registry_1 = require("./registry");
+/**
+ * Checks the cross-field rules of a parsed sequence row that the column
+ * parsers cannot see one column at a time.
+ * reactionTime and choiceOnsetRelativeToSim are both relative to the stimulus onset.
+ * @param sequence parsed sequence row
+ * @param label where the row is, ex) main_sequence[3]
+ * @param location source positions of the row and its columns
+ * @param report receives the diagnostics
+ */
+function validateSequence(sequence, label, location, report) {
+    const position = (field) => location.fields[field] || location.row;
+    const { choices, answer, feedbackType, test } = sequence;
+    const { choiceOnsetRelativeToSim, reactionTime } = sequence;
+    if (answer !== null && answer !== undefined) {
+        if (!choices) {
+            report("answer-without-choices", position("answer"), label);
+        }
+        else if (!Number.isInteger(answer) ||
+            answer < 0 ||
+            answer >= choices.length) {
+            report("answer-out-of-range", position("answer"), label, String(answer), String(choices.length));
+        }
+    }
+    if (test && !choices) {
+        report("test-without-choices", position("test"), label);
+    }
+    if (reactionTime !== null &&
+        reactionTime !== undefined &&
+        choiceOnsetRelativeToSim !== null &&
+        choiceOnsetRelativeToSim !== undefined &&
+        reactionTime <= choiceOnsetRelativeToSim) {
+        report("reaction-time-before-choices", position("reactionTime"), label, String(reactionTime), String(choiceOnsetRelativeToSim));
+    }
+    const definition = feedbackType && registry_1.getFeedbackType(feedbackType);
+    if (!feedbackType || !definition) {
+        return;
+    }
+    if (definition.requiresAnswer && (answer === null || answer === undefined)) {
+        report("feedback-without-answer", position("feedbackType"), label);
+    }
+    // 빠진 컬럼 중 첫 번째만 보고
+    const missing = (definition.requiredColumns || []).find((column) => !sequence[column]);
+    if (missing) {
+        report("feedback-stimulus-missing", position(missing), label, feedbackType);
+    }
+}
+exports.validateSequence = validateSequence;